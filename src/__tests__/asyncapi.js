@@ -0,0 +1,94 @@
+const { buildAsyncApiDocument } = require('../asyncapi');
+const { Func, Topic, Queue } = require('../models');
+const {
+  QueueToFuncSubscription, TopicToQueueSubscription, TopicToFuncSubscription
+} = require('../models/subscription');
+
+describe('buildAsyncApiDocument', () => {
+  const orderSchema = {type: 'object', required: ['id']};
+  let topic;
+  let queue;
+  let publisher;
+  let notifier;
+  let shipper;
+
+  beforeEach(() => {
+    topic = new Topic({name: 'order-created', vendorConfig: {}, schema: orderSchema});
+    queue = new Queue({name: 'shipping', vendorConfig: {}});
+    queue.deadLetter = {queue: new Queue({name: 'shipping-dlq', vendorConfig: {}}), maxReceiveCount: 5};
+    publisher = new Func({name: 'checkout', serverlessConfig: {publishes: ['order-created']}});
+    notifier = new Func({name: 'notify', serverlessConfig: {}});
+    shipper = new Func({name: 'ship', serverlessConfig: {}});
+  });
+
+  const build = (subscriptions) => buildAsyncApiDocument({
+    title: 'orders',
+    version: '2.0.0',
+    topics: [topic],
+    funcs: [publisher, notifier, shipper],
+    subscriptions: subscriptions,
+    topicAddress: t => `orders-dev-${t.name}`,
+    queueAddress: q => `orders-dev-${q.name}`
+  });
+
+  test('describes topics as channels with their schema', () => {
+    const doc = build([]);
+    expect(doc.asyncapi).toEqual('3.0.0');
+    expect(doc.info).toEqual({title: 'orders', version: '2.0.0'});
+    expect(doc.channels['order-created']).toEqual({
+      address: 'orders-dev-order-created',
+      title: 'order-created',
+      messages: {'order-created': {$ref: '#/components/messages/order-created'}},
+      bindings: {
+        sns: {name: 'orders-dev-order-created', ordering: {type: 'standard'}, bindingVersion: '0.1.0'}
+      }
+    });
+    expect(doc.components.messages['order-created']).toEqual({
+      name: 'order-created', contentType: 'application/json', payload: orderSchema
+    });
+    expect(doc.operations['checkout.send.order-created']).toMatchObject({
+      action: 'send',
+      channel: {$ref: '#/channels/order-created'}
+    });
+  });
+
+  test('describes subscribers with their SNS and SQS bindings', () => {
+    const doc = build([
+      new TopicToFuncSubscription({
+        origin: topic,
+        subscriber: notifier,
+        vendorConfig: null,
+        filterPolicy: {type: ['gift']},
+        filterPolicyScope: 'MessageAttributes'
+      }),
+      new TopicToQueueSubscription({origin: topic, subscriber: queue, vendorConfig: {RawMessageDelivery: true}}),
+      new QueueToFuncSubscription({origin: queue, subscriber: shipper, vendorConfig: null})
+    ]);
+    expect(doc.operations['notify.receive.order-created'].bindings).toEqual({
+      sns: {
+        consumers: [{
+          protocol: 'lambda',
+          endpoint: {name: 'notify'},
+          rawMessageDelivery: false,
+          filterPolicy: {type: ['gift']},
+          filterPolicyScope: 'MessageAttributes'
+        }],
+        bindingVersion: '0.1.0'
+      }
+    });
+    expect(doc.operations['ship.receive.order-created'].bindings).toEqual({
+      sns: {
+        consumers: [{protocol: 'sqs', endpoint: {name: 'orders-dev-shipping'}, rawMessageDelivery: true}],
+        bindingVersion: '0.1.0'
+      },
+      sqs: {
+        queues: [{
+          name: 'orders-dev-shipping',
+          fifoQueue: false,
+          redrivePolicy: {deadLetterQueue: {name: 'orders-dev-shipping-dlq'}, maxReceiveCount: 5}
+        }],
+        bindingVersion: '0.2.0'
+      }
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { catalogTopics } = require('../catalog');
+
+describe('catalogTopics', () => {
+  const orderSchema = {type: 'object', properties: {id: {$ref: '#/components/schemas/Id'}}};
+
+  test('reads topics from AsyncAPI 3 channels', () => {
+    expect(catalogTopics({
+      asyncapi: '3.0.0',
+      channels: {
+        orderCreated: {
+          address: 'order-created',
+          messages: {created: {$ref: '#/components/messages/OrderCreated'}},
+          bindings: {
+            sns: {ordering: {type: 'FIFO', contentBasedDeduplication: false}, tags: {team: 'orders'}}
+          }
+        },
+        audit: {}
+      },
+      components: {
+        messages: {OrderCreated: {payload: orderSchema}},
+        schemas: {Id: {type: 'string'}}
+      }
+    })).toEqual({
+      'order-created': {
+        fifo: true,
+        ContentBasedDeduplication: false,
+        Tags: [{Key: 'team', Value: 'orders'}],
+        schema: {type: 'object', properties: {id: {type: 'string'}}}
+      },
+      audit: {}
+    });
+  });
+
+  test('reads topics from AsyncAPI 2 channels', () => {
+    expect(catalogTopics({
+      asyncapi: '2.6.0',
+      channels: {
+        'order-updated': {
+          subscribe: {
+            message: {oneOf: [{payload: {type: 'object'}}, {payload: {type: 'array'}}]}
+          }
+        }
+      }
+    })).toEqual({
+      'order-updated': {schema: {oneOf: [{type: 'object'}, {type: 'array'}]}}
+    });
+  });
+
+  test('rejects other documents and unsupported channels', () => {
+    expect(() => catalogTopics({openapi: '3.0.0'})).toThrow('expected an AsyncAPI 2.x or 3.x document');
+    expect(() => catalogTopics({asyncapi: '3.0.0', channels: {user: {address: 'user/{id}'}}}))
+      .toThrow('channel user has a parameterized address');
+    expect(() => catalogTopics({asyncapi: '3.0.0', channels: {a: {$ref: 'other.yaml#/channels/a'}}}))
+      .toThrow('only references within the catalog');
+    expect(() => catalogTopics({
+      asyncapi: '3.0.0', channels: {a: {messages: {m: {$ref: '#/components/messages/m'}}}},
+      components: {messages: {m: {payload: {$ref: '#/components/messages/m'}}}}
+    })).toThrow('Circular $ref #/components/messages/m');
+  });
+});
@@ -0,0 +1,199 @@
+const {
+  validateFilterPolicy, matchesFilterPolicy, validateEventPattern, matchesEventPattern
+} = require('../filters');
+
+describe('validateFilterPolicy', () => {
+
+  test('accepts valid attribute policies', () => {
+    expect(validateFilterPolicy({
+      eventType: ['order_placed', {prefix: 'order_'}],
+      price: [{numeric: ['>=', 100, '<', 200]}],
+      store: [{'anything-but': ['example_corp', 'acme']}],
+      region: [{'anything-but': {prefix: 'us-'}}],
+      customer: [{exists: true}],
+      sourceIp: [{cidr: '10.0.0.0/24'}],
+      channel: [{suffix: '-web'}, {'equals-ignore-case': 'MOBILE'}]
+    })).toEqual([]);
+  });
+
+  test('accepts nested policies and $or in body scope', () => {
+    expect(validateFilterPolicy({
+      order: {
+        status: ['paid'],
+        items: {sku: [{prefix: 'A'}]}
+      },
+      $or: [
+        {source: ['web']},
+        {priority: [{numeric: ['>', 3]}]}
+      ]
+    }, 'MessageBody')).toEqual([]);
+  });
+
+  test('rejects nested policies in attribute scope', () => {
+    expect(validateFilterPolicy({order: {status: ['paid']}})).toEqual([
+      'order: must be a list of values (nested policies require the body filter scope)'
+    ]);
+  });
+
+  test('rejects unknown and malformed operators', () => {
+    expect(validateFilterPolicy({
+      a: [{wildcard: 'x*'}],
+      b: [{numeric: ['<', 5, '>', 1]}],
+      c: [{numeric: ['!=', 1]}],
+      d: [{exists: 'yes'}],
+      e: [{cidr: '10.0.0.300/8'}],
+      f: [],
+      g: [{prefix: 'a', suffix: 'b'}]
+    })).toEqual([
+      'a[0]: unknown operator "wildcard"',
+      'b[0]: numeric ranges must be a lower bound (> or >=) followed by an upper bound (< or <=)',
+      'c[0]: unknown numeric operator "!="',
+      'd[0]: exists must be true or false',
+      'e[0]: cidr must be an IP address or CIDR block, got "10.0.0.300/8"',
+      'f: must not be an empty list',
+      'g[0]: operator objects must have exactly one operator'
+    ]);
+  });
+
+  test('rejects policies nested deeper than five levels', () => {
+    expect(validateFilterPolicy(
+      {a: {b: {c: {d: {e: {f: ['x']}}}}}}, 'MessageBody'
+    )).toEqual(['a.b.c.d.e: nesting depth exceeds 5']);
+  });
+
+  test('rejects policies with more than 150 value combinations', () => {
+    const values = count => Array.from({length: count}, (_, i) => `v${i}`);
+    expect(validateFilterPolicy({a: values(10), b: values(15)})).toEqual([]);
+    expect(validateFilterPolicy({a: values(10), b: values(16)})).toEqual([
+      'policy has 160 value combinations, the maximum is 150'
+    ]);
+  });
+
+  test('rejects an empty policy', () => {
+    expect(validateFilterPolicy({})).toEqual(['policy: must not be empty']);
+  });
+});
+
+describe('matchesFilterPolicy', () => {
+  const attributes = (values) => Object.keys(values).reduce((attrs, key) => {
+    const value = values[key];
+    attrs[key] = Array.isArray(value)
+      ? {Type: 'String.Array', Value: JSON.stringify(value)}
+      : {Type: typeof value === 'number' ? 'Number' : 'String', Value: String(value)};
+    return attrs;
+  }, {});
+  const matchesAttributes = (policy, values) => matchesFilterPolicy(
+    policy, 'MessageAttributes', {message: '', attributes: attributes(values)}
+  );
+  const matchesBody = (policy, body) => matchesFilterPolicy(
+    policy, 'MessageBody', {message: JSON.stringify(body), attributes: {}}
+  );
+
+  test('matches exact values', () => {
+    expect(matchesAttributes({type: ['a', 'b']}, {type: 'b'})).toBe(true);
+    expect(matchesAttributes({type: ['a', 'b']}, {type: 'c'})).toBe(false);
+    expect(matchesAttributes({type: ['a']}, {})).toBe(false);
+    expect(matchesAttributes({price: [100]}, {price: 100.0})).toBe(true);
+    expect(matchesAttributes({price: [100]}, {price: '100'})).toBe(false);
+  });
+
+  test('requires every key to match', () => {
+    expect(matchesAttributes({type: ['a'], store: ['x']}, {type: 'a', store: 'x'})).toBe(true);
+    expect(matchesAttributes({type: ['a'], store: ['x']}, {type: 'a', store: 'y'})).toBe(false);
+  });
+
+  test('matches any item of a String.Array attribute', () => {
+    expect(matchesAttributes({tags: ['vip']}, {tags: ['new', 'vip']})).toBe(true);
+    expect(matchesAttributes({tags: ['vip']}, {tags: ['new']})).toBe(false);
+  });
+
+  test('matches prefixes, suffixes and ignoring case', () => {
+    expect(matchesAttributes({type: [{prefix: 'order_'}]}, {type: 'order_placed'})).toBe(true);
+    expect(matchesAttributes({type: [{prefix: 'order_'}]}, {type: 'refund'})).toBe(false);
+    expect(matchesAttributes({type: [{suffix: '_placed'}]}, {type: 'order_placed'})).toBe(true);
+    expect(matchesAttributes({type: [{'equals-ignore-case': 'WEB'}]}, {type: 'web'})).toBe(true);
+  });
+
+  test('matches anything-but', () => {
+    expect(matchesAttributes({store: [{'anything-but': ['a', 'b']}]}, {store: 'c'})).toBe(true);
+    expect(matchesAttributes({store: [{'anything-but': ['a', 'b']}]}, {store: 'a'})).toBe(false);
+    expect(matchesAttributes({store: [{'anything-but': 'a'}]}, {})).toBe(false);
+    expect(matchesAttributes({store: [{'anything-but': {prefix: 'us-'}}]}, {store: 'eu-1'})).toBe(true);
+    expect(matchesAttributes({store: [{'anything-but': {prefix: 'us-'}}]}, {store: 'us-1'})).toBe(false);
+    expect(matchesAttributes({price: [{'anything-but': [100]}]}, {price: 50})).toBe(true);
+  });
+
+  test('matches numeric ranges', () => {
+    const policy = {price: [{numeric: ['>=', 100, '<', 200]}]};
+    expect(matchesAttributes(policy, {price: 100})).toBe(true);
+    expect(matchesAttributes(policy, {price: 200})).toBe(false);
+    expect(matchesAttributes(policy, {price: 'cheap'})).toBe(false);
+    expect(matchesAttributes({price: [{numeric: ['=', 5]}]}, {price: 5})).toBe(true);
+  });
+
+  test('matches exists', () => {
+    expect(matchesAttributes({store: [{exists: true}]}, {store: 'a'})).toBe(true);
+    expect(matchesAttributes({store: [{exists: true}]}, {})).toBe(false);
+    expect(matchesAttributes({store: [{exists: false}]}, {})).toBe(true);
+    expect(matchesAttributes({store: [{exists: false}]}, {store: 'a'})).toBe(false);
+  });
+
+  test('matches IP addresses', () => {
+    expect(matchesAttributes({ip: [{cidr: '10.0.0.0/24'}]}, {ip: '10.0.0.255'})).toBe(true);
+    expect(matchesAttributes({ip: [{cidr: '10.0.0.0/24'}]}, {ip: '10.0.1.0'})).toBe(false);
+    expect(matchesAttributes({ip: [{cidr: '2001:db8::/32'}]}, {ip: '2001:db8:1::1'})).toBe(true);
+    expect(matchesAttributes({ip: [{cidr: '2001:db8::/32'}]}, {ip: '2001:db9::1'})).toBe(false);
+    expect(matchesAttributes({ip: [{cidr: '10.0.0.1'}]}, {ip: '10.0.0.1'})).toBe(true);
+  });
+
+  test('matches $or', () => {
+    const policy = {$or: [{source: ['web']}, {priority: [{numeric: ['>', 3]}]}]};
+    expect(matchesAttributes(policy, {source: 'web'})).toBe(true);
+    expect(matchesAttributes(policy, {priority: 5})).toBe(true);
+    expect(matchesAttributes(policy, {source: 'app', priority: 1})).toBe(false);
+  });
+
+  test('matches nested message body values', () => {
+    const policy = {order: {status: ['paid'], total: [{numeric: ['>', 10]}]}};
+    expect(matchesBody(policy, {order: {status: 'paid', total: 20}})).toBe(true);
+    expect(matchesBody(policy, {order: {status: 'paid', total: 5}})).toBe(false);
+    expect(matchesBody(policy, {order: 'paid'})).toBe(false);
+    expect(matchesBody({tags: ['vip']}, {tags: ['new', 'vip']})).toBe(true);
+    expect(matchesBody({deleted: [null]}, {deleted: null})).toBe(true);
+    expect(matchesBody({active: [true]}, {active: true})).toBe(true);
+  });
+
+  test('does not match message bodies that are not JSON objects', () => {
+    expect(matchesFilterPolicy(
+      {type: ['a']}, 'MessageBody', {message: 'not json', attributes: {}}
+    )).toBe(false);
+  });
+});
+
+describe('event patterns', () => {
+  const event = {
+    source: 'orders',
+    'detail-type': 'OrderPlaced',
+    detail: {status: 'paid', total: 20, customer: {tier: 'gold-plus'}}
+  };
+
+  test('validates event patterns', () => {
+    expect(validateEventPattern({
+      source: ['orders'],
+      detail: {customer: {tier: [{wildcard: 'gold*'}]}}
+    })).toEqual([]);
+    expect(validateEventPattern({source: 'orders', detail: {}})).toEqual([
+      'source: must be a list of values or a nested policy',
+      'detail: must not be empty'
+    ]);
+    expect(validateEventPattern({a: {b: {c: {d: {e: {f: ['deep']}}}}}})).toEqual([]);
+  });
+
+  test('matches events', () => {
+    expect(matchesEventPattern({source: ['orders'], detail: {status: ['paid']}}, event)).toBe(true);
+    expect(matchesEventPattern({'detail-type': [{prefix: 'Order'}], detail: {total: [{numeric: ['>', 50]}]}}, event))
+      .toBe(false);
+    expect(matchesEventPattern({detail: {customer: {tier: [{wildcard: 'gold*'}]}}}, event)).toBe(true);
+    expect(matchesEventPattern({detail: {customer: {tier: [{wildcard: 'silver*'}]}}}, event)).toBe(false);
+  });
+});
@@ -0,0 +1,78 @@
+const { buildManifest, renderDot, renderMermaid } = require('../graph');
+const { Func, Topic, Queue } = require('../models');
+const {
+  QueueToFuncSubscription, TopicToQueueSubscription, TopicToFuncSubscription
+} = require('../models/subscription');
+
+describe('graph', () => {
+  let manifest;
+
+  beforeEach(() => {
+    const topic = new Topic({name: 'order-created', vendorConfig: {}});
+    const external = new Topic({name: 'payments', vendorConfig: {}, arn: 'arn:aws:sns:us-east-1:123456789012:payments'});
+    const queue = new Queue({name: 'shipping', vendorConfig: {}});
+    queue.deadLetter = {queue: new Queue({name: 'shipping-dlq', vendorConfig: {}}), maxReceiveCount: 5};
+    const checkout = new Func({name: 'checkout', serverlessConfig: {publishes: ['order-created']}});
+    const ship = new Func({name: 'ship', serverlessConfig: {}});
+    const notify = new Func({name: 'notify', serverlessConfig: {}});
+    const idle = new Func({name: 'idle', serverlessConfig: {}});
+    manifest = buildManifest({
+      service: 'orders',
+      stage: 'dev',
+      topics: [topic, external],
+      queues: [queue, queue.deadLetter.queue],
+      buses: [],
+      funcs: [checkout, ship, notify, idle],
+      subscriptions: [
+        new TopicToQueueSubscription({origin: topic, subscriber: queue}),
+        new QueueToFuncSubscription({origin: queue, subscriber: ship}),
+        new TopicToFuncSubscription({
+          origin: external,
+          subscriber: notify,
+          filterPolicy: {currency: ['EUR']},
+          filterPolicyScope: 'MessageAttributes'
+        })
+      ]
+    });
+  });
+
+  test('builds a manifest of the connected resources', () => {
+    expect(manifest.nodes).toEqual([
+      {id: 'topic:order-created', type: 'topic', name: 'order-created', fifo: false, external: false},
+      {id: 'topic:payments', type: 'topic', name: 'payments', fifo: false, external: true},
+      {id: 'queue:shipping', type: 'queue', name: 'shipping', fifo: false, external: false},
+      {id: 'queue:shipping-dlq', type: 'queue', name: 'shipping-dlq', fifo: false, external: false},
+      {id: 'function:checkout', type: 'function', name: 'checkout'},
+      {id: 'function:ship', type: 'function', name: 'ship'},
+      {id: 'function:notify', type: 'function', name: 'notify'}
+    ]);
+    expect(manifest.edges).toEqual([
+      {from: 'function:checkout', to: 'topic:order-created', kind: 'publish'},
+      {from: 'topic:order-created', to: 'queue:shipping', kind: 'subscription'},
+      {from: 'queue:shipping', to: 'function:ship', kind: 'subscription'},
+      {
+        from: 'topic:payments', to: 'function:notify', kind: 'subscription',
+        filterPolicy: {currency: ['EUR']}, filterPolicyScope: 'MessageAttributes'
+      },
+      {from: 'queue:shipping', to: 'queue:shipping-dlq', kind: 'deadLetter'}
+    ]);
+  });
+
+  test('renders DOT', () => {
+    const dot = renderDot(manifest);
+    expect(dot).toMatch(/^digraph "orders" \{\n {2}rankdir=LR;\n/);
+    expect(dot).toContain('  "topic:payments" [label="payments", shape=ellipse, style=dashed];');
+    expect(dot).toContain('  "function:checkout" -> "topic:order-created" [label="publishes"];');
+    expect(dot).toContain('  "queue:shipping" -> "queue:shipping-dlq" [label="dead letter", style=dashed];');
+  });
+
+  test('renders Mermaid', () => {
+    const mermaid = renderMermaid(manifest);
+    expect(mermaid).toMatch(/^flowchart LR\n/);
+    expect(mermaid).toContain('  n0(["order-created"])');
+    expect(mermaid).toContain('  n2[("shipping")]');
+    expect(mermaid).toContain('  n4["checkout"]');
+    expect(mermaid).toContain('  n4 -->|"publishes"| n0');
+    expect(mermaid).toContain('  n2 -.->|"dead letter"| n3');
+  });
+});
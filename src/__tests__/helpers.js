@@ -15,3 +15,25 @@ describe('formatCLIOptions helper', () => {
     ]);
   });
 });
+
+describe('stripFifoSuffix helper', () => {
+  it('should remove the .fifo suffix', () => {
+    expect(helpers.stripFifoSuffix('orders.fifo')).toEqual('orders');
+    expect(helpers.stripFifoSuffix('orders')).toEqual('orders');
+  });
+});
+
+describe('arnResourceName helper', () => {
+  it('should return the last segment of literal Arns', () => {
+    expect(helpers.arnResourceName('arn:aws:sqs:us-east-1:123:jobs.fifo')).toEqual('jobs.fifo');
+    expect(helpers.arnResourceName({'Fn::ImportValue': 'jobs-arn'})).toBeNull();
+  });
+});
+
+describe('offlineChannel helper', () => {
+  it('should scope channels by type and escape dots', () => {
+    expect(helpers.offlineChannel({type: 'topic', name: 'orders.fifo'})).toEqual('topic:orders%2Efifo');
+    expect(helpers.offlineChannel({type: 'queue', name: 'orders'})).toEqual('queue:orders');
+    expect(helpers.offlineChannel({type: 'topic', name: 'orders%2Efifo'})).toEqual('topic:orders%252Efifo');
+  });
+});
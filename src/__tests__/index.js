@@ -1,14 +1,38 @@
 
+jest.mock('child_process', () => ({execFile: jest.fn()}));
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PubSub = require('pubsub-js');
+
 const ServerlessPluginPubSub = require('../');
+const Server = require('../offline');
+const schema = require('../schema');
 
 let sls;
 let options;
 let plugin;
 
-const normalizeNameToAlphaNumericOnly = (name) => name.replace(/-/g, '');
+// Runs the hooks of the package command that the plugin uses
+const packageService = async() => {
+  await plugin.hooks['after:package:initialize']();
+  await plugin.hooks['before:package:finalize']();
+};
+
+// Statements of the publish policy of a function's generated role
+const publisherStatements = (funcName) => plugin.slsCustomResources[
+  `${funcName[0].toUpperCase()}${funcName.slice(1)}PubSubRole`
+].Properties.Policies.slice(-1)[0].PolicyDocument.Statement;
+
+const normalizeNameToAlphaNumericOnly = (name) => name.replace(/[^0-9A-Za-z]/g, '');
 
 beforeEach(() => {
   sls = {
+    cli: {
+      log: jest.fn()
+    },
     processedInput: {
       commands: [],
     },
@@ -84,18 +108,52 @@ beforeEach(() => {
           }
         },
       },
-      provider: {},
+      provider: {
+        // The default role and functions, as Serverless compiles them
+        compiledCloudFormationTemplate: {
+          Resources: {
+            IamRoleLambdaExecution: {
+              Type: 'AWS::IAM::Role',
+              Properties: {
+                AssumeRolePolicyDocument: {Version: '2012-10-17', Statement: []},
+                Policies: [{
+                  PolicyName: 'serviceName-stageName-lambda',
+                  PolicyDocument: {
+                    Version: '2012-10-17',
+                    Statement: [{Effect: 'Allow', Action: ['logs:PutLogEvents'], Resource: '*'}]
+                  }
+                }],
+                Path: '/',
+                RoleName: 'serviceName-stageName-eu-west-1-lambdaRole'
+              }
+            },
+            fooLogicalID: {
+              Type: 'AWS::Lambda::Function',
+              Properties: {Role: {'Fn::GetAtt': ['IamRoleLambdaExecution', 'Arn']}},
+              DependsOn: ['FooLogGroup', 'IamRoleLambdaExecution']
+            },
+            barLogicalID: {
+              Type: 'AWS::Lambda::Function',
+              Properties: {Role: {'Fn::GetAtt': ['IamRoleLambdaExecution', 'Arn']}},
+              DependsOn: ['BarLogGroup', 'IamRoleLambdaExecution']
+            }
+          }
+        }
+      },
     },
     getProvider: () => ({
       naming: {
         getQueueLogicalId: (func, queue) => `${normalizeNameToAlphaNumericOnly(queue)}To${func}`,
         getLambdaLogicalId: (funcName) => `${funcName}LogicalID`,
+        getNormalizedFunctionName: (funcName) => funcName[0].toUpperCase() + funcName.slice(1),
+        getRoleLogicalId: () => 'IamRoleLambdaExecution',
         getTopicLogicalId: (topicName) => `SNSTopic${normalizeNameToAlphaNumericOnly(topicName)}`,
         getLambdaSnsSubscriptionLogicalId: (func, topic) => `${normalizeNameToAlphaNumericOnly(topic)}To${func}`,
         normalizeNameToAlphaNumericOnly: normalizeNameToAlphaNumericOnly
       },
 
-      getStage: () => 'stageName'
+      getStage: () => 'stageName',
+      getRegion: () => 'eu-west-1'
     }),
     variables: {
       getValueFromSource: () => ''
@@ -181,38 +239,45 @@ describe('generateResources method', () => {
   test('should generate all resources', async() => {
     await plugin.hooks['after:package:initialize']();
     expect(plugin.slsCustomResources).toEqual({
-      SNSToSQSPolicy: {
+      SQSQueuebarqueuePolicy: {
+        Type: 'AWS::SQS::QueuePolicy',
         Properties: {
+          Queues: [{Ref: 'SQSQueuebarqueue'}],
           PolicyDocument: {
-            Statement: [
-              {
-                Action: 'sqs:SendMessage',
-                Condition: {
-                  ArnEquals: {
-                    'aws:SourceArn': [
-                      { Ref: 'SNSTopicfoohappened' },
-                      'arn:aws:sns:us-east-1:10101010:some-external-topic',
-                      { Ref: 'SNSTopicbazhappened' }
-                     ]
-                  }
-                },
-                Effect: 'Allow',
-                Principal: '*',
-                Resource: '*'
-              },
-            ],
-            Version: '2012-10-17'
-          },
-          Queues: [
-            {
-              Ref: 'SQSQueuebarqueue'
-            },
-            {
-              Ref: 'SQSQueuehandleExtEvtqueue'
-            }
-          ]
-        },
-        Type: 'AWS::SQS::QueuePolicy'
+            Version: '2012-10-17',
+            Statement: [{
+              Effect: 'Allow',
+              Principal: {Service: 'sns.amazonaws.com'},
+              Action: 'sqs:SendMessage',
+              Resource: {'Fn::GetAtt': ['SQSQueuebarqueue', 'Arn']},
+              Condition: {
+                ArnEquals: {
+                  'aws:SourceArn': [{Ref: 'SNSTopicfoohappened'}]
+                }
+              }
+            }]
+          }
+        }
+      },
+      SQSQueuehandleExtEvtqueuePolicy: {
+        Type: 'AWS::SQS::QueuePolicy',
+        Properties: {
+          Queues: [{Ref: 'SQSQueuehandleExtEvtqueue'}],
+          PolicyDocument: {
+            Version: '2012-10-17',
+            Statement: [{
+              Effect: 'Allow',
+              Principal: {Service: 'sns.amazonaws.com'},
+              Action: 'sqs:SendMessage',
+              Resource: {'Fn::GetAtt': ['SQSQueuehandleExtEvtqueue', 'Arn']},
+              Condition: {
+                ArnEquals: {
+                  'aws:SourceArn': ['arn:aws:sns:us-east-1:10101010:some-external-topic']
+                }
+              }
+            }]
+          }
+        }
       },
       SNSTopicbazhappened: {
         Properties: {
@@ -319,7 +384,8 @@ describe('generateResources method', () => {
 
 
 describe('allowLambdasToPublishSNS method', () => {
-  test('should generate a statement for each topic', async() => {
+  test('should generate a statement for each topic in shared mode', async() => {
+    sls.service.custom.pubSub.iam = 'shared';
     await plugin.hooks['after:package:initialize']();
     expect(sls.service.provider.iamRoleStatements).toEqual([
       {
@@ -389,4 +455,1582 @@ describe('pubSubTopic variable', () => {
       value: 'arn:aws:sns:us-east-1:1234567890123:serviceName-stageName-my-topic'
     });
   });
+  test('resolves the topic name and logical id', async() => {
+    const resolve = address => plugin.configurationVariablesSources.pubSubTopic.resolve({address});
+    expect(await resolve('my-topic.name')).toEqual({value: 'serviceName-stageName-my-topic'});
+    expect(await resolve('my-topic.logicalId')).toEqual({value: 'SNSTopicmytopic'});
+    expect(await resolve('my-topic.fifo.name')).toEqual({value: 'serviceName-stageName-my-topic.fifo'});
+    expect(plugin.topics.map(t => t.name)).toEqual(['my-topic', 'my-topic.fifo']);
+  });
+});
+
+describe('pubSubQueue variable', () => {
+  const resolve = address => plugin.configurationVariablesSources.pubSubQueue.resolve({address});
+
+  test('resolves the queue url, arn, name and logical id', async() => {
+    expect(await resolve('jobs')).toEqual({value: {Ref: 'SQSQueuejobs'}});
+    expect(await resolve('jobs.url')).toEqual({value: {Ref: 'SQSQueuejobs'}});
+    expect(await resolve('jobs.arn')).toEqual({value: {'Fn::GetAtt': ['SQSQueuejobs', 'Arn']}});
+    expect(await resolve('jobs.name')).toEqual({value: 'serviceName-stageName-jobs'});
+    expect(await resolve('jobs.logicalId')).toEqual({value: 'SQSQueuejobs'});
+  });
+
+  test('resolves to the offline server in offline mode', async() => {
+    plugin.offlineMode = true;
+    expect(await resolve('jobs')).toEqual({
+      value: 'http://localhost:3100/1234567890123/serviceName-stageName-jobs'
+    });
+    expect(await resolve('jobs.arn')).toEqual({
+      value: 'arn:aws:sqs:us-east-1:1234567890123:serviceName-stageName-jobs'
+    });
+  });
+
+  test('creates the queue and allows referencing functions to send to it', async() => {
+    sls.service.functions.foo.environment.JOBS_QUEUE = (await resolve('jobs')).value;
+    await packageService();
+    expect(plugin.slsCustomResources.SQSQueuejobs.Type).toEqual('AWS::SQS::Queue');
+    expect(Array.from(plugin.getFunc('foo').sentQueueNames)).toEqual(['jobs']);
+    expect(plugin.getFunc('bar').sentQueueNames.size).toEqual(0);
+    expect(publisherStatements('foo')).toEqual([{
+      Effect: 'Allow',
+      Action: ['sqs:SendMessage'],
+      Resource: [{'Fn::GetAtt': ['SQSQueuejobs', 'Arn']}]
+    }]);
+  });
+
+  test('adds a shared send statement in shared mode', async() => {
+    sls.service.custom.pubSub.iam = 'shared';
+    sls.service.functions.foo.environment.JOBS_QUEUE = (await resolve('jobs.arn')).value;
+    await plugin.hooks['after:package:initialize']();
+    expect(sls.service.provider.iamRoleStatements).toContainEqual({
+      Effect: 'Allow',
+      Action: ['sqs:SendMessage'],
+      Resource: [{'Fn::GetAtt': ['SQSQueuejobs', 'Arn']}]
+    });
+  });
+});
+
+describe('FIFO topics and queues', () => {
+  beforeEach(() => {
+    sls.service.functions.billing = {
+      handler: 'module.billing',
+      events: [{
+        pubSub: {
+          topic: {name: 'invoice-created', fifo: true},
+          queue: {name: 'billing-queue', fifo: true}
+        }
+      }]
+    };
+  });
+
+  test('generates FIFO topics and queues with the .fifo suffix', async() => {
+    await plugin.hooks['after:package:initialize']();
+    expect(plugin.slsCustomResources.SNSTopicinvoicecreated).toEqual({
+      Type: 'AWS::SNS::Topic',
+      Properties: {
+        TopicName: 'serviceName-stageName-invoice-created.fifo',
+        FifoTopic: true,
+        ContentBasedDeduplication: true
+      }
+    });
+    expect(plugin.slsCustomResources.SQSQueuebillingqueue.Properties).toEqual({
+      QueueName: 'serviceName-stageName-billing-queue.fifo',
+      FifoQueue: true,
+      ContentBasedDeduplication: true,
+      VisibilityTimeout: 4000
+    });
+  });
+
+  test('reads the fifo option from the custom config', async() => {
+    sls.service.functions.billing.events[0].pubSub.topic = 'invoice-created';
+    sls.service.custom.pubSub.topics['invoice-created'] = {
+      fifo: true, ContentBasedDeduplication: false
+    };
+    await plugin.hooks['after:package:initialize']();
+    expect(plugin.slsCustomResources.SNSTopicinvoicecreated.Properties).toEqual({
+      TopicName: 'serviceName-stageName-invoice-created.fifo',
+      FifoTopic: true,
+      ContentBasedDeduplication: false
+    });
+  });
+
+  test('treats names ending with .fifo as FIFO resources', () => {
+    expect(plugin.getTopic('ledger.fifo').fifo).toBe(true);
+    expect(plugin.namespaceResource('ledger.fifo', true))
+      .toEqual('serviceName-stageName-ledger.fifo');
+  });
+
+  test('generated queues follow the topic FIFO setting', () => {
+    sls.service.functions.billing.events[0].pubSub.queue = true;
+    plugin.collectPubSubResourcesFromFunctions();
+    expect(plugin.getQueue('billing-queue').fifo).toBe(true);
+    expect(() => plugin.validateFifoSubscriptions()).not.toThrow();
+  });
+
+  test('fails when a FIFO topic is subscribed to a standard queue', () => {
+    sls.service.functions.billing.events[0].pubSub.queue = 'billing-queue';
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'FIFO topic invoice-created cannot be subscribed to standard queue billing-queue'
+    );
+  });
+
+  test('fails when a FIFO queue is subscribed to a standard topic', () => {
+    sls.service.functions.billing.events[0].pubSub.topic = 'foo-happened';
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'FIFO queue billing-queue cannot be subscribed to standard topic foo-happened'
+    );
+  });
+
+  test('fails when a FIFO topic delivers directly to a function', () => {
+    delete sls.service.functions.billing.events[0].pubSub.queue;
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'FIFO topic invoice-created can only deliver to FIFO queues'
+    );
+  });
+
+  test('pubSubTopic resolves FIFO topics declared inline', async() => {
+    plugin.offlineMode = true;
+    expect(
+      await plugin.configurationVariablesSources.pubSubTopic.resolve({
+        address: 'invoice-created'
+      })
+    ).toEqual({
+      value: 'arn:aws:sns:us-east-1:1234567890123:serviceName-stageName-invoice-created.fifo'
+    });
+  });
+});
+
+describe('dead-letter queues', () => {
+  beforeEach(() => {
+    sls.service.functions.billing = {
+      handler: 'module.billing',
+      events: [{
+        pubSub: {
+          topic: 'invoice-created',
+          queue: {name: 'billing-queue', deadLetter: true}
+        }
+      }]
+    };
+  });
+
+  test('generates a dead-letter queue and redrive policy for a queue', async() => {
+    await plugin.hooks['after:package:initialize']();
+    expect(plugin.slsCustomResources.SQSQueuebillingqueuedlq).toEqual({
+      Type: 'AWS::SQS::Queue',
+      Properties: {
+        QueueName: 'serviceName-stageName-billing-queue-dlq',
+        MessageRetentionPeriod: 1209600,
+        VisibilityTimeout: 4000
+      }
+    });
+    expect(plugin.slsCustomResources.SQSQueuebillingqueue.Properties.RedrivePolicy).toEqual({
+      deadLetterTargetArn: {'Fn::GetAtt': ['SQSQueuebillingqueuedlq', 'Arn']},
+      maxReceiveCount: 5
+    });
+  });
+
+  test('accepts a dead-letter queue name, receive count and retention', async() => {
+    sls.service.functions.billing.events[0].pubSub.queue.deadLetter = {
+      name: 'billing-failures', maxReceiveCount: 2, retentionPeriod: 60
+    };
+    await plugin.hooks['after:package:initialize']();
+    expect(plugin.slsCustomResources.SQSQueuebillingfailures.Properties.MessageRetentionPeriod)
+      .toEqual(60);
+    expect(plugin.slsCustomResources.SQSQueuebillingqueue.Properties.RedrivePolicy).toEqual({
+      deadLetterTargetArn: {'Fn::GetAtt': ['SQSQueuebillingfailures', 'Arn']},
+      maxReceiveCount: 2
+    });
+  });
+
+  test('accepts the dead-letter config in the custom queue config', async() => {
+    sls.service.functions.billing.events[0].pubSub.queue = 'bar-queue';
+    sls.service.custom.pubSub.queues['bar-queue'].deadLetter = true;
+    await plugin.hooks['after:package:initialize']();
+    expect(plugin.slsCustomResources.SQSQueuebarqueue.Properties.RedrivePolicy).toEqual({
+      deadLetterTargetArn: {'Fn::GetAtt': ['SQSQueuebarqueuedlq', 'Arn']},
+      maxReceiveCount: 5
+    });
+    expect(plugin.slsCustomResources.SQSQueuebarqueue.Properties.deadLetter).toBeUndefined();
+  });
+
+  test('makes the dead-letter queue of a FIFO queue FIFO', async() => {
+    sls.service.functions.billing.events[0].pubSub.topic = {name: 'invoice-created', fifo: true};
+    sls.service.functions.billing.events[0].pubSub.queue = {deadLetter: true};
+    await plugin.hooks['after:package:initialize']();
+    expect(plugin.slsCustomResources.SQSQueuebillingqueuedlq.Properties.QueueName)
+      .toEqual('serviceName-stageName-billing-queue-dlq.fifo');
+  });
+
+  test('adds a redrive policy to a topic subscription without a queue', async() => {
+    sls.service.functions.billing.events[0].pubSub = {
+      topic: {name: 'invoice-created', deadLetter: true}
+    };
+    await plugin.hooks['after:package:initialize']();
+    expect(plugin.slsCustomResources.invoicecreatedTobilling.Properties.RedrivePolicy).toEqual({
+      deadLetterTargetArn: {'Fn::GetAtt': ['SQSQueuebillingdlq', 'Arn']}
+    });
+    expect(plugin.slsCustomResources.SQSQueuebillingdlq.Type).toEqual('AWS::SQS::Queue');
+  });
+
+  test('rejects a topic dead-letter queue when a queue is used', () => {
+    sls.service.functions.billing.events[0].pubSub.topic = {
+      name: 'invoice-created', deadLetter: true
+    };
+    expect(() => plugin.collectPubSubResourcesFromFunctions()).toThrow(
+      'topic.deadLetter for billing is only supported without a queue'
+    );
+  });
+});
+
+describe('subscription filter policies', () => {
+  beforeEach(() => {
+    sls.service.functions.shipping = {
+      handler: 'module.shipping',
+      events: [{
+        pubSub: {
+          topic: 'foo-happened',
+          filter: {eventType: ['order_placed']}
+        }
+      }]
+    };
+  });
+
+  test('adds the filter policy to the topic subscription', async() => {
+    await plugin.hooks['after:package:initialize']();
+    const props = plugin.slsCustomResources.foohappenedToshipping.Properties;
+    expect(props.FilterPolicy).toEqual({eventType: ['order_placed']});
+    expect(props.FilterPolicyScope).toEqual('MessageAttributes');
+  });
+
+  test('adds the filter policy to the queue subscription in body scope', async() => {
+    Object.assign(sls.service.functions.shipping.events[0].pubSub, {
+      queue: true,
+      filterScope: 'body',
+      filter: {order: {status: ['paid']}}
+    });
+    await plugin.hooks['after:package:initialize']();
+    const props = plugin.slsCustomResources
+      .SQSQueueshippingqueueToSNSTopicfoohappenedSubscription.Properties;
+    expect(props.FilterPolicy).toEqual({order: {status: ['paid']}});
+    expect(props.FilterPolicyScope).toEqual('MessageBody');
+  });
+
+  test('names the function when the filter policy is invalid', () => {
+    sls.service.functions.shipping.events[0].pubSub.filter = {eventType: [{like: 'order%'}]};
+    expect(() => plugin.collectPubSubResourcesFromFunctions()).toThrow(
+      'Invalid filter policy for shipping subscription to foo-happened:\n  eventType[0]: unknown operator "like"'
+    );
+  });
+
+  test('rejects unknown filter scopes', () => {
+    sls.service.functions.shipping.events[0].pubSub.filterScope = 'headers';
+    expect(() => plugin.collectPubSubResourcesFromFunctions()).toThrow(
+      'Invalid filterScope for shipping subscription to foo-happened: expected one of attributes, body, got headers'
+    );
+  });
+});
+
+describe('defineConfigSchema', () => {
+  test('registers the pubSub event and custom.pubSub schemas', () => {
+    sls.configSchemaHandler = {
+      defineFunctionEvent: jest.fn(),
+      defineFunctionProperties: jest.fn(),
+      defineCustomProperties: jest.fn()
+    };
+    plugin = new ServerlessPluginPubSub(sls, options);
+    expect(sls.configSchemaHandler.defineFunctionEvent).toHaveBeenCalledWith(
+      'aws', 'pubSub', expect.objectContaining({anyOf: expect.any(Array)})
+    );
+    expect(sls.configSchemaHandler.defineFunctionProperties).toHaveBeenCalledWith(
+      'aws', {properties: {publishes: {type: 'array', items: {type: 'string'}}}}
+    );
+    const [custom] = sls.configSchemaHandler.defineCustomProperties.mock.calls[0];
+    expect(custom.properties.pubSub.additionalProperties).toBe(false);
+    expect(Object.keys(custom.properties.pubSub.properties)).toEqual(
+      ['topics', 'queues', 'buses', 'defaults', 'offline', 'iam', 'exports', 'serviceReferences', 'encryption', 'monitoring', 'catalog', 'lint', 'longNames', 'naming']
+    );
+  });
+
+  test('rejects unknown keys in the pubSub event', () => {
+    const objectSchema = ({anyOf}) => anyOf.find(s => s.type === 'object');
+    const eventObject = objectSchema(schema.pubSubEvent);
+    const queueObject = objectSchema(eventObject.properties.queue);
+    expect(eventObject.additionalProperties).toBe(false);
+    expect(queueObject.additionalProperties).toBe(false);
+    expect(Object.keys(queueObject.properties)).toEqual(
+      ['name', 'arn', 'fifo', 'deadLetter', 'raw', 'subscription']
+    );
+  });
+});
+
+describe('per-function publish permissions', () => {
+  const topicArn = (name) => ({
+    'Fn::Join': [':', [
+      'arn', {Ref: 'AWS::Partition'}, 'sns', {Ref: 'AWS::Region'},
+      {Ref: 'AWS::AccountId'}, `serviceName-stageName-${name}`
+    ]]
+  });
+
+  beforeEach(async() => {
+    // Resolve the pubSubTopic variable the way serverless would
+    sls.service.functions.foo.environment.PUBLISH_TOPIC = (
+      await plugin.configurationVariablesSources.pubSubTopic.resolve({address: 'foo-happened'})
+    ).value;
+  });
+
+  test('detects topics referenced with the pubSubTopic variable', async() => {
+    await plugin.hooks['after:package:initialize']();
+    expect(Array.from(plugin.getFunc('foo').publishedTopicNames)).toEqual(['foo-happened']);
+    // Subscribing to a topic does not make a function a publisher
+    expect(plugin.getFunc('baz').publishedTopicNames.size).toEqual(0);
+  });
+
+  test('does not grant publish permissions to every function', async() => {
+    await plugin.hooks['after:package:initialize']();
+    expect(sls.service.provider.iamRoleStatements).toBeUndefined();
+  });
+
+  test('generates a role for each publishing function', async() => {
+    await packageService();
+    const resources = plugin.slsCustomResources;
+    const compiled = sls.service.provider.compiledCloudFormationTemplate.Resources;
+    expect(resources.BarPubSubRole).toBeUndefined();
+    expect(resources.FooPubSubRole).toEqual({
+      Type: 'AWS::IAM::Role',
+      Properties: {
+        AssumeRolePolicyDocument: {Version: '2012-10-17', Statement: []},
+        Policies: [
+          compiled.IamRoleLambdaExecution.Properties.Policies[0],
+          {
+            PolicyName: 'serviceName-stageName-foo-pubsub',
+            PolicyDocument: {
+              Version: '2012-10-17',
+              Statement: [
+                {Effect: 'Allow', Action: ['sns:Publish'], Resource: [topicArn('foo-happened')]}
+              ]
+            }
+          }
+        ],
+        Path: '/'
+      }
+    });
+    expect(compiled.fooLogicalID.Properties.Role).toEqual({'Fn::GetAtt': ['FooPubSubRole', 'Arn']});
+    expect(compiled.fooLogicalID.DependsOn).toEqual(['FooLogGroup', 'FooPubSubRole']);
+    expect(compiled.barLogicalID.Properties.Role).toEqual({'Fn::GetAtt': ['IamRoleLambdaExecution', 'Arn']});
+    // The default role is left as it is
+    expect(compiled.IamRoleLambdaExecution.Properties.Policies).toHaveLength(1);
+  });
+
+  test('keeps the permissions of each publisher to itself', async() => {
+    sls.service.functions.bar.publishes = ['bar-happened'];
+    await packageService();
+    expect(plugin.slsCustomResources.SNSTopicbarhappened.Type).toEqual('AWS::SNS::Topic');
+    expect(publisherStatements('foo')).toEqual([
+      {Effect: 'Allow', Action: ['sns:Publish'], Resource: [topicArn('foo-happened')]}
+    ]);
+    expect(publisherStatements('bar')).toEqual([
+      {Effect: 'Allow', Action: ['sns:Publish'], Resource: [topicArn('bar-happened')]}
+    ]);
+    const policies = Object.keys(plugin.slsCustomResources)
+      .filter(id => plugin.slsCustomResources[id].Type === 'AWS::IAM::Policy');
+    expect(policies).toEqual([]);
+  });
+
+  test('copies the event source permissions and settings of the default role', async() => {
+    const stream = 'arn:aws:dynamodb:us-east-1:123456789012:table/orders/stream/2024-01-01T00:00:00.000';
+    sls.service.functions.foo.events = [{stream: {type: 'dynamodb', arn: stream}}];
+    // Serverless adds the permissions of event sources to the default role
+    const defaultRole = sls.service.provider.compiledCloudFormationTemplate.Resources.IamRoleLambdaExecution;
+    const streamStatement = {
+      Effect: 'Allow',
+      Action: ['dynamodb:GetRecords', 'dynamodb:GetShardIterator', 'dynamodb:DescribeStream', 'dynamodb:ListStreams'],
+      Resource: [stream]
+    };
+    defaultRole.Properties.Policies[0].PolicyDocument.Statement.push(streamStatement);
+    defaultRole.Properties.Path = '/services/';
+    defaultRole.Properties.Tags = [{Key: 'team', Value: 'orders'}];
+    await packageService();
+    const role = plugin.slsCustomResources.FooPubSubRole.Properties;
+    expect(role.Policies[0].PolicyDocument.Statement).toContainEqual(streamStatement);
+    expect(role.Path).toEqual('/services/');
+    expect(role.Tags).toEqual([{Key: 'team', Value: 'orders'}]);
+    // Role names must be unique, so Cloudformation names the copy
+    expect(role.RoleName).toBeUndefined();
+    expect(sls.service.functions.foo.events).toEqual([{stream: {type: 'dynamodb', arn: stream}}]);
+  });
+
+  test('does not generate roles in shared mode', async() => {
+    sls.service.custom.pubSub.iam = 'shared';
+    await packageService();
+    expect(plugin.slsCustomResources.FooPubSubRole).toBeUndefined();
+  });
+
+  test('attaches a policy to a custom function role', async() => {
+    sls.service.functions.foo.role = 'MyCustomRole';
+    await plugin.hooks['after:package:initialize']();
+    expect(sls.service.functions.foo.role).toEqual('MyCustomRole');
+    expect(plugin.slsCustomResources.FooPubSubPublishPolicy).toEqual({
+      Type: 'AWS::IAM::Policy',
+      Properties: {
+        PolicyName: 'serviceName-stageName-foo-pubsub',
+        Roles: [{Ref: 'MyCustomRole'}],
+        PolicyDocument: {
+          Version: '2012-10-17',
+          Statement: [
+            {Effect: 'Allow', Action: ['sns:Publish'], Resource: [topicArn('foo-happened')]}
+          ]
+        }
+      }
+    });
+  });
+
+  test('rejects unknown iam modes', () => {
+    sls.service.custom.pubSub.iam = 'wildcard';
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'Invalid custom.pubSub.iam mode wildcard, expected one of perFunction, shared'
+    );
+  });
+});
+
+describe('allowSNSToSQSSubscriptions method', () => {
+  test('only allows the topics subscribed to each queue', async() => {
+    sls.service.functions.qux = {
+      handler: 'module.qux',
+      events: [
+        {pubSub: {topic: 'foo-happened', queue: 'shared-queue'}},
+        {pubSub: {topic: 'baz-happened', queue: 'shared-queue'}},
+        {pubSub: {topic: 'baz-happened', queue: 'shared-queue'}}
+      ]
+    };
+    await plugin.hooks['after:package:initialize']();
+    const statement = plugin.slsCustomResources.SQSQueuesharedqueuePolicy
+      .Properties.PolicyDocument.Statement[0];
+    expect(statement.Condition.ArnEquals['aws:SourceArn']).toEqual([
+      {Ref: 'SNSTopicfoohappened'},
+      {Ref: 'SNSTopicbazhappened'}
+    ]);
+  });
+
+  test('allows topics to send to their subscription dead-letter queues', async() => {
+    sls.service.functions.baz.events[0].pubSub = {
+      topic: {name: 'foo-happened', deadLetter: true}
+    };
+    await plugin.hooks['after:package:initialize']();
+    const statement = plugin.slsCustomResources.SQSQueuebazdlqPolicy
+      .Properties.PolicyDocument.Statement[0];
+    expect(statement.Condition.ArnEquals['aws:SourceArn']).toEqual([
+      {Ref: 'SNSTopicfoohappened'}
+    ]);
+  });
+
+  test('does not create policies for queues without source topics', async() => {
+    sls.service.functions.bar.events[0].pubSub.queue.deadLetter = true;
+    await plugin.hooks['after:package:initialize']();
+    expect(plugin.slsCustomResources.SQSQueuebarqueuedlq).toBeDefined();
+    expect(plugin.slsCustomResources.SQSQueuebarqueuedlqPolicy).toBeUndefined();
+  });
+});
+
+describe('cross-service topics', () => {
+  test('exports the arn of each topic and the arn and url of each queue', async() => {
+    await plugin.hooks['after:package:initialize']();
+    const outputs = sls.service.resources.Outputs;
+    expect(outputs.SNSTopicfoohappenedArn).toEqual({
+      Description: 'Arn of the foo-happened pubSub topic',
+      Value: {Ref: 'SNSTopicfoohappened'},
+      Export: {Name: 'serviceName-stageName-pubsub-topic-foo-happened-arn'}
+    });
+    expect(outputs.SQSQueuebarqueueArn).toEqual({
+      Description: 'Arn of the bar-queue pubSub queue',
+      Value: {'Fn::GetAtt': ['SQSQueuebarqueue', 'Arn']},
+      Export: {Name: 'serviceName-stageName-pubsub-queue-bar-queue-arn'}
+    });
+    expect(outputs.SQSQueuebarqueueUrl).toEqual({
+      Description: 'Url of the bar-queue pubSub queue',
+      Value: {Ref: 'SQSQueuebarqueue'},
+      Export: {Name: 'serviceName-stageName-pubsub-queue-bar-queue-url'}
+    });
+    // External topics are not exported
+    expect(outputs.SNSTopicsomeexternaltopicArn).toBeUndefined();
+  });
+
+  test('does not export resources when exports are disabled', async() => {
+    sls.service.custom.pubSub.exports = false;
+    await plugin.hooks['after:package:initialize']();
+    expect(sls.service.resources.Outputs).toBeUndefined();
+  });
+
+  test('subscribes to topics of other services through their exports', async() => {
+    sls.service.functions.baz.events[0].pubSub = {
+      topic: {name: 'order_created', service: 'orders'},
+      queue: true
+    };
+    await plugin.hooks['after:package:initialize']();
+    const arn = {'Fn::ImportValue': 'orders-stageName-pubsub-topic-order-created-arn'};
+    expect(plugin.getTopic('orders:order_created').arn).toEqual(arn);
+    expect(plugin.slsCustomResources.SNSTopicordersordercreated).toBeUndefined();
+    expect(
+      plugin.slsCustomResources.SQSQueuebazqueueToSNSTopicordersordercreatedSubscription
+        .Properties.TopicArn
+    ).toEqual(arn);
+    expect(
+      plugin.slsCustomResources.SQSQueuebazqueuePolicy.Properties.PolicyDocument
+        .Statement[0].Condition.ArnEquals['aws:SourceArn']
+    ).toEqual([arn]);
+  });
+
+  test('subscribes functions directly to topics of other services', async() => {
+    sls.service.functions.baz.events = [{pubSub: {topic: {name: 'order-created', service: 'orders'}}}];
+    await plugin.hooks['after:package:initialize']();
+    expect(sls.service.functions.baz.events).toContainEqual({
+      sns: {
+        arn: {'Fn::ImportValue': 'orders-stageName-pubsub-topic-order-created-arn'},
+        topicName: 'orders-stageName-order-created'
+      }
+    });
+    sls.service.custom.pubSub.serviceReferences = 'naming';
+    sls.service.functions.baz.events = [{pubSub: {topic: {name: 'order-created', service: 'orders'}}}];
+    plugin = new ServerlessPluginPubSub(sls, options);
+    await plugin.hooks['after:package:initialize']();
+    const event = sls.service.functions.baz.events.find(e => e.sns);
+    expect(event.sns.arn['Fn::Join']).toBeDefined();
+    expect(event.sns.topicName).toEqual('orders-stageName-order-created');
+  });
+
+  test('resolves pubSubTopic references to other services', async() => {
+    expect(
+      await plugin.configurationVariablesSources.pubSubTopic.resolve({
+        address: 'orders:order-created'
+      })
+    ).toEqual({
+      value: {'Fn::ImportValue': 'orders-stageName-pubsub-topic-order-created-arn'}
+    });
+  });
+
+  test('resolves references by naming convention', async() => {
+    sls.service.custom.pubSub.serviceReferences = 'naming';
+    expect(
+      await plugin.configurationVariablesSources.pubSubTopic.resolve({
+        address: 'orders:order-created'
+      })
+    ).toEqual({
+      value: {
+        'Fn::Join': [':', [
+          'arn', {Ref: 'AWS::Partition'}, 'sns', {Ref: 'AWS::Region'},
+          {Ref: 'AWS::AccountId'}, 'orders-stageName-order-created'
+        ]]
+      }
+    });
+  });
+
+  test('resolves references to other services in offline mode', async() => {
+    plugin.offlineMode = true;
+    expect(
+      await plugin.configurationVariablesSources.pubSubTopic.resolve({
+        address: 'orders:order-created'
+      })
+    ).toEqual({
+      value: 'arn:aws:sns:us-east-1:1234567890123:orders-stageName-order-created'
+    });
+  });
+
+  test('treats references to its own service as local topics', () => {
+    expect(plugin.getTopic('serviceName:foo-happened')).toBe(plugin.getTopic('foo-happened'));
+  });
+});
+
+describe('queue-only consumers and external queues', () => {
+  const externalArn = 'arn:aws:sqs:eu-west-1:10101010:other-team-jobs';
+
+  beforeEach(() => {
+    sls.service.functions.worker = {
+      handler: 'module.worker',
+      timeout: 30,
+      events: [{pubSub: {queue: 'jobs'}}]
+    };
+    sls.service.functions.externalWorker = {
+      handler: 'module.externalWorker',
+      timeout: 30,
+      events: [{pubSub: {queue: {arn: externalArn}}}]
+    };
+  });
+
+  test('subscribes functions to queues without a topic', async() => {
+    await plugin.hooks['after:package:initialize']();
+    expect(plugin.slsCustomResources.SQSQueuejobs.Properties).toEqual({
+      QueueName: 'serviceName-stageName-jobs',
+      VisibilityTimeout: 4000
+    });
+    expect(plugin.slsCustomResources.SQSQueuejobsToworker.Properties).toEqual({
+      EventSourceArn: {'Fn::GetAtt': ['SQSQueuejobs', 'Arn']},
+      FunctionName: {'Fn::GetAtt': ['workerLogicalID', 'Arn']}
+    });
+    // Only topics can send to a queue through a queue policy
+    expect(plugin.slsCustomResources.SQSQueuejobsPolicy).toBeUndefined();
+  });
+
+  test('checks the visibility timeout of queue-only consumers', () => {
+    sls.service.custom.pubSub.queues.jobs = {VisibilityTimeout: 10};
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'Specified visibility timeout for jobs (10s) is less than function timeout (30s)'
+    );
+  });
+
+  test('consumes external queues without creating them', async() => {
+    await plugin.hooks['after:package:initialize']();
+    const queue = plugin.getQueue('other-team-jobs');
+    expect(queue.arn).toEqual(externalArn);
+    expect(plugin.slsCustomResources.SQSQueueotherteamjobs).toBeUndefined();
+    expect(queue.vendorConfig.VisibilityTimeout).toBeUndefined();
+    expect(plugin.slsCustomResources.SQSQueueotherteamjobsToexternalWorker.Properties.EventSourceArn)
+      .toEqual(externalArn);
+    expect(sls.service.functions.externalWorker.events).toContainEqual({sqs: {arn: externalArn}});
+  });
+
+  test('subscribes external queues to topics', async() => {
+    sls.service.functions.externalWorker.events = [{
+      pubSub: {topic: 'foo-happened', queue: {arn: externalArn}}
+    }];
+    await plugin.hooks['after:package:initialize']();
+    const subscription = plugin.slsCustomResources.SQSQueueotherteamjobsToSNSTopicfoohappenedSubscription;
+    expect(subscription.Properties.Endpoint).toEqual(externalArn);
+    expect(plugin.slsCustomResources.SQSQueueotherteamjobsPolicy).toBeUndefined();
+  });
+
+  test('resolves the url of external queues', async() => {
+    await plugin.hooks['after:package:initialize']();
+    const resolve = address => plugin.configurationVariablesSources.pubSubQueue.resolve({address});
+    expect(await resolve('other-team-jobs')).toEqual({
+      value: 'https://sqs.eu-west-1.amazonaws.com/10101010/other-team-jobs'
+    });
+    expect(await resolve('other-team-jobs.arn')).toEqual({value: externalArn});
+    plugin.offlineMode = true;
+    expect(await resolve('other-team-jobs')).toEqual({
+      value: 'http://localhost:3100/1234567890123/other-team-jobs'
+    });
+  });
+
+  test('rejects dead-letter queues for external queues', () => {
+    sls.service.functions.externalWorker.events[0].pubSub.queue.deadLetter = true;
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'deadLetter is not supported for external queue other-team-jobs'
+    );
+  });
+
+  test('rejects topics without a name instead of subscribing only to the queue', () => {
+    [
+      {topic: {arn: 'arn:aws:sns:us-east-1:10101010:orders'}, queue: true},
+      {topic: {nmae: 'orders'}, queue: 'jobs'}
+    ].forEach(pubSub => {
+      sls.service.functions.worker.events = [{pubSub: pubSub}];
+      plugin = new ServerlessPluginPubSub(sls, options);
+      expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+        'No topic could be identified for pubSub subscription to worker'
+      );
+    });
+  });
+
+  test('rejects events without a topic or a queue', () => {
+    sls.service.functions.worker.events = [{pubSub: {filter: {}}}];
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'No topic, bus or queue could be identified for pubSub subscription to worker'
+    );
+  });
+});
+
+describe('event buses', () => {
+  const pattern = {source: ['shop'], 'detail-type': ['OrderPlaced']};
+
+  beforeEach(() => {
+    sls.service.functions.fulfil = {
+      handler: 'module.fulfil',
+      events: [{pubSub: {bus: 'orders', pattern: pattern}}]
+    };
+    sls.service.functions.audit = {
+      handler: 'module.audit',
+      events: [{pubSub: {bus: 'orders', pattern: pattern, queue: true}}]
+    };
+  });
+
+  test('generates the bus, its rules and permissions', async() => {
+    await plugin.hooks['after:package:initialize']();
+    const resources = plugin.slsCustomResources;
+    expect(resources.EventBridgeEventBusorders).toEqual({
+      Type: 'AWS::Events::EventBus',
+      Properties: {Name: 'serviceName-stageName-orders'}
+    });
+    expect(resources.EventBridgeEventBusordersTofulfilLogicalID97590731Rule).toEqual({
+      Type: 'AWS::Events::Rule',
+      Properties: {
+        EventBusName: {Ref: 'EventBridgeEventBusorders'},
+        EventPattern: pattern,
+        State: 'ENABLED',
+        Targets: [{Id: 'fulfilLogicalID', Arn: {'Fn::GetAtt': ['fulfilLogicalID', 'Arn']}}]
+      }
+    });
+    expect(resources.EventBridgeEventBusordersTofulfilLogicalID97590731RulePermission).toEqual({
+      Type: 'AWS::Lambda::Permission',
+      Properties: {
+        FunctionName: {'Fn::GetAtt': ['fulfilLogicalID', 'Arn']},
+        Action: 'lambda:InvokeFunction',
+        Principal: 'events.amazonaws.com',
+        SourceArn: {'Fn::GetAtt': ['EventBridgeEventBusordersTofulfilLogicalID97590731Rule', 'Arn']}
+      }
+    });
+    expect(plugin.slsCustomOutputs.EventBridgeEventBusordersArn.Export.Name)
+      .toEqual('serviceName-stageName-pubsub-bus-orders-arn');
+  });
+
+  test('delivers to an intermediate queue', async() => {
+    await plugin.hooks['after:package:initialize']();
+    const resources = plugin.slsCustomResources;
+    expect(resources.EventBridgeEventBusordersToSQSQueueauditqueue97590731Rule.Properties.Targets).toEqual([
+      {Id: 'SQSQueueauditqueue', Arn: {'Fn::GetAtt': ['SQSQueueauditqueue', 'Arn']}}
+    ]);
+    expect(resources.SQSQueueauditqueueToaudit.Type).toEqual('AWS::Lambda::EventSourceMapping');
+    expect(resources.SQSQueueauditqueuePolicy.Properties.PolicyDocument.Statement).toEqual([{
+      Effect: 'Allow',
+      Principal: {Service: 'events.amazonaws.com'},
+      Action: 'sqs:SendMessage',
+      Resource: {'Fn::GetAtt': ['SQSQueueauditqueue', 'Arn']},
+      Condition: {
+        ArnEquals: {
+          'aws:SourceArn': [{'Fn::GetAtt': ['EventBridgeEventBusordersToSQSQueueauditqueue97590731Rule', 'Arn']}]
+        }
+      }
+    }]);
+  });
+
+  test('generates a rule per pattern of a target', async() => {
+    const cancelled = {source: ['shop'], 'detail-type': ['OrderCancelled']};
+    sls.service.functions.fulfil.events.push({pubSub: {bus: 'orders', pattern: cancelled}});
+    sls.service.functions.audit.events.push({pubSub: {bus: 'orders', pattern: cancelled, queue: true}});
+    await plugin.hooks['after:package:initialize']();
+    const resources = plugin.slsCustomResources;
+    const rules = Object.keys(resources).filter(id => resources[id].Type === 'AWS::Events::Rule');
+    expect(rules).toHaveLength(4);
+    const patterns = target => rules
+      .filter(id => resources[id].Properties.Targets[0].Id === target)
+      .map(id => resources[id].Properties.EventPattern);
+    expect(patterns('fulfilLogicalID')).toEqual([pattern, cancelled]);
+    expect(patterns('SQSQueueauditqueue')).toEqual([pattern, cancelled]);
+    const permissions = Object.keys(resources).filter(id => resources[id].Type === 'AWS::Lambda::Permission');
+    expect(permissions.map(id => resources[id].Properties.SourceArn['Fn::GetAtt'][0]))
+      .toEqual(rules.filter(id => id.includes('fulfil')));
+    expect(resources.SQSQueueauditqueuePolicy.Properties.PolicyDocument.Statement[0].Condition.ArnEquals['aws:SourceArn'])
+      .toEqual(rules.filter(id => id.includes('audit')).map(id => ({'Fn::GetAtt': [id, 'Arn']})));
+  });
+
+  test('references the default and external buses without creating them', async() => {
+    sls.service.functions.fulfil.events[0].pubSub.bus = 'default';
+    sls.service.functions.audit.events = [{pubSub: {
+      bus: {arn: 'arn:aws:events:us-east-1:10101010:event-bus/partners'},
+      pattern: pattern
+    }}];
+    await plugin.hooks['after:package:initialize']();
+    const resources = plugin.slsCustomResources;
+    expect(resources.EventBridgeEventBusdefault).toBeUndefined();
+    expect(resources.EventBridgeEventBuspartners).toBeUndefined();
+    expect(resources.EventBridgeEventBusdefaultTofulfilLogicalID97590731Rule.Properties.EventBusName).toBeUndefined();
+    expect(resources.EventBridgeEventBuspartnersToauditLogicalID97590731Rule.Properties.EventBusName)
+      .toEqual('arn:aws:events:us-east-1:10101010:event-bus/partners');
+  });
+
+  test('resolves the pubSubBus variable and allows publishers to put events', async() => {
+    const resolve = address => plugin.configurationVariablesSources.pubSubBus.resolve({address});
+    expect(await resolve('orders.name')).toEqual({value: 'serviceName-stageName-orders'});
+    expect(await resolve('orders.logicalId')).toEqual({value: 'EventBridgeEventBusorders'});
+    sls.service.functions.foo.environment.ORDERS_BUS = (await resolve('orders')).value;
+    await packageService();
+    expect(Array.from(plugin.getFunc('foo').publishedBusNames)).toEqual(['orders']);
+    expect(publisherStatements('foo')).toEqual([{
+      Effect: 'Allow',
+      Action: ['events:PutEvents'],
+      Resource: [{'Fn::GetAtt': ['EventBridgeEventBusorders', 'Arn']}]
+    }]);
+    plugin.offlineMode = true;
+    expect(await resolve('orders')).toEqual({
+      value: 'arn:aws:events:us-east-1:1234567890123:event-bus/serviceName-stageName-orders'
+    });
+  });
+
+  test('validates bus subscriptions', () => {
+    sls.service.functions.fulfil.events[0].pubSub.pattern = {source: 'shop'};
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'Invalid event pattern for fulfil subscription to bus orders:\n  source: must be a list of values or a nested policy'
+    );
+    sls.service.functions.fulfil.events[0].pubSub = {bus: 'orders'};
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'pattern is required for fulfil subscription to bus orders'
+    );
+    sls.service.functions.fulfil.events[0].pubSub = {bus: 'orders', topic: 'foo-happened', pattern: pattern};
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'pubSub subscription to fulfil cannot have both a topic and a bus'
+    );
+  });
+});
+
+describe('topic access policies', () => {
+  test('generates a topic policy for other accounts', async() => {
+    sls.service.custom.pubSub.topics['baz-happened'] = {
+      allowPublishFrom: ['123456789012'],
+      allowSubscribeFrom: ['arn:aws:iam::210987654321:root', 'o-a1b2c3d4e5']
+    };
+    await plugin.hooks['after:package:initialize']();
+    expect(plugin.slsCustomResources.SNSTopicbazhappened.Properties).toEqual({
+      TopicName: 'serviceName-stageName-baz-happened'
+    });
+    const topic = {Ref: 'SNSTopicbazhappened'};
+    expect(plugin.slsCustomResources.SNSTopicbazhappenedPolicy).toEqual({
+      Type: 'AWS::SNS::TopicPolicy',
+      Properties: {
+        Topics: [topic],
+        PolicyDocument: {
+          Version: '2012-10-17',
+          Statement: [{
+            Sid: 'AllowPublish',
+            Effect: 'Allow',
+            Principal: {AWS: ['123456789012']},
+            Action: ['sns:Publish'],
+            Resource: topic
+          }, {
+            Sid: 'AllowSubscribe',
+            Effect: 'Allow',
+            Principal: {AWS: ['arn:aws:iam::210987654321:root']},
+            Action: ['sns:Subscribe'],
+            Resource: topic
+          }, {
+            Sid: 'AllowSubscribeOrganizations',
+            Effect: 'Allow',
+            Principal: {AWS: '*'},
+            Action: ['sns:Subscribe'],
+            Resource: topic,
+            Condition: {StringEquals: {'aws:PrincipalOrgID': ['o-a1b2c3d4e5']}}
+          }]
+        }
+      }
+    });
+    expect(plugin.slsCustomResources.SNSTopicfoohappenedPolicy).toBeUndefined();
+  });
+
+  test('rejects malformed account ids at package time', () => {
+    sls.service.custom.pubSub.topics['baz-happened'] = {allowPublishFrom: ['1234']};
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'Invalid allowPublishFrom for topic baz-happened:\n  allowPublishFrom[0]: 1234 is not a valid account id (12 digits)'
+    );
+  });
+});
+
+describe('topic sources', () => {
+  const policyStatements = () =>
+    plugin.slsCustomResources.SNSTopicbazhappenedPolicy.Properties.PolicyDocument.Statement;
+
+  test('allows services to publish from their sources', async() => {
+    sls.service.custom.pubSub.topics['baz-happened'] = {
+      sources: [{s3: 'external-bucket'}, {cloudwatchAlarm: 'high-*'}]
+    };
+    await plugin.hooks['after:package:initialize']();
+    expect(policyStatements().map(s => [s.Sid, s.Principal, s.Condition.ArnLike])).toEqual([
+      ['AllowSource0', {Service: 's3.amazonaws.com'}, {
+        'aws:SourceArn': {'Fn::Sub': 'arn:${AWS::Partition}:s3:::external-bucket'}
+      }],
+      ['AllowSource1', {Service: 'cloudwatch.amazonaws.com'}, {
+        'aws:SourceArn': {'Fn::Sub': 'arn:${AWS::Partition}:cloudwatch:${AWS::Region}:${AWS::AccountId}:alarm:high-*'}
+      }]
+    ]);
+  });
+
+  test('configures notifications of buckets in the stack', async() => {
+    sls.service.resources = {Resources: {
+      UploadsBucket: {Type: 'AWS::S3::Bucket', Properties: {BucketName: 'my-uploads'}}
+    }};
+    sls.service.custom.pubSub.topics['baz-happened'] = {
+      sources: [{s3: 'UploadsBucket', events: ['s3:ObjectCreated:Put']}]
+    };
+    await plugin.hooks['after:package:initialize']();
+    expect(plugin.slsCustomResources.UploadsBucket).toEqual({
+      Type: 'AWS::S3::Bucket',
+      DependsOn: ['SNSTopicbazhappenedPolicy'],
+      Properties: {
+        BucketName: 'my-uploads',
+        NotificationConfiguration: {
+          TopicConfigurations: [{Event: 's3:ObjectCreated:Put', Topic: {Ref: 'SNSTopicbazhappened'}}]
+        }
+      }
+    });
+    expect(policyStatements()[0].Condition.ArnLike).toEqual({
+      'aws:SourceArn': {'Fn::Sub': 'arn:${AWS::Partition}:s3:::my-uploads'}
+    });
+  });
+
+  test('generates notification rules for pipelines', async() => {
+    sls.service.custom.pubSub.topics['baz-happened'] = {
+      sources: [{codepipeline: 'deploy', events: ['codepipeline-pipeline-pipeline-execution-failed']}]
+    };
+    await plugin.hooks['after:package:initialize']();
+    const rule = plugin.slsCustomResources.SNSTopicbazhappenedSource0NotificationRule;
+    expect(rule.DependsOn).toEqual(['SNSTopicbazhappenedPolicy']);
+    expect(rule.Properties.Targets).toEqual([
+      {TargetType: 'SNS', TargetAddress: {Ref: 'SNSTopicbazhappened'}}
+    ]);
+    expect(policyStatements()[0].Principal).toEqual({Service: 'codestar-notifications.amazonaws.com'});
+  });
+
+  test('rejects malformed sources', () => {
+    sls.service.custom.pubSub.topics['baz-happened'] = {sources: [{sqs: 'jobs'}]};
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'Invalid sources for topic baz-happened:\n  sources[0]: must have exactly one of s3, cloudwatchAlarm, codepipeline'
+    );
+  });
+});
+
+describe('encryption', () => {
+  const keyStatement = (resource) => ({
+    Effect: 'Allow',
+    Action: ['kms:Decrypt', 'kms:GenerateDataKey'],
+    Resource: [resource]
+  });
+
+  beforeEach(async() => {
+    sls.service.custom.pubSub.encryption = {enabled: true};
+    sls.service.functions.foo.environment.PUBLISH_TOPIC = (
+      await plugin.configurationVariablesSources.pubSubTopic.resolve({address: 'foo-happened'})
+    ).value;
+  });
+
+  test('creates a managed key and encrypts all topics and queues', async() => {
+    await plugin.hooks['after:package:initialize']();
+    const resources = plugin.slsCustomResources;
+    expect(resources.PubSubEncryptionKey.Type).toEqual('AWS::KMS::Key');
+    const [account, services] = resources.PubSubEncryptionKey.Properties.KeyPolicy.Statement;
+    expect(account.Action).toEqual('kms:*');
+    expect(services.Principal.Service).toEqual(expect.arrayContaining(['sns.amazonaws.com', 'sqs.amazonaws.com']));
+    // The external topic delivers to a queue of the stack from its own account
+    expect(services.Condition).toEqual({
+      StringEquals: {'aws:SourceAccount': [{Ref: 'AWS::AccountId'}, '10101010']}
+    });
+    expect(resources.PubSubEncryptionKeyAlias.Properties).toEqual({
+      AliasName: 'alias/serviceName-stageName-pubsub',
+      TargetKeyId: {Ref: 'PubSubEncryptionKey'}
+    });
+    Object.keys(resources)
+      .filter(id => ['AWS::SNS::Topic', 'AWS::SQS::Queue'].includes(resources[id].Type))
+      .forEach(id => expect(resources[id].Properties.KmsMasterKeyId).toEqual({Ref: 'PubSubEncryptionKey'}));
+  });
+
+  test('grants the key to the provider role and publish policies', async() => {
+    sls.service.functions.foo.role = 'MyCustomRole';
+    await plugin.hooks['after:package:initialize']();
+    const keyArn = {'Fn::GetAtt': ['PubSubEncryptionKey', 'Arn']};
+    expect(sls.service.provider.iamRoleStatements).toEqual([keyStatement(keyArn)]);
+    expect(plugin.slsCustomResources.FooPubSubPublishPolicy.Properties.PolicyDocument.Statement)
+      .toContainEqual(keyStatement(keyArn));
+  });
+
+  test('uses a given key', async() => {
+    const key = 'arn:aws:kms:us-east-1:123456789012:key/1234abcd-12ab-34cd-56ef-1234567890ab';
+    sls.service.custom.pubSub.encryption.key = key;
+    await plugin.hooks['after:package:initialize']();
+    expect(plugin.slsCustomResources.PubSubEncryptionKey).toBeUndefined();
+    expect(plugin.slsCustomResources.SNSTopicfoohappened.Properties.KmsMasterKeyId).toEqual(key);
+    expect(sls.service.provider.iamRoleStatements).toEqual([keyStatement(key)]);
+  });
+
+  test('uses a given key alias', async() => {
+    const key = 'arn:aws:kms:us-east-1:123456789012:alias/shared/pubsub';
+    sls.service.custom.pubSub.encryption.key = key;
+    await plugin.hooks['after:package:initialize']();
+    expect(plugin.slsCustomResources.SNSTopicfoohappened.Properties.KmsMasterKeyId).toEqual(key);
+    expect(sls.service.provider.iamRoleStatements).toEqual([{
+      Effect: 'Allow',
+      Action: ['kms:Decrypt', 'kms:GenerateDataKey'],
+      Resource: '*',
+      Condition: {'ForAnyValue:StringEquals': {'kms:ResourceAliases': 'alias/shared/pubsub'}}
+    }]);
+  });
+
+  test('rejects AWS managed and malformed keys', () => {
+    sls.service.custom.pubSub.encryption.key = 'alias/aws/sns';
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'the policies of AWS managed keys do not allow SNS to deliver to encrypted queues'
+    );
+    sls.service.custom.pubSub.encryption.key = 'arn:aws:kms:us-east-1:123456789012:alias/aws/sqs';
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'the policies of AWS managed keys do not allow SNS to deliver to encrypted queues'
+    );
+    sls.service.custom.pubSub.encryption.key = 'my-key';
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'Invalid custom.pubSub.encryption.key my-key: expected managed, a KMS key Arn'
+    );
+  });
+});
+
+describe('monitoring', () => {
+  beforeEach(() => {
+    sls.service.custom.pubSub.monitoring = {alarmTopic: 'ops-alarms'};
+    sls.service.custom.pubSub.queues['bar-queue'].deadLetter = true;
+  });
+
+  const alarmIds = () => Object.keys(plugin.slsCustomResources)
+    .filter(id => plugin.slsCustomResources[id].Type === 'AWS::CloudWatch::Alarm');
+
+  test('generates alarms for created queues, dead-letter queues and topics', async() => {
+    await plugin.hooks['after:package:initialize']();
+    expect(alarmIds()).toEqual(expect.arrayContaining([
+      'SQSQueuebarqueueBacklogAlarm',
+      'SQSQueuebarqueueMessageAgeAlarm',
+      'SQSQueuebarqueuedlqDeadLetterDepthAlarm',
+      'SNSTopicfoohappenedFailedNotificationsAlarm',
+      'SNSTopicopsalarmsFailedNotificationsAlarm'
+    ]));
+    expect(alarmIds()).not.toContain('SQSQueuebarqueuedlqBacklogAlarm');
+    expect(alarmIds().filter(id => id.includes('someexternaltopic'))).toEqual([]);
+
+    const backlog = plugin.slsCustomResources.SQSQueuebarqueueBacklogAlarm.Properties;
+    expect(backlog).toEqual({
+      AlarmName: 'serviceName-stageName-bar-queue-backlog',
+      AlarmDescription: '1000 or more messages are waiting in bar-queue',
+      Namespace: 'AWS/SQS',
+      MetricName: 'ApproximateNumberOfMessagesVisible',
+      Dimensions: [{Name: 'QueueName', Value: {'Fn::GetAtt': ['SQSQueuebarqueue', 'QueueName']}}],
+      Statistic: 'Maximum',
+      Period: 300,
+      EvaluationPeriods: 1,
+      Threshold: 1000,
+      ComparisonOperator: 'GreaterThanOrEqualToThreshold',
+      TreatMissingData: 'notBreaching',
+      AlarmActions: [{Ref: 'SNSTopicopsalarms'}],
+      OKActions: [{Ref: 'SNSTopicopsalarms'}]
+    });
+    const failed = plugin.slsCustomResources.SNSTopicfoohappenedFailedNotificationsAlarm.Properties;
+    expect(failed.MetricName).toEqual('NumberOfNotificationsFailed');
+    expect(failed.Dimensions).toEqual([{Name: 'TopicName', Value: {'Fn::GetAtt': ['SNSTopicfoohappened', 'TopicName']}}]);
+  });
+
+  test('applies thresholds and per-resource overrides', async() => {
+    const alarmTopic = 'arn:aws:sns:us-east-1:123456789012:ops';
+    Object.assign(sls.service.custom.pubSub.monitoring, {
+      alarmTopic: alarmTopic,
+      period: 60,
+      thresholds: {backlog: 500, messageAge: false}
+    });
+    sls.service.custom.pubSub.queues['bar-queue'].monitoring = {backlog: 50};
+    sls.service.custom.pubSub.topics['foo-happened'].monitoring = false;
+    await plugin.hooks['after:package:initialize']();
+    const resources = plugin.slsCustomResources;
+    expect(resources.SQSQueuebarqueueBacklogAlarm.Properties).toMatchObject({
+      Threshold: 50, Period: 60, AlarmActions: [alarmTopic]
+    });
+    expect(resources.SQSQueuehandleExtEvtqueueBacklogAlarm.Properties.Threshold).toEqual(500);
+    expect(resources.SQSQueuebarqueueMessageAgeAlarm).toBeUndefined();
+    expect(resources.SNSTopicfoohappenedFailedNotificationsAlarm).toBeUndefined();
+    expect(resources.SNSTopicopsalarms).toBeUndefined();
+  });
+
+  test('is disabled without a monitoring config', async() => {
+    delete sls.service.custom.pubSub.monitoring;
+    await plugin.hooks['after:package:initialize']();
+    expect(alarmIds()).toEqual([]);
+  });
+
+  test('rejects invalid thresholds', () => {
+    sls.service.custom.pubSub.topics['foo-happened'].monitoring = {backlog: 10};
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'Invalid monitoring for topic foo-happened:\n  monitoring.backlog: unknown threshold, expected one of failedNotifications'
+    );
+  });
+});
+
+describe('topic schemas', () => {
+  const orderSchema = {type: 'object', required: ['id']};
+
+  test('keeps inline schemas', async() => {
+    sls.service.custom.pubSub.topics['foo-happened'].schema = orderSchema;
+    await plugin.hooks['after:package:initialize']();
+    expect(plugin.topics.find(t => t.name === 'foo-happened').schema).toEqual(orderSchema);
+    expect(plugin.slsCustomResources.SNSTopicfoohappened.Properties.schema).toBeUndefined();
+  });
+
+  test('reads schemas from files relative to the service directory', async() => {
+    sls.serviceDir = '/app';
+    sls.utils = {readFileSync: jest.fn(() => orderSchema)};
+    sls.service.custom.pubSub.topics['foo-happened'].schema = 'schemas/order.json';
+    await plugin.hooks['after:package:initialize']();
+    expect(sls.utils.readFileSync).toHaveBeenCalledWith('/app/schemas/order.json');
+    expect(plugin.topics.find(t => t.name === 'foo-happened').schema).toEqual(orderSchema);
+  });
+
+  test('rejects schemas that cannot be used for validation', () => {
+    sls.service.custom.pubSub.topics['foo-happened'].schema = {
+      properties: {id: {pattern: '^(ord-'}, item: {$ref: '#/definitions/item'}}
+    };
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'Invalid schema for topic foo-happened:\n  #/properties/id: invalid pattern ^(ord-\n  #/properties/item: Could not resolve $ref #/definitions/item'
+    );
+  });
+
+  test('reports unreadable schema files', () => {
+    sls.serviceDir = '/app';
+    sls.utils = {readFileSync: () => { throw new Error('ENOENT'); }};
+    sls.service.custom.pubSub.topics['foo-happened'].schema = 'missing.json';
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'Could not read the schema of topic foo-happened from /app/missing.json: ENOENT'
+    );
+  });
+});
+
+describe('pubSub docs', () => {
+  let dir;
+
+  beforeEach(async() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-docs-'));
+    sls.serviceDir = dir;
+    sls.service.functions.foo.environment.PUBLISH_TOPIC = (
+      await plugin.configurationVariablesSources.pubSubTopic.resolve({address: 'foo-happened'})
+    ).value;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  test('writes an AsyncAPI document of publishers and subscribers', async() => {
+    plugin.options = {output: 'docs/asyncapi.json'};
+    fs.mkdirSync(path.join(dir, 'docs'));
+    await plugin.hooks['pubSub:docs:docs']();
+    const doc = JSON.parse(fs.readFileSync(path.join(dir, 'docs/asyncapi.json'), 'utf8'));
+    expect(doc.info).toEqual({title: 'serviceName', version: '1.0.0'});
+    expect(doc.channels['foo-happened'].address).toEqual('serviceName-stageName-foo-happened');
+    expect(doc.channels['some-external-topic'].address).toEqual('some-external-topic');
+    expect(Object.keys(doc.operations)).toEqual(expect.arrayContaining([
+      'foo.send.foo-happened', 'bar.receive.foo-happened', 'baz.receive.foo-happened'
+    ]));
+    expect(doc.operations['bar.receive.foo-happened'].bindings.sqs.queues[0].name)
+      .toEqual('serviceName-stageName-bar-queue');
+  });
+});
+
+describe('catalog', () => {
+  const catalog = {
+    asyncapi: '3.0.0',
+    channels: {
+      fooHappened: {
+        address: 'foo-happened',
+        messages: {foo: {payload: {type: 'object'}}},
+        bindings: {sns: {tags: {team: 'foo'}}}
+      },
+      'ledger-updated': {
+        bindings: {sns: {ordering: {type: 'FIFO'}}}
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sls.serviceDir = '/app';
+    sls.utils = {readFileSync: jest.fn(() => catalog)};
+    sls.service.custom.pubSub.catalog = 'events.asyncapi.yaml';
+  });
+
+  test('seeds topics from the catalog, under the custom topic settings', async() => {
+    sls.service.custom.pubSub.topics['foo-happened'].Tags = [{Key: 'team', Value: 'bar'}];
+    await plugin.hooks['after:package:initialize']();
+    expect(sls.utils.readFileSync).toHaveBeenCalledTimes(1);
+    expect(sls.utils.readFileSync).toHaveBeenCalledWith('/app/events.asyncapi.yaml');
+    const resources = plugin.slsCustomResources;
+    expect(resources.SNSTopicfoohappened.Properties).toMatchObject({
+      DisplayName: 'FooDefinitelyHappened',
+      Tags: [{Key: 'team', Value: 'bar'}]
+    });
+    expect(plugin.topics.find(t => t.name === 'foo-happened').schema).toEqual({type: 'object'});
+    expect(resources.SNSTopicledgerupdated.Properties).toMatchObject({
+      TopicName: 'serviceName-stageName-ledger-updated.fifo',
+      FifoTopic: true
+    });
+  });
+
+  test('fails when an event names a topic that is not in the catalog', () => {
+    sls.service.functions.baz.events = [{pubSub: 'unlisted-happened'}];
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'Topic unlisted-happened of baz is not in the catalog events.asyncapi.yaml'
+    );
+  });
+});
+
+describe('pubSub graph', () => {
+  let dir;
+
+  beforeEach(async() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-graph-'));
+    sls.serviceDir = dir;
+    sls.service.functions.foo.environment.PUBLISH_TOPIC = (
+      await plugin.configurationVariablesSources.pubSubTopic.resolve({address: 'foo-happened'})
+    ).value;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  test('renders the graph in the requested format', async() => {
+    plugin.options = {format: 'mermaid', output: 'graph.mmd'};
+    await plugin.hooks['pubSub:graph:graph']();
+    const graph = fs.readFileSync(path.join(dir, 'graph.mmd'), 'utf8');
+    expect(graph).toMatch(/^flowchart LR\n/);
+    expect(graph).toContain('["foo"]');
+  });
+
+  test('rejects unknown formats', () => {
+    plugin.options = {format: 'svg'};
+    expect(() => plugin.hooks['pubSub:graph:graph']()).toThrow(
+      'Invalid --format svg: expected one of dot, mermaid, json'
+    );
+  });
+
+  test('writes the manifest to the package directory', async() => {
+    plugin.options = {};
+    await plugin.hooks['after:package:initialize']();
+    await plugin.hooks['after:package:finalize']();
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, '.serverless/pubsub-manifest.json'), 'utf8'));
+    expect(manifest).toMatchObject({version: 1, service: 'serviceName', stage: 'stageName'});
+    expect(manifest.edges).toContainEqual({from: 'function:foo', to: 'topic:foo-happened', kind: 'publish'});
+    expect(manifest.edges).toContainEqual({from: 'queue:bar-queue', to: 'function:bar', kind: 'subscription'});
+  });
+});
+
+describe('offline server', () => {
+  let server;
+
+  beforeEach(() => {
+    server = null;
+  });
+
+  // Starts the server on its own port, with the resources of the service
+  const startServer = () => {
+    sls.processedInput.commands = ['pubSub', 'offline'];
+    plugin = new ServerlessPluginPubSub(sls, {});
+    plugin.collectPubSubResourcesFromFunctions();
+    plugin.collectPubSubResourcesFromCustomConfig();
+    Server.config({port: '3198'});
+    server = Server.start({
+      topics: plugin.topics,
+      queues: plugin.queues,
+      buses: plugin.buses,
+      formatTopicArn: topic => plugin.formatTopicArn(topic),
+      formatQueueUrl: queue => plugin.formatQueueUrl(queue),
+      formatBusArn: bus => plugin.formatBusArn(bus)
+    });
+    return new Promise(resolve => server.on('listening', resolve));
+  };
+
+  const publish = (params) => fetch('http://localhost:3198/', {
+    method: 'POST',
+    headers: {'content-type': 'application/x-www-form-urlencoded'},
+    body: new URLSearchParams(Object.assign({Action: 'Publish'}, params)).toString()
+  });
+
+  afterEach(() => {
+    Server.config({port: '3100', strict: false});
+    return server && new Promise(resolve => server.close(resolve));
+  });
+
+  test('does not start with a schema that cannot be used for validation', () => {
+    sls.service.custom.pubSub.topics['foo-happened'].schema = {$ref: 'http://example.com/order.json'};
+    expect(() => startServer()).toThrow('Invalid schema for topic foo-happened');
+  });
+
+  test('publishes to external topics with their own Arn', async() => {
+    await startServer();
+    const topic = plugin.getTopic('some-external-topic');
+    const topicPublish = jest.spyOn(topic, 'publish').mockReturnValue(true);
+    const res = await publish({
+      TopicArn: 'arn:aws:sns:us-east-1:10101010:some-external-topic',
+      Message: 'hi'
+    });
+    expect(res.status).toEqual(200);
+    expect(topicPublish).toHaveBeenCalledWith(expect.any(String), 'hi', expect.objectContaining({
+      topicArn: 'arn:aws:sns:us-east-1:10101010:some-external-topic'
+    }));
+  });
+});
+
+describe('pubSub publish', () => {
+  const publish = (publishOptions) => {
+    sls.processedInput.commands = ['pubSub', 'publish'];
+    plugin = new ServerlessPluginPubSub(sls, Object.assign({stage: 'dev'}, publishOptions));
+    return plugin.hooks['pubSub:publish:publish']();
+  };
+
+  beforeEach(() => {
+    execFile.mockReset();
+    execFile.mockImplementation((cmd, args, callback) => callback(null, 'done', ''));
+  });
+
+  afterEach(() => {
+    PubSub.clearAllSubscriptions();
+    jest.restoreAllMocks();
+  });
+
+  test('delivers to the subscribed functions in standalone mode', async() => {
+    await publish({
+      topic: 'foo-happened',
+      message: '{"id": 1}',
+      attribute: ['kind=test', 'count:Number=2'],
+      subject: 'Hello',
+      standalone: true
+    });
+    const invoked = execFile.mock.calls.map(([, args]) => args[args.indexOf('-f') + 1]);
+    expect(invoked.sort()).toEqual(['bar', 'baz']);
+    const args = execFile.mock.calls.find(([, a]) => a.includes('baz'))[1];
+    expect(args).toEqual(expect.arrayContaining(['--stage', 'dev']));
+    expect(args).not.toContain('--topic');
+    const event = JSON.parse(args[args.indexOf('-d') + 1]);
+    expect(event.Records[0].Sns).toMatchObject({
+      Message: '{"id": 1}',
+      Subject: 'Hello',
+      MessageAttributes: {
+        kind: {Type: 'String', Value: 'test'},
+        count: {Type: 'Number', Value: '2'}
+      }
+    });
+  });
+
+  test('fails when an invocation fails', async() => {
+    execFile.mockImplementation((cmd, args, callback) => callback(
+      args.includes('baz') ? new Error('boom') : null, '', ''
+    ));
+    await expect(publish({topic: 'foo-happened', message: 'hi', standalone: true}))
+      .rejects.toThrow('1 of 2 invocations failed');
+  });
+
+  test('waits for slow deliveries through queues', async() => {
+    // bar consumes the topic through a queue
+    execFile.mockImplementation((cmd, args, callback) => setTimeout(
+      () => callback(args.includes('bar') ? new Error('boom') : null, '', ''),
+      args.includes('bar') ? 500 : 0
+    ));
+    await expect(publish({topic: 'foo-happened', message: 'hi', standalone: true}))
+      .rejects.toThrow('1 of 2 invocations failed');
+  });
+
+  test('publishes through the offline server', async() => {
+    const serverPublish = jest.spyOn(Server, 'publish').mockResolvedValue('abc');
+    await publish({topic: 'foo-happened', message: 'hi', attribute: 'kind=test', 'group-id': 'g'});
+    expect(serverPublish).toHaveBeenCalledWith({
+      TopicArn: 'arn:aws:sns:us-east-1:1234567890123:serviceName-stageName-foo-happened',
+      Message: 'hi',
+      MessageGroupId: 'g',
+      'MessageAttributes.entry.1.Name': 'kind',
+      'MessageAttributes.entry.1.Value.DataType': 'String',
+      'MessageAttributes.entry.1.Value.StringValue': 'test'
+    });
+    expect(execFile).not.toHaveBeenCalled();
+  });
+
+  test('delivers the message of each protocol with a json message structure', async() => {
+    await publish({
+      topic: 'foo-happened',
+      message: '{"default": "for all", "lambda": "for functions"}',
+      'message-structure': 'json',
+      standalone: true
+    });
+    const events = execFile.mock.calls.map(([, args]) => JSON.parse(args[args.indexOf('-d') + 1]));
+    const messages = events.map(event => event.Records[0].Sns
+      ? event.Records[0].Sns.Message
+      : JSON.parse(event.Records[0].body).Message);
+    expect(messages.sort()).toEqual(['for all', 'for functions']);
+  });
+
+  test('keeps the messages of resources with names that share a prefix apart', async() => {
+    sls.service.functions.ship = {handler: 'module.ship', events: [{pubSub: 'orders'}]};
+    sls.service.functions.record = {handler: 'module.record', events: [{pubSub: 'orders.fifo'}]};
+    sls.service.functions.pack = {handler: 'module.pack', events: [{pubSub: {queue: 'orders'}}]};
+    await publish({topic: 'orders.fifo', message: 'hi', 'group-id': 'g', standalone: true});
+    const invoked = () => execFile.mock.calls.map(([, args]) => args[args.indexOf('-f') + 1]);
+    expect(invoked()).toEqual(['record']);
+    execFile.mockClear();
+    PubSub.clearAllSubscriptions();
+    await publish({topic: 'orders', message: 'hi', standalone: true});
+    expect(invoked()).toEqual(['ship']);
+  });
+
+  test('rejects invalid publish requests in standalone mode', () => {
+    expect(() => publish({topic: 'foo-happened', message: 'hi', 'message-structure': 'json', standalone: true}))
+      .toThrow('Invalid parameter: Message Structure - JSON message body failed to parse');
+  });
+
+  test('rejects malformed attributes', () => {
+    expect(() => publish({topic: 'foo-happened', message: 'hi', attribute: ['kind']})).toThrow(
+      'Invalid --attribute kind: expected <name>=<value> or <name>:<data type>=<value>'
+    );
+  });
+});
+
+describe('pubSub lint', () => {
+  beforeEach(() => {
+    // Subscribes baz to foo-happened a second time, through a queue
+    sls.service.functions.baz.events.push({pubSub: {topic: 'foo-happened', queue: true}});
+  });
+
+  test('fails on findings with the error severity', () => {
+    expect(() => plugin.hooks['pubSub:lint:lint']()).toThrow('pubSub lint found 1 errors');
+    expect(sls.cli.log).toHaveBeenCalledWith(
+      '[PubSub] Error (duplicate-subscription): Function baz is subscribed to topic foo-happened 2 times, so it receives each message 2 times'
+    );
+    expect(sls.cli.log).toHaveBeenCalledWith(
+      '[PubSub] Warning (topic-without-publishers): Topic foo-happened has subscribers but no function publishes to it through ${pubSubTopic:foo-happened} or publishes'
+    );
+  });
+
+  test('only logs the findings during package', async() => {
+    await plugin.hooks['after:package:initialize']();
+    expect(sls.cli.log).toHaveBeenCalledWith(expect.stringContaining('Error (duplicate-subscription)'));
+  });
+
+  test('applies the configured severities', () => {
+    sls.service.custom.pubSub.lint = {rules: {'duplicate-subscription': 'warn'}};
+    expect(() => plugin.hooks['pubSub:lint:lint']()).not.toThrow();
+    expect(sls.cli.log).toHaveBeenCalledWith('[PubSub] 2 problems (0 errors, 2 warnings)');
+  });
+});
+
+describe('resource names', () => {
+  test('reports the config entries of topics with the same logical id', () => {
+    sls.service.custom.pubSub.topics['foo.happened'] = {};
+    sls.service.functions.foo.publishes = ['foo.happened'];
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'Topics foo-happened (custom.pubSub.topics.foo-happened, functions.bar.events[0].pubSub, functions.baz.events[0].pubSub) and foo.happened (custom.pubSub.topics.foo.happened, functions.foo.publishes) have the same logical id SNSTopicfoohappened'
+    );
+  });
+
+  test('reports queues with the same logical id, including dead-letter queues', () => {
+    sls.service.functions.baz.events = [{pubSub: {queue: {name: 'bar_queue-dlq'}}}];
+    sls.service.custom.pubSub.queues['bar-queue'].deadLetter = true;
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'Queues bar-queue-dlq (custom.pubSub.queues.bar-queue.deadLetter) and bar_queue-dlq (functions.baz.events[0].pubSub) have the same logical id SQSQueuebarqueuedlq'
+    );
+  });
+
+  test('rejects queue names over the SQS limit', () => {
+    const queueName = 'a-queue-whose-name-is-long-enough-to-exceed-the-limit-of-sqs';
+    sls.service.functions.baz.events = [{pubSub: {queue: queueName}}];
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      `Queue ${queueName} (functions.baz.events[0].pubSub) is named serviceName-stageName-${queueName}, which is 82 characters long, over the SQS limit of 80`
+    );
+  });
+
+  test('shortens queue names over the SQS limit with a hash', async() => {
+    const queueName = 'a-queue-whose-name-is-long-enough-to-exceed-the-limit-of-sqs';
+    sls.service.functions.baz.events = [{pubSub: {queue: {name: queueName, fifo: true}}}];
+    sls.service.custom.pubSub.longNames = 'hash';
+    await plugin.hooks['after:package:initialize']();
+    const queueResource = sls.service.resources.Resources.SQSQueueaqueuewhosenameislongenoughtoexceedthelimitofsqs;
+    const physicalName = queueResource.Properties.QueueName;
+    expect(physicalName).toMatch(/^serviceName-stageName-a-queue-whose-name-is-long-enough-to-exceed-[0-9a-f]{8}\.fifo$/);
+    expect(plugin.resolveQueueVariable(`${queueName}.name`)).toBe(physicalName);
+  });
+
+  test('rejects unknown long name strategies', () => {
+    sls.service.custom.pubSub.longNames = 'truncate';
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'Invalid custom.pubSub.longNames strategy truncate, expected one of error, hash'
+    );
+  });
+});
+
+describe('naming templates', () => {
+  beforeEach(() => {
+    sls.service.custom.pubSub.naming = {
+      topic: '{stage}-orders-{name}',
+      queue: '{region}_{service}_{name}'
+    };
+    sls.service.custom.pubSub.topics['baz-happened'] = {global: true};
+  });
+
+  test('names topics and queues after their templates', async() => {
+    await plugin.hooks['after:package:initialize']();
+    const resources = sls.service.resources.Resources;
+    expect(resources.SNSTopicfoohappened.Properties.TopicName).toBe('stageName-orders-foo-happened');
+    expect(resources.SQSQueuebarqueue.Properties.QueueName).toBe('eu-west-1_serviceName_bar-queue');
+    expect(sls.service.functions.baz.events).toContainEqual({
+      sns: {
+        arn: {
+          'Fn::Join': [':', [
+            'arn', {Ref: 'AWS::Partition'}, 'sns', {Ref: 'AWS::Region'}, {Ref: 'AWS::AccountId'},
+            'stageName-orders-foo-happened'
+          ]]
+        },
+        topicName: 'stageName-orders-foo-happened'
+      }
+    });
+  });
+
+  test('does not apply the template to global topics', async() => {
+    await plugin.hooks['after:package:initialize']();
+    expect(sls.service.resources.Resources.SNSTopicbazhappened.Properties.TopicName).toBe('baz-happened');
+    sls.service.custom.pubSub.topics['shared.fifo'] = {global: true};
+    expect(plugin.resolveTopicVariable('shared.fifo.name')).toBe('shared.fifo');
+  });
+
+  test('applies the templates to variables and offline Arns and Urls', () => {
+    plugin.offlineMode = true;
+    expect(plugin.resolveTopicVariable('foo-happened')).toBe(
+      'arn:aws:sns:us-east-1:1234567890123:stageName-orders-foo-happened'
+    );
+    expect(plugin.resolveTopicVariable('baz-happened')).toBe(
+      'arn:aws:sns:us-east-1:1234567890123:baz-happened'
+    );
+    expect(plugin.resolveTopicVariable('ledger.fifo.name')).toBe('stageName-orders-ledger.fifo');
+    expect(plugin.resolveQueueVariable('bar-queue.name')).toBe('eu-west-1_serviceName_bar-queue');
+    expect(plugin.resolveQueueVariable('bar-queue')).toBe(
+      'http://localhost:3100/1234567890123/eu-west-1_serviceName_bar-queue'
+    );
+  });
+
+  test('applies the topic template to topics of other services', () => {
+    sls.service.custom.pubSub.serviceReferences = 'naming';
+    expect(plugin.resolveTopicVariable('shipping:parcel-sent.name')).toBe('stageName-orders-parcel-sent');
+  });
+
+  test('rejects invalid templates', () => {
+    sls.service.custom.pubSub.naming.topic = '{stage}.{domain}';
+    expect(() => plugin.resolveTopicVariable('foo-happened')).toThrow(
+      'Invalid custom.pubSub.naming.topic template {stage}.{domain}: must contain the {name} placeholder, unknown placeholder {domain}, expected one of {service}, {stage}, {region}, {name}, may only contain letters, digits, hyphens and underscores besides its placeholders'
+    );
+  });
+});
+
+describe('raw message delivery', () => {
+  const subscriptionProps = () => plugin.slsCustomResources
+    .SQSQueuebarqueueToSNSTopicfoohappenedSubscription.Properties;
+
+  test('sets RawMessageDelivery with the queue.raw shorthand', async() => {
+    sls.service.functions.bar.events[0].pubSub.queue.raw = true;
+    await plugin.hooks['after:package:initialize']();
+    expect(subscriptionProps().RawMessageDelivery).toBe(true);
+    expect(plugin.subscriptions.find(s => s.subscriber.name === 'bar-queue').raw).toBe(true);
+  });
+
+  test('follows RawMessageDelivery of the subscription and of the defaults', async() => {
+    sls.service.custom.pubSub.defaults.topicSubscriptions = {RawMessageDelivery: 'true'};
+    sls.service.functions.foo.events = [{pubSub: {topic: 'foo-happened', queue: {name: 'foo-queue', raw: false}}}];
+    sls.service.functions.baz.events = [{
+      pubSub: {topic: {name: 'foo-happened', subscription: {RawMessageDelivery: false}}, queue: {raw: true}}
+    }];
+    await plugin.hooks['after:package:initialize']();
+    const raw = queueName => plugin.subscriptions.find(s => s.subscriber.name === queueName).raw;
+    expect(raw('bar-queue')).toBe(true);
+    expect(raw('foo-queue')).toBe(false);
+    expect(raw('baz-queue')).toBe(false);
+    expect(subscriptionProps().RawMessageDelivery).toBe('true');
+    expect(
+      plugin.slsCustomResources.SQSQueuefooqueueToSNSTopicfoohappenedSubscription.Properties.RawMessageDelivery
+    ).toBe(false);
+  });
+
+  test('is only supported for topic subscriptions', () => {
+    sls.service.functions.baz.events = [{pubSub: {queue: {name: 'jobs', raw: true}}}];
+    expect(() => plugin.hooks['after:package:initialize']()).toThrow(
+      'queue.raw for baz is only supported for topic subscriptions'
+    );
+  });
 });
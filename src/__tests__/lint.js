@@ -0,0 +1,85 @@
+const { lintGraph } = require('../lint');
+const { Func, Topic, Queue } = require('../models');
+const {
+  QueueToFuncSubscription, TopicToQueueSubscription, TopicToFuncSubscription
+} = require('../models/subscription');
+
+describe('lintGraph', () => {
+  let graph;
+  let topic;
+  let queue;
+  let checkout;
+  let ship;
+
+  beforeEach(() => {
+    topic = new Topic({name: 'order-created', vendorConfig: {}});
+    queue = new Queue({name: 'shipping', vendorConfig: {}});
+    checkout = new Func({name: 'checkout', serverlessConfig: {publishes: ['order-created']}});
+    ship = new Func({name: 'ship', serverlessConfig: {timeout: 30}});
+    graph = {
+      topics: [topic],
+      queues: [queue],
+      funcs: [checkout, ship],
+      subscriptions: [],
+      providerTimeout: 6,
+      externallyPublishedTopicNames: []
+    };
+  });
+
+  const ruleIds = (rules) => lintGraph(graph, rules).map(finding => finding.ruleId);
+
+  test('finds topics without subscribers', () => {
+    expect(lintGraph(graph)).toEqual([{
+      ruleId: 'topic-without-subscribers',
+      severity: 'warn',
+      message: 'Topic order-created is published to by checkout but has no subscribers'
+    }]);
+    topic.allowSubscribeFrom = ['123456789012'];
+    expect(ruleIds()).toEqual([]);
+  });
+
+  test('finds topics without publishers', () => {
+    checkout.publishedTopicNames.clear();
+    graph.subscriptions.push(new TopicToFuncSubscription({origin: topic, subscriber: ship}));
+    expect(ruleIds()).toEqual(['topic-without-publishers']);
+    graph.externallyPublishedTopicNames = ['order-created'];
+    expect(ruleIds()).toEqual([]);
+  });
+
+  test('finds functions subscribed to a topic more than once', () => {
+    graph.subscriptions.push(
+      new TopicToFuncSubscription({origin: topic, subscriber: ship}),
+      new TopicToQueueSubscription({origin: topic, subscriber: queue}),
+      new QueueToFuncSubscription({origin: queue, subscriber: ship})
+    );
+    expect(lintGraph(graph)).toEqual([{
+      ruleId: 'duplicate-subscription',
+      severity: 'error',
+      message: 'Function ship is subscribed to topic order-created 2 times, so it receives each message 2 times'
+    }]);
+  });
+
+  test('finds queues shared by functions with very different timeouts', () => {
+    const audit = new Func({name: 'audit', serverlessConfig: {}});
+    graph.subscriptions.push(
+      new QueueToFuncSubscription({origin: queue, subscriber: ship}),
+      new QueueToFuncSubscription({origin: queue, subscriber: audit})
+    );
+    expect(lintGraph(graph, {'topic-without-subscribers': 'off'})).toEqual([{
+      ruleId: 'queue-timeout-mismatch',
+      severity: 'warn',
+      message: 'Queue shipping is consumed by functions with timeouts from 6s (audit) to 30s (ship), and its visibility timeout follows the longest'
+    }]);
+  });
+
+  test('applies configured severities', () => {
+    expect(lintGraph(graph, {'topic-without-subscribers': 'error'})[0].severity).toEqual('error');
+    expect(ruleIds({'topic-without-subscribers': 'off'})).toEqual([]);
+    expect(() => lintGraph(graph, {'no-such-rule': 'warn'})).toThrow(
+      'Unknown lint rule no-such-rule in custom.pubSub.lint.rules'
+    );
+    expect(() => lintGraph(graph, {'topic-without-subscribers': 'loud'})).toThrow(
+      'Invalid severity loud for lint rule topic-without-subscribers, expected one of off, warn, error'
+    );
+  });
+});
@@ -0,0 +1,53 @@
+const {
+  shortenName, findCollisions, validateNamingTemplate, renderNamingTemplate
+} = require('../names');
+
+describe('shortenName', () => {
+  test('keeps names within the limit', () => {
+    expect(shortenName('orders', 80)).toBe('orders');
+  });
+
+  test('truncates long names and appends a hash of the full name', () => {
+    const name = `service-dev-${'x'.repeat(80)}`;
+    const shortened = shortenName(name, 80);
+    expect(shortened).toHaveLength(80);
+    expect(shortened).toMatch(/^service-dev-x+-[0-9a-f]{8}$/);
+    expect(shortenName(name, 80)).toBe(shortened);
+    expect(shortenName(`${name}y`, 80)).not.toBe(shortened);
+  });
+
+  test('keeps the .fifo suffix', () => {
+    expect(shortenName(`${'x'.repeat(80)}.fifo`, 80)).toMatch(/^x{66}-[0-9a-f]{8}\.fifo$/);
+  });
+});
+
+describe('findCollisions', () => {
+  test('groups the resources that share a logical id', () => {
+    const resources = [{name: 'a-b'}, {name: 'c'}, {name: 'a_b'}];
+    expect(findCollisions(resources, r => r.name.replace(/[^a-z]/g, ''))).toEqual([
+      {logicalId: 'ab', resources: [{name: 'a-b'}, {name: 'a_b'}]}
+    ]);
+  });
+});
+
+describe('validateNamingTemplate', () => {
+  test('accepts templates with the name placeholder', () => {
+    expect(validateNamingTemplate('{stage}-billing-{name}')).toEqual([]);
+  });
+
+  test('reports missing and unknown placeholders and invalid characters', () => {
+    expect(validateNamingTemplate('{env}.{service}')).toEqual([
+      'must contain the {name} placeholder',
+      'unknown placeholder {env}, expected one of {service}, {stage}, {region}, {name}',
+      'may only contain letters, digits, hyphens and underscores besides its placeholders'
+    ]);
+  });
+});
+
+describe('renderNamingTemplate', () => {
+  test('replaces the placeholders of the template', () => {
+    const value = jest.fn(placeholder => placeholder.toUpperCase());
+    expect(renderNamingTemplate('{stage}-{name}', value)).toBe('STAGE-NAME');
+    expect(value).toHaveBeenCalledTimes(2);
+  });
+});
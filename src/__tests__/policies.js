@@ -0,0 +1,96 @@
+const {
+  validatePrincipals, principalStatements, validateSources, sourceStatement
+} = require('../policies');
+
+describe('validatePrincipals', () => {
+  test('accepts account ids, organization ids and principal Arns', () => {
+    expect(validatePrincipals([
+      '123456789012',
+      'o-a1b2c3d4e5',
+      'arn:aws:iam::123456789012:root',
+      'arn:aws:iam::123456789012:role/partner-publisher',
+      {'Fn::ImportValue': 'partner-account'}
+    ], 'allowPublishFrom')).toEqual([]);
+  });
+
+  test('rejects malformed entries', () => {
+    expect(validatePrincipals([
+      '12345',
+      123456789012,
+      'o-short',
+      'arn:aws:iam::1234:root',
+      'arn:aws:sns:us-east-1:123456789012:topic'
+    ], 'allowPublishFrom')).toEqual([
+      'allowPublishFrom[0]: 12345 is not a valid account id (12 digits)',
+      'allowPublishFrom[1]: 123456789012 must be quoted, account ids are strings',
+      'allowPublishFrom[2]: o-short is not a valid organization id (o- followed by 10 to 32 lowercase letters or digits)',
+      'allowPublishFrom[3]: arn:aws:iam::1234:root is not a valid IAM principal Arn (arn:aws:iam::<account id>:root, :user/<name> or :role/<name>)',
+      'allowPublishFrom[4]: arn:aws:sns:us-east-1:123456789012:topic is not a valid IAM principal Arn (arn:aws:iam::<account id>:root, :user/<name> or :role/<name>)'
+    ]);
+    expect(validatePrincipals('123456789012', 'allowPublishFrom')).toEqual([
+      'allowPublishFrom: must be a list'
+    ]);
+  });
+});
+
+describe('principalStatements', () => {
+  test('allows organizations through a condition', () => {
+    const resource = {Ref: 'Topic'};
+    expect(principalStatements('AllowPublish', ['sns:Publish'], ['123456789012', 'o-a1b2c3d4e5'], resource))
+      .toEqual([{
+        Sid: 'AllowPublish',
+        Effect: 'Allow',
+        Principal: {AWS: ['123456789012']},
+        Action: ['sns:Publish'],
+        Resource: resource
+      }, {
+        Sid: 'AllowPublishOrganizations',
+        Effect: 'Allow',
+        Principal: {AWS: '*'},
+        Action: ['sns:Publish'],
+        Resource: resource,
+        Condition: {StringEquals: {'aws:PrincipalOrgID': ['o-a1b2c3d4e5']}}
+      }]);
+  });
+});
+
+describe('validateSources', () => {
+  test('accepts S3, CloudWatch alarm and CodePipeline sources', () => {
+    expect(validateSources([
+      {s3: 'uploads'},
+      {s3: 'uploads', events: ['s3:ObjectRemoved:*']},
+      {cloudwatchAlarm: '*'},
+      {codepipeline: 'deploy', events: ['codepipeline-pipeline-pipeline-execution-failed']}
+    ], 'sources')).toEqual([]);
+  });
+
+  test('rejects malformed sources', () => {
+    expect(validateSources([
+      {s3: 'uploads', cloudwatchAlarm: 'high-cpu'},
+      {s3: 'uploads', events: ['ObjectCreated']},
+      {cloudwatchAlarm: 'high-cpu', events: ['ALARM']},
+      {codepipeline: 'deploy'}
+    ], 'sources')).toEqual([
+      'sources[0]: must have exactly one of s3, cloudwatchAlarm, codepipeline',
+      'sources[1].events: S3 event names start with s3:, e.g. s3:ObjectCreated:*',
+      'sources[2].events: is not supported for cloudwatchAlarm sources',
+      'sources[3].events: must be a non-empty list of event names'
+    ]);
+  });
+});
+
+describe('sourceStatement', () => {
+  test('restricts the service to the source and account', () => {
+    expect(sourceStatement('AllowSource0', 's3', 'arn:aws:s3:::uploads', {Ref: 'Topic'})).toEqual({
+      Sid: 'AllowSource0',
+      Effect: 'Allow',
+      Principal: {Service: 's3.amazonaws.com'},
+      Action: ['sns:Publish'],
+      Resource: {Ref: 'Topic'},
+      Condition: {
+        ArnLike: {'aws:SourceArn': 'arn:aws:s3:::uploads'},
+        StringEquals: {'aws:SourceAccount': {Ref: 'AWS::AccountId'}}
+      }
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { parsePublishRequest, protocolMessage } = require('../publish');
+
+const topicArn = 'arn:aws:sns:us-east-1:1234567890123:orders';
+
+describe('parsePublishRequest', () => {
+  test('parses the whole request', () => {
+    expect(parsePublishRequest({
+      TopicArn: topicArn,
+      Message: 'hello',
+      Subject: 'Greeting',
+      MessageGroupId: 'g',
+      MessageDeduplicationId: 'd',
+      'MessageAttributes.entry.2.Name': 'tags',
+      'MessageAttributes.entry.2.Value.DataType': 'String.Array',
+      'MessageAttributes.entry.2.Value.StringValue': '["a", "b"]',
+      'MessageAttributes.entry.1.Name': 'total',
+      'MessageAttributes.entry.1.Value.DataType': 'Number',
+      'MessageAttributes.entry.1.Value.StringValue': '12.5'
+    })).toEqual({
+      request: {
+        topicArn: topicArn,
+        targetArn: null,
+        phoneNumber: null,
+        message: 'hello',
+        messages: null,
+        subject: 'Greeting',
+        attributes: {
+          total: {Type: 'Number', Value: '12.5'},
+          tags: {Type: 'String.Array', Value: '["a", "b"]'}
+        },
+        groupId: 'g',
+        deduplicationId: 'd'
+      }
+    });
+  });
+
+  test('parses a message per protocol with MessageStructure json', () => {
+    const {request} = parsePublishRequest({
+      TargetArn: topicArn,
+      Message: '{"default": "hello", "sqs": "{\\"queued\\": true}"}',
+      MessageStructure: 'json'
+    });
+    expect(request.targetArn).toBe(topicArn);
+    expect(request.messages).toEqual({default: 'hello', sqs: '{"queued": true}'});
+  });
+
+  test('requires exactly one destination', () => {
+    expect(parsePublishRequest({Message: 'hello'}).error).toBe(
+      'Invalid parameter: TopicArn or TargetArn Reason: no value for required parameter'
+    );
+    expect(parsePublishRequest({TopicArn: topicArn, PhoneNumber: '+15555550100', Message: 'hello'}).error).toBe(
+      'Invalid parameter: TopicArn and PhoneNumber Reason: only one of TopicArn, TargetArn or PhoneNumber may be specified'
+    );
+  });
+
+  test('rejects invalid message structures', () => {
+    const parse = (message, structure = 'json') => parsePublishRequest({
+      TopicArn: topicArn, Message: message, MessageStructure: structure
+    }).error;
+    expect(parse('hello')).toBe('Invalid parameter: Message Structure - JSON message body failed to parse');
+    expect(parse('{"sqs": "hello"}')).toBe('Invalid parameter: Message Structure - No default entry in JSON message body');
+    expect(parse('{"default": "hello", "sqs": {}}')).toBe(
+      'Invalid parameter: Message Structure - The sqs entry of the JSON message body must be a string'
+    );
+    expect(parse('hello', 'xml')).toBe('Invalid parameter: MessageStructure Reason: expected one of json');
+  });
+
+  test('rejects empty messages and invalid subjects', () => {
+    expect(parsePublishRequest({TopicArn: topicArn, Message: ''}).error).toBe('Invalid parameter: Empty message');
+    ['', ' leading space', 'line\nbreak', 'x'.repeat(100)].forEach(subject => {
+      expect(parsePublishRequest({TopicArn: topicArn, Message: 'hello', Subject: subject}).error)
+        .toMatch(/^Invalid parameter: Subject Reason: /);
+    });
+  });
+
+  test('rejects invalid message attributes', () => {
+    const parse = (type, value) => parsePublishRequest({
+      TopicArn: topicArn,
+      Message: 'hello',
+      'MessageAttributes.entry.1.Name': 'a',
+      'MessageAttributes.entry.1.Value.DataType': type,
+      'MessageAttributes.entry.1.Value.StringValue': value
+    }).error;
+    expect(parse(undefined, 'x')).toBe(
+      'Invalid parameter: MessageAttributes Reason: the message attribute \'a\' must contain non-empty message attribute type'
+    );
+    expect(parse('Date', 'x')).toBe(
+      'Invalid parameter: MessageAttributes Reason: the message attribute \'a\' has an invalid message attribute type Date'
+    );
+    expect(parse('String', '')).toBe(
+      'Invalid parameter: MessageAttributes Reason: the message attribute \'a\' must contain non-empty message attribute value'
+    );
+    expect(parse('Number', 'ten')).toBe(
+      'Invalid parameter: MessageAttributes Reason: the message attribute \'a\' with type Number must have a numeric value'
+    );
+    expect(parse('String.Array', 'a,b')).toBe(
+      'Invalid parameter: MessageAttributes Reason: the message attribute \'a\' with type String.Array must be a JSON array'
+    );
+    expect(parse('String.Email', 'a@example.com')).toBeUndefined();
+  });
+});
+
+describe('protocolMessage', () => {
+  test('picks the message of the protocol, or the default', () => {
+    const published = {message: 'raw', messages: {default: 'hello', sqs: 'queued'}};
+    expect(protocolMessage(published, 'sqs')).toBe('queued');
+    expect(protocolMessage(published, 'lambda')).toBe('hello');
+    expect(protocolMessage({message: 'raw', messages: null}, 'sqs')).toBe('raw');
+  });
+});
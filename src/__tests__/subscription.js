@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+
+const PubSub = require('pubsub-js');
+
+const Topic = require('../models/topic');
+const Bus = require('../models/bus');
+const Queue = require('../models/queue');
+const {
+  TopicToFuncSubscription, TopicToQueueSubscription, QueueToFuncSubscription, BusToFuncSubscription
+} = require('../models/subscription');
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('Subscription model', () => {
+  let topic;
+  let subscriber;
+
+  beforeEach(() => {
+    PubSub.clearAllSubscriptions();
+    topic = new Topic({name: 'orders', vendorConfig: {}});
+    subscriber = {
+      name: 'shipping',
+      execute: jest.fn(() => Promise.resolve()),
+      log: jest.fn()
+    };
+  });
+
+  test('delivers messages that match the filter policy', async() => {
+    new TopicToFuncSubscription({
+      origin: topic,
+      subscriber: subscriber,
+      filterPolicy: {type: ['order_placed']},
+      filterPolicyScope: 'MessageAttributes'
+    }).subscribe();
+    topic.publish('1', 'hello', {
+      attributes: {type: {Type: 'String', Value: 'order_placed'}}
+    });
+    await flush();
+    expect(subscriber.execute).toHaveBeenCalledTimes(1);
+  });
+
+  test('logs messages that are filtered out', async() => {
+    new TopicToFuncSubscription({
+      origin: topic,
+      subscriber: subscriber,
+      filterPolicy: {type: ['order_placed']},
+      filterPolicyScope: 'MessageAttributes'
+    }).subscribe();
+    topic.publish('1', 'hello', {
+      attributes: {type: {Type: 'String', Value: 'order_cancelled'}}
+    });
+    await flush();
+    expect(subscriber.execute).not.toHaveBeenCalled();
+    expect(subscriber.log).toHaveBeenCalledWith('Filtered out message 1 from topic orders');
+  });
+
+  test('delivers FIFO messages of a group in order', async() => {
+    const fifoTopic = new Topic({name: 'ledger', vendorConfig: {}, fifo: true});
+    const delivered = [];
+    let release;
+    subscriber.execute = jest.fn((encoded) => {
+      const message = JSON.parse(encoded).Records[0].Sns.Message;
+      delivered.push(`start ${message}`);
+      return new Promise(resolve => {
+        release = () => {
+          delivered.push(`end ${message}`);
+          resolve();
+        };
+      });
+    });
+    new TopicToFuncSubscription({origin: fifoTopic, subscriber: subscriber}).subscribe();
+    fifoTopic.publish('1', 'first', {groupId: 'g'});
+    fifoTopic.publish('2', 'second', {groupId: 'g'});
+    await flush();
+    expect(delivered).toEqual(['start first']);
+    release();
+    await flush();
+    release();
+    await flush();
+    expect(delivered).toEqual(['start first', 'end first', 'start second', 'end second']);
+  });
+
+  test('delivers bus events that match the event pattern', async() => {
+    const bus = new Bus({name: 'orders', vendorConfig: {}});
+    new BusToFuncSubscription({
+      origin: bus,
+      subscriber: subscriber,
+      pattern: {source: ['shop'], detail: {status: ['paid']}}
+    }).subscribe();
+    const event = bus.putEvent('1', {source: 'shop', detailType: 'OrderPlaced', detail: {status: 'paid'}});
+    bus.putEvent('2', {source: 'shop', detailType: 'OrderPlaced', detail: {status: 'open'}});
+    await flush();
+    expect(subscriber.execute).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(subscriber.execute.mock.calls[0][0])).toEqual(event);
+    expect(subscriber.log).toHaveBeenCalledWith('Filtered out message 2 from bus orders');
+  });
+
+  test('delivers raw messages to queues with their attributes as SQS message attributes', async() => {
+    const queue = new Queue({name: 'shipping-queue', vendorConfig: {}});
+    queue.log = jest.fn();
+    new TopicToQueueSubscription({origin: topic, subscriber: queue, raw: true}).subscribe();
+    new QueueToFuncSubscription({origin: queue, subscriber: subscriber}).subscribe();
+    topic.publish('1', '{"id":1}', {
+      attributes: {
+        type: {Type: 'String', Value: 'order_placed'},
+        total: {Type: 'Number', Value: '12.5'},
+        signature: {Type: 'Binary', Value: 'c2lnbmVk'}
+      }
+    });
+    await flush();
+    const [record] = JSON.parse(subscriber.execute.mock.calls[0][0]).Records;
+    expect(record.body).toBe('{"id":1}');
+    expect(record.messageAttributes).toEqual({
+      type: {stringValue: 'order_placed', stringListValues: [], binaryListValues: [], dataType: 'String'},
+      total: {stringValue: '12.5', stringListValues: [], binaryListValues: [], dataType: 'Number'},
+      signature: {binaryValue: 'c2lnbmVk', stringListValues: [], binaryListValues: [], dataType: 'Binary'}
+    });
+  });
+
+  test('wraps messages to queues in the SNS envelope without raw delivery', async() => {
+    const queue = new Queue({name: 'shipping-queue', vendorConfig: {}});
+    queue.log = jest.fn();
+    new TopicToQueueSubscription({
+      origin: topic,
+      subscriber: queue,
+      vendorConfig: {RawMessageDelivery: 'false'}
+    }).subscribe();
+    new QueueToFuncSubscription({origin: queue, subscriber: subscriber}).subscribe();
+    topic.publish('1', 'hello', {attributes: {type: {Type: 'String', Value: 'order_placed'}}});
+    await flush();
+    const [record] = JSON.parse(subscriber.execute.mock.calls[0][0]).Records;
+    expect(JSON.parse(record.body)).toMatchObject({
+      Type: 'Notification',
+      Message: 'hello',
+      MessageAttributes: {type: {Type: 'String', Value: 'order_placed'}}
+    });
+    expect(record.messageAttributes).toEqual({});
+  });
+
+  test('delivers the message of each protocol with MessageStructure json', async() => {
+    const queue = new Queue({name: 'shipping-queue', vendorConfig: {}});
+    queue.log = jest.fn();
+    const queueSubscriber = {name: 'packing', execute: jest.fn(() => Promise.resolve()), log: jest.fn()};
+    new TopicToFuncSubscription({origin: topic, subscriber: subscriber}).subscribe();
+    new TopicToQueueSubscription({origin: topic, subscriber: queue}).subscribe();
+    new QueueToFuncSubscription({origin: queue, subscriber: queueSubscriber}).subscribe();
+    topic.publish('1', '{"default": "hello", "sqs": "queued"}', {
+      messages: {default: 'hello', sqs: 'queued'},
+      subject: 'Greeting',
+      topicArn: 'arn:aws:sns:us-east-1:1234567890123:service-dev-orders'
+    });
+    await flush();
+    const notification = JSON.parse(subscriber.execute.mock.calls[0][0]).Records[0].Sns;
+    expect(notification).toMatchObject({
+      Message: 'hello',
+      Subject: 'Greeting',
+      TopicArn: 'arn:aws:sns:us-east-1:1234567890123:service-dev-orders'
+    });
+    const [record] = JSON.parse(queueSubscriber.execute.mock.calls[0][0]).Records;
+    expect(JSON.parse(record.body)).toMatchObject({Message: 'queued', Subject: 'Greeting'});
+    expect(record.md5OfBody).toBe(crypto.createHash('md5').update(record.body).digest('hex'));
+  });
+
+  test('collects the deliveries through queues for publishers that wait for them', async() => {
+    const queue = new Queue({name: 'shipping-queue', vendorConfig: {}});
+    queue.log = jest.fn();
+    let finish;
+    subscriber.execute = jest.fn(() => new Promise(resolve => {
+      finish = resolve;
+    }));
+    new TopicToQueueSubscription({origin: topic, subscriber: queue}).subscribe();
+    new QueueToFuncSubscription({origin: queue, subscriber: subscriber}).subscribe();
+    const deliveries = [];
+    topic.publish('1', 'hello', {deliveries: deliveries});
+    expect(deliveries).toHaveLength(1);
+    expect(subscriber.execute).toHaveBeenCalledTimes(1);
+    let delivered = false;
+    const all = Promise.all(deliveries).then(() => {
+      delivered = true;
+    });
+    await flush();
+    expect(delivered).toBe(false);
+    finish({functionName: 'shipping', error: null});
+    await all;
+    expect(delivered).toBe(true);
+  });
+
+  test('leaves out a missing subject from notifications to queues', async() => {
+    const queue = new Queue({name: 'shipping-queue', vendorConfig: {}});
+    queue.log = jest.fn();
+    new TopicToFuncSubscription({origin: topic, subscriber: subscriber}).subscribe();
+    new TopicToQueueSubscription({origin: topic, subscriber: queue}).subscribe();
+    const queueExecute = jest.spyOn(queue, 'execute');
+    topic.publish('1', 'hello');
+    await flush();
+    expect(JSON.parse(subscriber.execute.mock.calls[0][0]).Records[0].Sns.Subject).toBeNull();
+    expect(JSON.parse(queueExecute.mock.calls[0][0])).not.toHaveProperty('Subject');
+  });
+});
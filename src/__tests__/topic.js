@@ -0,0 +1,44 @@
+const Topic = require('../models/topic');
+const logger = require('../logger');
+
+describe('Topic model', () => {
+
+  beforeEach(() => {
+    logger.init({cli: {log: jest.fn()}});
+  });
+
+  test('is FIFO when configured or named with the .fifo suffix', () => {
+    expect(new Topic({name: 'a', vendorConfig: {}}).fifo).toBe(false);
+    expect(new Topic({name: 'a', vendorConfig: {}, fifo: true}).fifo).toBe(true);
+    expect(new Topic({name: 'a', vendorConfig: {FifoTopic: true}}).fifo).toBe(true);
+    expect(new Topic({name: 'a.fifo', vendorConfig: {}}).fifo).toBe(true);
+  });
+
+  test('deduplicates FIFO messages by deduplication id', () => {
+    const topic = new Topic({name: 'a', vendorConfig: {}, fifo: true});
+    expect(topic.publish('1', 'hello', {groupId: 'g', deduplicationId: 'd'})).toBe(true);
+    expect(topic.publish('2', 'other', {groupId: 'g', deduplicationId: 'd'})).toBe(false);
+  });
+
+  test('deduplicates FIFO messages by content', () => {
+    const topic = new Topic({name: 'a', vendorConfig: {}, fifo: true});
+    expect(topic.publish('1', 'hello', {groupId: 'g'})).toBe(true);
+    expect(topic.publish('2', 'hello', {groupId: 'g'})).toBe(false);
+    expect(topic.publish('3', 'world', {groupId: 'g'})).toBe(true);
+  });
+
+  test('does not deduplicate standard topic messages', () => {
+    const topic = new Topic({name: 'a', vendorConfig: {}});
+    expect(topic.publish('1', 'hello')).toBe(true);
+    expect(topic.publish('2', 'hello')).toBe(true);
+  });
+
+  test('adds the message group and sequence number to FIFO notifications', () => {
+    const topic = new Topic({name: 'a', vendorConfig: {}, fifo: true});
+    const details = topic.formatMessageDetails('1', 'hello', {
+      groupId: 'g', sequenceNumber: '00000000000000000001'
+    });
+    expect(details.MessageGroupId).toEqual('g');
+    expect(details.SequenceNumber).toEqual('00000000000000000001');
+  });
+});
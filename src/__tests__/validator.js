@@ -0,0 +1,85 @@
+const { checkJsonSchema, validateJsonSchema } = require('../validator');
+
+describe('validateJsonSchema', () => {
+  const schema = {
+    type: 'object',
+    required: ['id', 'items'],
+    properties: {
+      id: {type: 'string', pattern: '^ord-'},
+      status: {enum: ['new', 'paid']},
+      total: {type: 'number', minimum: 0},
+      items: {type: 'array', minItems: 1, items: {$ref: '#/definitions/item'}}
+    },
+    additionalProperties: false,
+    definitions: {
+      item: {
+        type: 'object',
+        required: ['sku'],
+        properties: {sku: {type: 'string'}, quantity: {type: 'integer', exclusiveMinimum: 0}}
+      }
+    }
+  };
+
+  test('accepts valid messages', () => {
+    expect(validateJsonSchema(schema, {
+      id: 'ord-1', status: 'new', total: 3.5, items: [{sku: 'a', quantity: 2}]
+    })).toEqual([]);
+  });
+
+  test('reports each error with its path', () => {
+    expect(validateJsonSchema(schema, {
+      id: 'x', status: 'lost', total: -1, items: [{quantity: 1.5}], note: 'hi'
+    })).toEqual([
+      '$.id: must match pattern ^ord-',
+      '$.status: must be one of "new", "paid"',
+      '$.total: must be >= 0',
+      '$.items[0].sku: is required',
+      '$.items[0].quantity: must be of type integer',
+      '$.note: is not an allowed property'
+    ]);
+    expect(validateJsonSchema(schema, [])).toEqual(['$: must be of type object']);
+  });
+
+  test('supports combinators', () => {
+    const combined = {
+      anyOf: [{type: 'string'}, {type: 'number'}],
+      not: {const: 0}
+    };
+    expect(validateJsonSchema(combined, 'a')).toEqual([]);
+    expect(validateJsonSchema(combined, 0)).toEqual(['$: must not match the schema in not']);
+    expect(validateJsonSchema(combined, true)).toEqual(['$: must match at least one schema in anyOf']);
+    expect(validateJsonSchema({oneOf: [{type: 'integer'}, {type: 'number'}]}, 1)).toEqual([
+      '$: must match exactly one schema in oneOf, matched 2'
+    ]);
+  });
+
+  test('rejects remote references', () => {
+    expect(() => validateJsonSchema({$ref: 'http://example.com/s.json'}, {})).toThrow(
+      'only local references'
+    );
+  });
+});
+
+describe('checkJsonSchema', () => {
+  test('accepts usable schemas', () => {
+    expect(checkJsonSchema({
+      properties: {id: {type: 'string', pattern: '^ord-'}, item: {$ref: '#/definitions/item'}},
+      definitions: {item: {type: 'object'}}
+    })).toEqual([]);
+  });
+
+  test('reports unresolvable references and invalid patterns', () => {
+    expect(checkJsonSchema({
+      properties: {
+        id: {type: 'string', pattern: '^(ord-'},
+        customer: {$ref: 'http://example.com/customer.json'},
+        items: {type: 'array', items: {$ref: '#/definitions/item'}}
+      },
+      anyOf: [{$ref: '#/properties/id'}]
+    })).toEqual([
+      '#/properties/id: invalid pattern ^(ord-',
+      '#/properties/customer: Unsupported $ref http://example.com/customer.json: only local references (#/...) are supported',
+      '#/properties/items/items: Could not resolve $ref #/definitions/item'
+    ]);
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * AsyncAPI documents of the messaging topology of a service
+ *
+ * Topics are channels. Functions that publish to a topic have a send
+ * operation on its channel, and functions that are subscribed to a topic,
+ * directly or through a queue, have a receive operation with the SNS (and
+ * SQS) bindings of the subscription.
+ */
+
+const ASYNCAPI_VERSION = '3.0.0';
+const SNS_BINDING_VERSION = '0.1.0';
+const SQS_BINDING_VERSION = '0.2.0';
+
+
+/**
+ * Gets the id of a channel, which may only contain letters, digits, dots,
+ * dashes and underscores
+ * @param  {Topic}  topic
+ * @return {string}
+ */
+function channelId(topic) {
+  return topic.name.replace(/[^\w.-]/g, '.');
+}
+
+
+/**
+ * Builds the SQS binding of a queue
+ * @param  {Queue}    queue
+ * @param  {function} queueAddress gets the physical name of a queue
+ * @return {object}
+ */
+function sqsQueue(queue, queueAddress) {
+  const binding = {
+    name: queueAddress(queue),
+    fifoQueue: queue.fifo
+  };
+  if (queue.deadLetter) {
+    binding.redrivePolicy = {
+      deadLetterQueue: {name: queueAddress(queue.deadLetter.queue)},
+      maxReceiveCount: queue.deadLetter.maxReceiveCount
+    };
+  }
+  return binding;
+}
+
+
+/**
+ * Builds the SNS consumer binding of a topic subscription
+ * @param  {Subscription} sub
+ * @param  {string}       protocol     lambda or sqs
+ * @param  {string}       endpointName
+ * @param  {function}     queueAddress gets the physical name of a queue
+ * @return {object}
+ */
+function snsConsumer(sub, protocol, endpointName, queueAddress) {
+  const consumer = {
+    protocol: protocol,
+    endpoint: {name: endpointName},
+    rawMessageDelivery: Boolean(sub.raw)
+  };
+  if (sub.filterPolicy) {
+    Object.assign(consumer, {
+      filterPolicy: sub.filterPolicy,
+      filterPolicyScope: sub.filterPolicyScope
+    });
+  }
+  if (sub.deadLetterQueue) {
+    consumer.redrivePolicy = {
+      deadLetterQueue: {name: queueAddress(sub.deadLetterQueue)}
+    };
+  }
+  return consumer;
+}
+
+
+/**
+ * Builds an AsyncAPI document
+ * @param  {object}         options
+ * @param  {string}         options.title         Title of the document
+ * @param  {string}         options.version       Version of the document
+ * @param  {Topic[]}        options.topics
+ * @param  {Func[]}         options.funcs
+ * @param  {Subscription[]} options.subscriptions
+ * @param  {function}       options.topicAddress  gets the physical name of a topic
+ * @param  {function}       options.queueAddress  gets the physical name of a queue
+ * @return {object}
+ */
+function buildAsyncApiDocument({title, version, topics, funcs, subscriptions, topicAddress, queueAddress}) {
+  const channels = {};
+  const messages = {};
+  const operations = {};
+
+  topics.forEach(topic => {
+    const id = channelId(topic);
+    const message = {
+      name: topic.name,
+      contentType: 'application/json'
+    };
+    if (topic.schema) {
+      message.payload = topic.schema;
+    }
+    messages[id] = message;
+    const ordering = {type: topic.fifo ? 'FIFO' : 'standard'};
+    if (topic.fifo) {
+      ordering.contentBasedDeduplication = topic.contentBasedDeduplication;
+    }
+    channels[id] = {
+      address: topicAddress(topic),
+      title: topic.name,
+      messages: {[id]: {$ref: `#/components/messages/${id}`}},
+      bindings: {
+        sns: {
+          name: topicAddress(topic),
+          ordering: ordering,
+          bindingVersion: SNS_BINDING_VERSION
+        }
+      }
+    };
+  });
+
+  // Gets the operation of a function on a topic channel, creating it if the
+  // function has none yet
+  const operation = (func, action, topic) => {
+    const id = channelId(topic);
+    const operationId = `${func.name}.${action}.${id}`;
+    if (!operations[operationId]) {
+      operations[operationId] = {
+        action: action,
+        channel: {$ref: `#/channels/${id}`},
+        summary: `${func.name} ${action === 'send' ? 'publishes to' : 'is subscribed to'} ${topic.name}`,
+        messages: [{$ref: `#/channels/${id}/messages/${id}`}]
+      };
+    }
+    return operations[operationId];
+  };
+
+  // Adds the bindings of a subscription to a receive operation
+  const bind = (op, consumer, queue) => {
+    op.bindings = op.bindings || {};
+    op.bindings.sns = op.bindings.sns || {consumers: [], bindingVersion: SNS_BINDING_VERSION};
+    op.bindings.sns.consumers.push(consumer);
+    if (queue) {
+      op.bindings.sqs = op.bindings.sqs || {queues: [], bindingVersion: SQS_BINDING_VERSION};
+      op.bindings.sqs.queues.push(sqsQueue(queue, queueAddress));
+    }
+  };
+
+  funcs.forEach(func => {
+    func.publishedTopicNames.forEach(topicName => {
+      const topic = topics.find(t => t.name === topicName);
+      if (topic) {
+        operation(func, 'send', topic);
+      }
+    });
+  });
+
+  subscriptions
+    .filter(sub => sub.origin.type === 'topic')
+    .forEach(sub => {
+      const topic = sub.origin;
+      if (sub.subscriber.type === 'function') {
+        bind(
+          operation(sub.subscriber, 'receive', topic),
+          snsConsumer(sub, 'lambda', sub.subscriber.name, queueAddress)
+        );
+        return;
+      }
+      // Topics deliver to queues, which are consumed by functions
+      const queue = sub.subscriber;
+      subscriptions
+        .filter(queueSub => queueSub.origin === queue && queueSub.subscriber.type === 'function')
+        .forEach(queueSub => bind(
+          operation(queueSub.subscriber, 'receive', topic),
+          snsConsumer(sub, 'sqs', queueAddress(queue), queueAddress),
+          queue
+        ));
+    });
+
+  return {
+    asyncapi: ASYNCAPI_VERSION,
+    info: {
+      title: title,
+      version: version
+    },
+    defaultContentType: 'application/json',
+    channels: channels,
+    operations: operations,
+    components: {
+      messages: messages
+    }
+  };
+}
+
+
+module.exports = {
+  buildAsyncApiDocument
+};
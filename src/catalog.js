@@ -0,0 +1,122 @@
+/**
+ * Topics imported from an AsyncAPI catalog
+ *
+ * Each channel of an AsyncAPI 2.x or 3.x document is a topic, configured by
+ * its SNS channel binding and described by the payloads of its messages.
+ */
+
+/**
+ * Replaces the local references ($ref: '#/...') in a document node with the
+ * nodes they reference
+ * @param  {any}      node
+ * @param  {object}   root  Document, which references are resolved against
+ * @param  {string[]} stack References being resolved, to detect cycles
+ * @return {any}
+ */
+function dereference(node, root, stack = []) {
+  if (Array.isArray(node)) {
+    return node.map(item => dereference(item, root, stack));
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+  if (typeof node.$ref === 'string') {
+    const ref = node.$ref;
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Unsupported $ref ${ref}: only references within the catalog (#/...) are supported`);
+    }
+    if (stack.includes(ref)) {
+      throw new Error(`Circular $ref ${ref}`);
+    }
+    const target = ref.slice(2).split('/').reduce(
+      (parent, segment) => parent && parent[segment.replace(/~1/g, '/').replace(/~0/g, '~')],
+      root
+    );
+    if (target === undefined) {
+      throw new Error(`Could not resolve $ref ${ref}`);
+    }
+    return dereference(target, root, stack.concat(ref));
+  }
+  return Object.keys(node).reduce((result, key) => {
+    result[key] = dereference(node[key], root, stack);
+    return result;
+  }, {});
+}
+
+
+/**
+ * Gets the messages of a channel, flattening oneOf lists of messages
+ * @param  {object} channel Dereferenced channel
+ * @param  {number} major   Major AsyncAPI version
+ * @return {object[]}
+ */
+function channelMessages(channel, major) {
+  const messages = major >= 3
+    ? Object.keys(channel.messages || {}).map(key => channel.messages[key])
+    : [channel.publish, channel.subscribe].filter(Boolean).map(op => op.message);
+  return messages.filter(Boolean).reduce(
+    (flat, message) => flat.concat(message.oneOf || [message]),
+    []
+  );
+}
+
+
+/**
+ * Gets the JSON Schema of a message payload, which AsyncAPI 3 may wrap with
+ * its schema format
+ * @param  {object} message
+ * @return {object} the schema, or null if the message has no payload
+ */
+function messagePayload(message) {
+  const payload = message.payload;
+  if (!payload || typeof payload !== 'object') {
+    return null;
+  }
+  return payload.schemaFormat && payload.schema ? payload.schema : payload;
+}
+
+
+/**
+ * Builds the topic configs of an AsyncAPI catalog, in the form of
+ * custom.pubSub.topics
+ * @param  {object} doc AsyncAPI document
+ * @return {object} mapping of topic name and topic config
+ */
+function catalogTopics(doc) {
+  const major = parseInt(String((doc && doc.asyncapi) || ''), 10);
+  if (major !== 2 && major !== 3) {
+    throw new Error('expected an AsyncAPI 2.x or 3.x document');
+  }
+  const channels = doc.channels || {};
+  return Object.keys(channels).reduce((topics, key) => {
+    const channel = dereference(channels[key], doc);
+    const name = (major >= 3 && channel.address) || key;
+    if (name.includes('{')) {
+      throw new Error(`channel ${key} has a parameterized address, which cannot name a topic`);
+    }
+    const config = {};
+    const sns = (channel.bindings && channel.bindings.sns) || {};
+    if (sns.ordering && sns.ordering.type === 'FIFO') {
+      config.fifo = true;
+      if (sns.ordering.contentBasedDeduplication !== undefined) {
+        config.ContentBasedDeduplication = sns.ordering.contentBasedDeduplication;
+      }
+    }
+    if (sns.tags) {
+      config.Tags = Object.keys(sns.tags).map(tag => ({Key: tag, Value: String(sns.tags[tag])}));
+    }
+    const payloads = channelMessages(channel, major).map(messagePayload).filter(Boolean);
+    if (payloads.length === 1) {
+      config.schema = payloads[0];
+    } else if (payloads.length > 1) {
+      config.schema = {oneOf: payloads};
+    }
+    topics[name] = config;
+    return topics;
+  }, {});
+}
+
+
+module.exports = {
+  catalogTopics
+};
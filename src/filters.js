@@ -0,0 +1,507 @@
+/**
+ * SNS subscription filter policies and EventBridge event patterns, which
+ * share most of their grammar
+ */
+
+const net = require('net');
+
+// Maps the pubSub `filterScope` values to the SNS FilterPolicyScope values
+const FILTER_SCOPES = {
+  attributes: 'MessageAttributes',
+  body: 'MessageBody'
+};
+
+// EventBridge event patterns are matched against the event like a filter
+// policy with the body scope, with no limit on nesting or combinations
+const EVENT_PATTERN = 'EventPattern';
+
+// SNS limits on filter policies
+const MAX_DEPTH = 5;
+const MAX_COMBINATIONS = 150;
+
+const NUMERIC_OPERATORS = ['=', '<', '<=', '>', '>='];
+
+
+/**
+ * Checks a CIDR block (or single IP address)
+ * @param  {string}  value
+ * @return {boolean}
+ */
+function isCidr(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  const [address, bits, ...rest] = value.split('/');
+  const version = net.isIP(address);
+  if (!version || rest.length) {
+    return false;
+  }
+  if (bits === undefined) {
+    return true;
+  }
+  const maxBits = version === 4 ? 32 : 128;
+  return /^\d+$/.test(bits) && Number(bits) <= maxBits;
+}
+
+
+/**
+ * Checks the operands of a numeric operator, e.g. ['>', 0, '<=', 5]
+ * @param  {Array} operands
+ * @return {string} the error, or null if valid
+ */
+function numericError(operands) {
+  if (!Array.isArray(operands) || ![2, 4].includes(operands.length)) {
+    return 'numeric must be an array of one or two operator/value pairs';
+  }
+  for (let i = 0; i < operands.length; i += 2) {
+    if (!NUMERIC_OPERATORS.includes(operands[i])) {
+      return `unknown numeric operator ${JSON.stringify(operands[i])}`;
+    }
+    if (typeof operands[i + 1] !== 'number') {
+      return `numeric operator ${operands[i]} must be followed by a number`;
+    }
+  }
+  if (operands.length === 4 && (
+    !['>', '>='].includes(operands[0]) || !['<', '<='].includes(operands[2])
+  )) {
+    return 'numeric ranges must be a lower bound (> or >=) followed by an upper bound (< or <=)';
+  }
+  return null;
+}
+
+
+/**
+ * Whether nested policies are allowed in a scope
+ * @param  {string}  scope
+ * @return {boolean}
+ */
+function allowsNesting(scope) {
+  return scope === FILTER_SCOPES.body || scope === EVENT_PATTERN;
+}
+
+
+/**
+ * Checks a single operator object, e.g. {prefix: 'order-'}
+ * @param  {object} condition
+ * @param  {string} scope     MessageAttributes, MessageBody or EventPattern
+ * @return {string} the error, or null if valid
+ */
+function operatorError(condition, scope) {
+  const keys = Object.keys(condition);
+  if (keys.length !== 1) {
+    return 'operator objects must have exactly one operator';
+  }
+  const [operator] = keys;
+  const operand = condition[operator];
+  // Wildcards are only supported by EventBridge
+  if (operator === 'wildcard' && scope === EVENT_PATTERN) {
+    return typeof operand === 'string' ? null : 'wildcard must be a string';
+  }
+  switch (operator) {
+    case 'prefix':
+    case 'suffix':
+    case 'equals-ignore-case':
+      return typeof operand === 'string' ? null : `${operator} must be a string`;
+    case 'anything-but':
+      if (['string', 'number'].includes(typeof operand)) {
+        return null;
+      }
+      if (Array.isArray(operand)) {
+        return operand.length && operand.every(v => ['string', 'number'].includes(typeof v))
+          ? null
+          : 'anything-but must be a non-empty list of strings or numbers';
+      }
+      if (operand && typeof operand === 'object') {
+        const nested = Object.keys(operand);
+        return nested.length === 1 && ['prefix', 'suffix'].includes(nested[0])
+          && typeof operand[nested[0]] === 'string'
+          ? null
+          : 'anything-but objects must contain a single prefix or suffix string';
+      }
+      return 'anything-but must be a string, number, list or prefix/suffix object';
+    case 'numeric':
+      return numericError(operand);
+    case 'exists':
+      return typeof operand === 'boolean' ? null : 'exists must be true or false';
+    case 'cidr':
+      return isCidr(operand) ? null : `cidr must be an IP address or CIDR block, got ${JSON.stringify(operand)}`;
+    default:
+      return `unknown operator ${JSON.stringify(operator)}`;
+  }
+}
+
+
+/**
+ * Validates a filter policy node and counts its value combinations
+ * @param  {object}   node   Policy object
+ * @param  {string}   path   Path to the node, for error messages
+ * @param  {number}   depth  Nesting depth of the node
+ * @param  {string}   scope  MessageAttributes, MessageBody or EventPattern
+ * @param  {string[]} errors Collected errors
+ * @return {number}   number of value combinations
+ */
+function validateNode(node, path, depth, scope, errors) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    errors.push(`${path || 'policy'}: must be an object`);
+    return 0;
+  }
+  if (scope !== EVENT_PATTERN && depth > MAX_DEPTH) {
+    errors.push(`${path}: nesting depth exceeds ${MAX_DEPTH}`);
+    return 0;
+  }
+  const keys = Object.keys(node);
+  if (!keys.length) {
+    errors.push(`${path || 'policy'}: must not be empty`);
+    return 0;
+  }
+
+  return keys.reduce((combinations, key) => {
+    const keyPath = path ? `${path}.${key}` : key;
+    const value = node[key];
+
+    if (key === '$or') {
+      if (!Array.isArray(value) || value.length < 2) {
+        errors.push(`${keyPath}: must be a list of at least two policies`);
+        return combinations;
+      }
+      return combinations * value.reduce((sum, branch, i) =>
+        sum + validateNode(branch, `${keyPath}[${i}]`, depth, scope, errors), 0
+      );
+    }
+
+    if (Array.isArray(value)) {
+      if (!value.length) {
+        errors.push(`${keyPath}: must not be an empty list`);
+      }
+      value.forEach((condition, i) => {
+        if (condition && typeof condition === 'object') {
+          const error = Array.isArray(condition)
+            ? 'nested lists are not allowed'
+            : operatorError(condition, scope);
+          if (error) {
+            errors.push(`${keyPath}[${i}]: ${error}`);
+          }
+        }
+      });
+      return combinations * value.length;
+    }
+
+    if (value && typeof value === 'object' && allowsNesting(scope)) {
+      return combinations * validateNode(value, keyPath, depth + 1, scope, errors);
+    }
+
+    errors.push(
+      allowsNesting(scope)
+        ? `${keyPath}: must be a list of values or a nested policy`
+        : `${keyPath}: must be a list of values (nested policies require the body filter scope)`
+    );
+    return combinations;
+  }, 1);
+}
+
+
+/**
+ * Validates a filter policy against the SNS filter policy grammar
+ * @param  {object} policy Filter policy
+ * @param  {string} scope  MessageAttributes or MessageBody
+ * @return {string[]} list of errors, empty if the policy is valid
+ */
+function validateFilterPolicy(policy, scope = FILTER_SCOPES.attributes) {
+  const errors = [];
+  const combinations = validateNode(policy, '', 1, scope, errors);
+  if (!errors.length && combinations > MAX_COMBINATIONS) {
+    errors.push(
+      `policy has ${combinations} value combinations, the maximum is ${MAX_COMBINATIONS}`
+    );
+  }
+  return errors;
+}
+
+
+/**
+ * Validates an EventBridge event pattern
+ * @param  {object} pattern Event pattern
+ * @return {string[]} list of errors, empty if the pattern is valid
+ */
+function validateEventPattern(pattern) {
+  const errors = [];
+  validateNode(pattern, '', 1, EVENT_PATTERN, errors);
+  return errors;
+}
+
+
+/**
+ * Checks a value against a wildcard pattern, where * matches any characters
+ * @param  {string}  pattern
+ * @param  {string}  value
+ * @return {boolean}
+ */
+function matchesWildcard(pattern, value) {
+  const expression = pattern
+    .split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${expression}$`).test(value);
+}
+
+
+/**
+ * Converts an IPv4 or IPv6 address into a list of bytes
+ * @param  {string} address
+ * @return {number[]} bytes, or null if the address is invalid
+ */
+function ipToBytes(address) {
+  const version = net.isIP(address);
+  if (version === 4) {
+    return address.split('.').map(Number);
+  }
+  if (version !== 6) {
+    return null;
+  }
+  const [head, tail] = address.split('::');
+  const toGroups = part => (part ? part.split(':') : []);
+  let groups = toGroups(head);
+  const tailGroups = toGroups(tail);
+  // An embedded IPv4 address takes up the last two groups
+  const last = tail === undefined ? groups : tailGroups;
+  if (last.length && net.isIPv4(last[last.length - 1])) {
+    const [a, b, c, d] = last.pop().split('.').map(Number);
+    last.push(((a << 8) + b).toString(16), ((c << 8) + d).toString(16));
+  }
+  if (tail !== undefined) {
+    const fill = new Array(8 - groups.length - tailGroups.length).fill('0');
+    groups = groups.concat(fill, tailGroups);
+  }
+  return groups.reduce((bytes, group) => {
+    const value = parseInt(group, 16);
+    return bytes.concat([value >> 8, value & 0xff]);
+  }, []);
+}
+
+
+/**
+ * Checks whether an IP address is within a CIDR block
+ * @param  {string} address
+ * @param  {string} cidr
+ * @return {boolean}
+ */
+function cidrContains(cidr, address) {
+  const [network, bits] = cidr.split('/');
+  const networkBytes = ipToBytes(network);
+  const addressBytes = ipToBytes(address);
+  if (!addressBytes || networkBytes.length !== addressBytes.length) {
+    return false;
+  }
+  let remaining = bits === undefined ? networkBytes.length * 8 : Number(bits);
+  for (let i = 0; i < networkBytes.length && remaining > 0; i += 1) {
+    const mask = remaining >= 8 ? 0xff : (0xff << (8 - remaining)) & 0xff;
+    if ((networkBytes[i] & mask) !== (addressBytes[i] & mask)) {
+      return false;
+    }
+    remaining -= 8;
+  }
+  return true;
+}
+
+
+/**
+ * Checks a numeric condition, e.g. ['>', 0, '<=', 5]
+ * @param  {Array}   operands
+ * @param  {number}  value
+ * @return {boolean}
+ */
+function matchesNumeric(operands, value) {
+  for (let i = 0; i < operands.length; i += 2) {
+    const operand = operands[i + 1];
+    const matches = {
+      '=': value === operand,
+      '<': value < operand,
+      '<=': value <= operand,
+      '>': value > operand,
+      '>=': value >= operand
+    }[operands[i]];
+    if (!matches) {
+      return false;
+    }
+  }
+  return true;
+}
+
+
+/**
+ * Checks a single condition from a filter policy against a (present) value
+ * @param  {*}       condition Value or operator object from the policy
+ * @param  {*}       value     Value from the message
+ * @param  {boolean} numeric   Whether the value is a number
+ * @return {boolean}
+ */
+function matchesCondition(condition, value, numeric) {
+  if (condition === null || typeof condition !== 'object') {
+    if (typeof condition === 'number') {
+      return numeric && Number(value) === condition;
+    }
+    return !numeric && value === condition;
+  }
+  const [operator] = Object.keys(condition);
+  const operand = condition[operator];
+  const isString = !numeric && typeof value === 'string';
+  switch (operator) {
+    case 'prefix':
+      return isString && value.startsWith(operand);
+    case 'suffix':
+      return isString && value.endsWith(operand);
+    case 'equals-ignore-case':
+      return isString && value.toLowerCase() === operand.toLowerCase();
+    case 'anything-but':
+      if (Array.isArray(operand)) {
+        return !operand.some(v => matchesCondition(v, value, numeric));
+      }
+      if (operand && typeof operand === 'object') {
+        return isString && !matchesCondition(operand, value, numeric);
+      }
+      return !matchesCondition(operand, value, numeric);
+    case 'numeric':
+      return numeric && matchesNumeric(operand, Number(value));
+    case 'exists':
+      return operand;
+    case 'cidr':
+      return isString && cidrContains(operand, value);
+    case 'wildcard':
+      return isString && matchesWildcard(operand, value);
+    default:
+      return false;
+  }
+}
+
+
+/**
+ * Checks a list of conditions against a value from the message. A value that
+ * is a list matches if any of its items match.
+ * @param  {Array}   conditions
+ * @param  {object}  field      {present, values, numeric}
+ * @return {boolean}
+ */
+function matchesConditions(conditions, {present, values, numeric}) {
+  return conditions.some(condition => {
+    if (condition && typeof condition === 'object' && 'exists' in condition) {
+      return condition.exists === present;
+    }
+    return present && values.some(value => matchesCondition(condition, value, numeric));
+  });
+}
+
+
+/**
+ * Reads a message attribute into a field for matching
+ * @param  {object} attribute SNS message attribute ({Type, Value})
+ * @return {object} {present, values, numeric}
+ */
+function attributeField(attribute) {
+  if (!attribute || attribute.Type === 'Binary') {
+    return {present: false, values: []};
+  }
+  if (attribute.Type === 'String.Array') {
+    let values;
+    try {
+      values = JSON.parse(attribute.Value);
+    } catch (e) {
+      values = null;
+    }
+    return Array.isArray(values)
+      ? {present: true, values: values, numeric: false}
+      : {present: true, values: [], numeric: false};
+  }
+  return {
+    present: true,
+    values: [attribute.Value],
+    numeric: (attribute.Type || '').startsWith('Number')
+  };
+}
+
+
+/**
+ * Reads a message body value into a field for matching
+ * @param  {object} body Parsed message body (or a nested object within it)
+ * @param  {string} key
+ * @return {object} {present, values, numeric}
+ */
+function bodyField(body, key) {
+  if (!Object.prototype.hasOwnProperty.call(body, key)) {
+    return {present: false, values: []};
+  }
+  const values = Array.isArray(body[key]) ? body[key] : [body[key]];
+  return {
+    present: true,
+    values: values,
+    numeric: values.length > 0 && values.every(v => typeof v === 'number')
+  };
+}
+
+
+/**
+ * Checks a filter policy node against the message attributes or body
+ * @param  {object}  node   Policy object
+ * @param  {object}  source Message attributes, or the parsed message body
+ * @param  {string}  scope  MessageAttributes, MessageBody or EventPattern
+ * @return {boolean}
+ */
+function matchesNode(node, source, scope) {
+  return Object.keys(node).every(key => {
+    const condition = node[key];
+    if (key === '$or') {
+      return condition.some(branch => matchesNode(branch, source, scope));
+    }
+    if (scope === FILTER_SCOPES.attributes) {
+      return matchesConditions(condition, attributeField(source[key]));
+    }
+    if (!Array.isArray(condition)) {
+      const nested = source[key];
+      return Boolean(nested) && typeof nested === 'object' && !Array.isArray(nested)
+        && matchesNode(condition, nested, scope);
+    }
+    return matchesConditions(condition, bodyField(source, key));
+  });
+}
+
+
+/**
+ * Checks whether a message matches a subscription filter policy
+ * @param  {object}  policy                 Filter policy
+ * @param  {string}  scope                  MessageAttributes or MessageBody
+ * @param  {string}  message.message        Message body
+ * @param  {object}  message.attributes     SNS message attributes
+ * @return {boolean}
+ */
+function matchesFilterPolicy(policy, scope, {message, attributes}) {
+  if (scope === FILTER_SCOPES.body) {
+    let body;
+    try {
+      body = JSON.parse(message);
+    } catch (e) {
+      return false;
+    }
+    return Boolean(body) && typeof body === 'object' && !Array.isArray(body)
+      && matchesNode(policy, body, scope);
+  }
+  return matchesNode(policy, attributes || {}, FILTER_SCOPES.attributes);
+}
+
+
+/**
+ * Checks whether an EventBridge event matches an event pattern
+ * @param  {object}  pattern Event pattern
+ * @param  {object}  event   EventBridge event
+ * @return {boolean}
+ */
+function matchesEventPattern(pattern, event) {
+  return matchesNode(pattern, event, EVENT_PATTERN);
+}
+
+
+module.exports = {
+  FILTER_SCOPES,
+  validateFilterPolicy,
+  matchesFilterPolicy,
+  validateEventPattern,
+  matchesEventPattern
+};
@@ -0,0 +1,172 @@
+/**
+ * The graph of who feeds whom in a service: functions publish to topics,
+ * queues and buses, which deliver to queues and functions
+ */
+
+// Version of the manifest format, for tools that read it
+const MANIFEST_VERSION = 1;
+
+const DOT_SHAPES = {
+  function: 'box',
+  topic: 'ellipse',
+  queue: 'cylinder',
+  bus: 'hexagon'
+};
+
+// Mermaid node shapes, as opening and closing brackets
+const MERMAID_SHAPES = {
+  function: ['[', ']'],
+  topic: ['([', '])'],
+  queue: ['[(', ')]'],
+  bus: ['{{', '}}']
+};
+
+const EDGE_LABELS = {
+  publish: 'publishes',
+  subscription: 'delivers',
+  rule: 'routes',
+  deadLetter: 'dead letter'
+};
+
+
+/**
+ * Gets the id of a node in the manifest
+ * @param  {object} resource Func, Topic, Queue or Bus
+ * @return {string} e.g. topic:order-created
+ */
+function nodeId(resource) {
+  return `${resource.type}:${resource.name}`;
+}
+
+
+/**
+ * Builds the manifest of the graph
+ * @param  {object}         options
+ * @param  {string}         options.service
+ * @param  {string}         options.stage
+ * @param  {Topic[]}        options.topics
+ * @param  {Queue[]}        options.queues
+ * @param  {Bus[]}          options.buses
+ * @param  {Func[]}         options.funcs
+ * @param  {Subscription[]} options.subscriptions
+ * @return {object} {version, service, stage, nodes, edges}
+ */
+function buildManifest({service, stage, topics, queues, buses, funcs, subscriptions}) {
+  const edges = [];
+  const resourceEdge = (from, to, kind, details) => {
+    edges.push(Object.assign({from: nodeId(from), to: nodeId(to), kind: kind}, details));
+  };
+
+  funcs.forEach(func => {
+    [
+      [func.publishedTopicNames, topics],
+      [func.sentQueueNames, queues],
+      [func.publishedBusNames, buses]
+    ].forEach(([names, resources]) => {
+      names.forEach(name => {
+        const resource = resources.find(r => r.name === name);
+        if (resource) {
+          resourceEdge(func, resource, 'publish');
+        }
+      });
+    });
+  });
+  subscriptions.forEach(sub => {
+    const details = {};
+    if (sub.pattern) {
+      details.pattern = sub.pattern;
+    } else if (sub.filterPolicy) {
+      Object.assign(details, {
+        filterPolicy: sub.filterPolicy,
+        filterPolicyScope: sub.filterPolicyScope
+      });
+    }
+    resourceEdge(sub.origin, sub.subscriber, sub.origin.type === 'bus' ? 'rule' : 'subscription', details);
+    if (sub.deadLetterQueue) {
+      resourceEdge(sub.origin, sub.deadLetterQueue, 'deadLetter');
+    }
+  });
+  queues.filter(queue => queue.deadLetter).forEach(queue => {
+    resourceEdge(queue, queue.deadLetter.queue, 'deadLetter');
+  });
+
+  // Functions without pubSub connections are left out
+  const connected = new Set(edges.map(edge => edge.from).concat(edges.map(edge => edge.to)));
+  const nodes = topics.concat(queues, buses)
+    .concat(funcs.filter(func => connected.has(nodeId(func))))
+    .map(resource => {
+      const node = {id: nodeId(resource), type: resource.type, name: resource.name};
+      if (resource.type !== 'function') {
+        Object.assign(node, {
+          fifo: Boolean(resource.fifo),
+          // External resources are owned outside of the stack
+          external: Boolean(resource.arn)
+        });
+      }
+      return node;
+    });
+
+  return {
+    version: MANIFEST_VERSION,
+    service: service,
+    stage: stage,
+    nodes: nodes,
+    edges: edges
+  };
+}
+
+
+/**
+ * Renders a manifest as a Graphviz DOT digraph
+ * @param  {object} manifest
+ * @return {string}
+ */
+function renderDot(manifest) {
+  const quote = value => `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+  const lines = [`digraph ${quote(manifest.service)} {`, '  rankdir=LR;'];
+  manifest.nodes.forEach(node => {
+    const attributes = [`label=${quote(node.name)}`, `shape=${DOT_SHAPES[node.type]}`];
+    if (node.external) {
+      attributes.push('style=dashed');
+    }
+    lines.push(`  ${quote(node.id)} [${attributes.join(', ')}];`);
+  });
+  manifest.edges.forEach(edge => {
+    const attributes = [`label=${quote(EDGE_LABELS[edge.kind])}`];
+    if (edge.kind === 'deadLetter') {
+      attributes.push('style=dashed');
+    }
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [${attributes.join(', ')}];`);
+  });
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+
+/**
+ * Renders a manifest as a Mermaid flowchart
+ * @param  {object} manifest
+ * @return {string}
+ */
+function renderMermaid(manifest) {
+  // Mermaid ids may not contain the punctuation of resource names
+  const ids = new Map(manifest.nodes.map((node, i) => [node.id, `n${i}`]));
+  const label = value => `"${String(value).replace(/"/g, '#quot;')}"`;
+  const lines = ['flowchart LR'];
+  manifest.nodes.forEach(node => {
+    const [open, close] = MERMAID_SHAPES[node.type];
+    lines.push(`  ${ids.get(node.id)}${open}${label(node.name)}${close}`);
+  });
+  manifest.edges.forEach(edge => {
+    const arrow = edge.kind === 'deadLetter' ? '-.->' : '-->';
+    lines.push(`  ${ids.get(edge.from)} ${arrow}|${label(EDGE_LABELS[edge.kind])}| ${ids.get(edge.to)}`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+
+module.exports = {
+  buildManifest,
+  renderDot,
+  renderMermaid
+};
@@ -1,8 +1,31 @@
 const crypto = require('crypto');
 
+const FIFO_SUFFIX = '.fifo';
+
+// Separates the service from the resource name in a reference to another
+// service's resource, e.g. orders:order-created
+const SERVICE_SEPARATOR = ':';
+
 
 module.exports = {
+  FIFO_SUFFIX,
+  SERVICE_SEPARATOR,
   randomId: () => crypto.randomBytes(16).toString('hex'),
+  sha256: (value) => crypto.createHash('sha256').update(value).digest('hex'),
+  // Cloudformation booleans may also be given as strings
+  isTrue: (value) => value === true || value === 'true',
+  isFifoName: (name) => typeof name === 'string' && name.endsWith(FIFO_SUFFIX),
+  stripFifoSuffix: (name) => name.endsWith(FIFO_SUFFIX)
+    ? name.slice(0, -FIFO_SUFFIX.length)
+    : name,
+  // The resource name of a literal Arn, e.g. my-queue in
+  // arn:aws:sqs:us-east-1:123456789012:my-queue
+  arnResourceName: (arn) => typeof arn === 'string' ? arn.split(':').slice(-1)[0] : null,
+  // The pubsub-js channel of an offline topic, queue or bus. pubsub-js also
+  // delivers to the channels that a name starts with up to a dot, so dots
+  // (e.g. of .fifo) are escaped, and names are scoped by resource type.
+  offlineChannel: ({type, name}) =>
+    `${type}:${name.replace(/%/g, '%25').replace(/\./g, '%2E')}`,
   formatCLIOptions: (opts) => {
     const cliSegments = [];
     for (let key in opts) {
@@ -19,4 +42,3 @@ module.exports = {
     return cliSegments;
   }
 };
-
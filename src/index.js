@@ -3,15 +3,76 @@
  */
 
 
+const fs = require('fs');
+const path = require('path');
+
 const Server = require('./offline');
 const {
-  Func, Topic, Queue, QueueToFuncSubscription,
-  TopicToQueueSubscription, TopicToFuncSubscription
+  Func, Topic, Queue, Bus, QueueToFuncSubscription,
+  TopicToQueueSubscription, TopicToFuncSubscription, BusSubscription,
+  BusToFuncSubscription, BusToQueueSubscription
 } = require('./models');
 
 const logger = require('./logger');
+const schema = require('./schema');
+const {
+  validatePrincipals, principalStatements, sourceService, validateSources, sourceStatement,
+  encryptionKeyPolicy
+} = require('./policies');
+const {
+  QUEUE_ALARMS, DEAD_LETTER_QUEUE_ALARMS, TOPIC_ALARMS, DEFAULT_PERIOD, DEFAULT_EVALUATION_PERIODS,
+  validateThresholds, resolveThresholds, alarmResource
+} = require('./monitoring');
+const { buildAsyncApiDocument } = require('./asyncapi');
+const { catalogTopics } = require('./catalog');
+const { buildManifest, renderDot, renderMermaid } = require('./graph');
+const { lintGraph } = require('./lint');
+const { parsePublishRequest } = require('./publish');
+const { checkJsonSchema } = require('./validator');
+const {
+  MAX_QUEUE_NAME_LENGTH, LONG_NAME_STRATEGIES, DEFAULT_NAMING_TEMPLATE, validateNamingTemplate,
+  renderNamingTemplate, shortenName, shortHash, findCollisions
+} = require('./names');
+const { FILTER_SCOPES, validateFilterPolicy, validateEventPattern } = require('./filters');
+const {
+  randomId, stripFifoSuffix, arnResourceName, isTrue, FIFO_SUFFIX, SERVICE_SEPARATOR
+} = require('./helpers');
+
+// Keys in the custom topic/queue config that configure the plugin rather
+// than the Cloudformation resource
+const TOPIC_OPTIONS = [
+  'fifo', 'allowPublishFrom', 'allowSubscribeFrom', 'sources', 'monitoring', 'schema', 'global'
+];
+const QUEUE_OPTIONS = ['fifo', 'deadLetter', 'monitoring'];
+
+// Permission modes for publishing functions
+const IAM_MODES = ['perFunction', 'shared'];
+
+// Attributes that the pubSubTopic and pubSubQueue variables resolve to,
+// the first being the default
+const TOPIC_ATTRIBUTES = ['arn', 'name', 'logicalId'];
+const QUEUE_ATTRIBUTES = ['url', 'arn', 'name', 'logicalId'];
+const BUS_ATTRIBUTES = ['arn', 'name', 'logicalId'];
 
-const pubSubTopicSyntax = RegExp(/^pubSubTopic:/g);
+// Account id used for Arns and Urls in offline mode
+const OFFLINE_ACCOUNT_ID = '1234567890123';
+
+// The encryption key value for a KMS key that is created by the plugin
+const MANAGED_KEY = 'managed';
+const KMS_KEY_ARN_PATTERN = /^arn:aws[a-z-]*:kms:[a-z0-9-]+:\d{12}:(key\/[A-Za-z0-9-]+|alias\/[A-Za-z0-9/_-]+)$/;
+
+// Output formats of the pubSub graph command, the first being the default
+const GRAPH_FORMATS = ['dot', 'mermaid', 'json'];
+
+// File name of the manifest that is written to the package directory
+const MANIFEST_FILE_NAME = 'pubsub-manifest.json';
+
+// How topics owned by other services are referenced
+const SERVICE_REFERENCE_MODES = ['import', 'naming'];
+
+// Defaults for dead-letter queues generated by the plugin
+const DEFAULT_MAX_RECEIVE_COUNT = 5;
+const DEFAULT_DEAD_LETTER_RETENTION_PERIOD = 1209600;
 
 
 
@@ -22,7 +83,7 @@ function unique(iterable, selector) {
     if (results.has(result)) {
       return false;
     }
-    results.add(results);
+    results.add(result);
     return true;
   });
 }
@@ -46,12 +107,43 @@ function pullTopicNameFromEvent(pubSub) {
     // name, and we pull subscription from the topic object as well
   } else if (pubSub && pubSub.topic) {
     name = pubSub.topic.name;
+    // topics owned by another service are qualified with the service name
+    if (name && pubSub.topic.service) {
+      name = `${pubSub.topic.service}${SERVICE_SEPARATOR}${name}`;
+    }
   }
 
   return name;
 }
 
 
+/**
+ * Collects the event bus name from a pubSub event
+ * @param  {object} pubSub PubSub event
+ * @return {string}        bus name
+ */
+function pullBusNameFromEvent(pubSub) {
+  if (!pubSub || !pubSub.bus) {
+    return null;
+  } else if (typeof pubSub.bus === 'string') {
+    return pubSub.bus;
+  }
+  // Bus Arns end with event-bus/<name>
+  const arnName = arnResourceName(pubSub.bus.arn);
+  return pubSub.bus.name || (arnName && arnName.split('/').slice(-1)[0]);
+}
+
+
+/**
+ * Pulls the external bus arn from the pubSub Event if it is defined
+ * @param  {object} pubSub PubSub event
+ * @return {object}
+ */
+function busExternalArn(pubSub) {
+  return (pubSub && pubSub.bus && pubSub.bus.arn) || null;
+}
+
+
 /**
  * Collects the queue name from a pubSub event
  * @param  {object} pubSub PubSub event
@@ -68,13 +160,98 @@ function pullQueueNameFromEvent(pubSub, func) {
   } else if (typeof pubSub.queue === 'string') {
     name = pubSub.queue;
   } else {
-    return pubSub.queue.name;
+    name = pubSub.queue.name
+      || arnResourceName(pubSub.queue.arn)
+      || `${func.name}-queue`;
   }
 
   return name;
 }
 
 
+/**
+ * Whether the queue name in a pubSub event is generated from the function
+ * name rather than given explicitly
+ * @param  {object} pubSub PubSub event
+ * @return {boolean}
+ */
+function isGeneratedQueueName(pubSub) {
+  return pubSub.queue === true || (
+    typeof pubSub.queue === 'object' && !pubSub.queue.name && !pubSub.queue.arn
+  );
+}
+
+
+/**
+ * Collects the FIFO setting of the topic from a pubSub event
+ * @param  {object} pubSub PubSub event
+ * @return {boolean}
+ */
+function pullTopicFifoFromEvent(pubSub) {
+  return Boolean(pubSub && pubSub.topic && pubSub.topic.fifo);
+}
+
+
+/**
+ * Collects the FIFO setting of the queue from a pubSub event
+ * @param  {object} pubSub PubSub event
+ * @return {boolean}
+ */
+function pullQueueFifoFromEvent(pubSub) {
+  return Boolean(pubSub && pubSub.queue && pubSub.queue.fifo);
+}
+
+
+/**
+ * Collects the raw message delivery setting of the queue's topic
+ * subscription from a pubSub event
+ * @param  {object} pubSub PubSub event
+ * @return {boolean} the setting, or null if it is not set
+ */
+function pullQueueRawFromEvent(pubSub) {
+  const raw = pubSub && pubSub.queue && pubSub.queue.raw;
+  return typeof raw === 'boolean' ? raw : null;
+}
+
+
+/**
+ * Collects the dead-letter queue config for the queue from a pubSub event
+ * @param  {object} pubSub PubSub event
+ * @return {boolean|object}
+ */
+function pullQueueDeadLetterFromEvent(pubSub) {
+  return (pubSub && pubSub.queue && pubSub.queue.deadLetter) || null;
+}
+
+
+/**
+ * Collects the dead-letter queue config for the topic subscription from a
+ * pubSub event
+ * @param  {object} pubSub PubSub event
+ * @return {boolean|object}
+ */
+function pullTopicDeadLetterFromEvent(pubSub) {
+  return (pubSub && pubSub.topic && pubSub.topic.deadLetter) || null;
+}
+
+
+/**
+ * Normalizes a dead-letter config of `true` or
+ * `{name, maxReceiveCount, retentionPeriod}`
+ * @param  {boolean|object} deadLetter  Dead-letter config
+ * @param  {string}         defaultName Queue name to use if none is given
+ * @return {object}
+ */
+function normalizeDeadLetter(deadLetter, defaultName) {
+  const config = deadLetter === true ? {} : deadLetter;
+  return {
+    name: config.name || defaultName,
+    maxReceiveCount: config.maxReceiveCount || DEFAULT_MAX_RECEIVE_COUNT,
+    retentionPeriod: config.retentionPeriod || DEFAULT_DEAD_LETTER_RETENTION_PERIOD
+  };
+}
+
+
 /**
  * Collects queue subscription details from a pubSub event
  * @param  {object} pubSub PubSub event
@@ -94,6 +271,21 @@ function pullTopicSubscriptionDetailsFromEvent(pubSub) {
   return (pubSub && pubSub.topic && pubSub.topic.subscription) || null;
 }
 
+/**
+ * Collects the subscription filter policy from a pubSub event
+ * @param  {object} pubSub PubSub event
+ * @return {object}        filter policy and scope
+ */
+function pullFilterFromEvent(pubSub) {
+  if (!pubSub || !pubSub.filter) {
+    return null;
+  }
+  return {
+    policy: pubSub.filter,
+    scope: pubSub.filterScope || 'attributes'
+  };
+}
+
 /**
  * Pulls the external topic arn from the pubSub Event if it is defined
  * @param  {object} pubSub PubSub event
@@ -104,6 +296,94 @@ function topicExternalArn(pubSub) {
 }
 
 
+/**
+ * Pulls the external queue arn from the pubSub Event if it is defined
+ * @param  {object} pubSub PubSub event
+ * @return {object}
+ */
+function queueExternalArn(pubSub) {
+  return (pubSub && pubSub.queue && pubSub.queue.arn) || null;
+}
+
+
+/**
+ * Splits a custom topic or queue config into the plugin options and the
+ * Cloudformation properties
+ * @param  {object}   config     Custom resource config
+ * @param  {string[]} optionKeys Keys that are plugin options
+ * @return {object}   {options, vendorConfig}
+ */
+function splitResourceConfig(config, optionKeys) {
+  const options = {};
+  const vendorConfig = {};
+  Object.keys(config || {}).forEach(key => {
+    if (optionKeys.includes(key)) {
+      options[key] = config[key];
+    } else {
+      vendorConfig[key] = config[key];
+    }
+  });
+  return {options, vendorConfig};
+}
+
+
+/**
+ * Builds a reference to the name of an existing IAM role, as required by
+ * the Roles property of AWS::IAM::Policy
+ * @param  {string|object} role Role logical id, Arn, or Fn::GetAtt expression
+ * @return {string|object} role name, or null if it cannot be determined
+ */
+function roleNameReference(role) {
+  if (typeof role === 'string') {
+    return role.startsWith('arn:')
+      ? role.split('/').slice(-1)[0]
+      : {Ref: role};
+  }
+  if (role && role['Fn::GetAtt']) {
+    return {Ref: role['Fn::GetAtt'][0]};
+  }
+  return null;
+}
+
+
+/**
+ * Splits a variable address into the resource name and the requested
+ * attribute, e.g. my-queue.arn
+ * @param  {string}   address    Variable address
+ * @param  {string[]} attributes Supported attributes, the first being the
+ *                               default
+ * @return {object}   {name, attribute}
+ */
+function parseVariableAddress(address, attributes) {
+  const separator = address.lastIndexOf('.');
+  const attribute = address.slice(separator + 1);
+  if (separator >= 0 && attributes.includes(attribute)) {
+    return {name: address.slice(0, separator), attribute: attribute};
+  }
+  return {name: address, attribute: attributes[0]};
+}
+
+
+/**
+ * Parses the --attribute options of pubSub publish, each being
+ * <name>=<value> or <name>:<data type>=<value>
+ * @param  {string|string[]} options
+ * @return {object} SNS message attributes, {Name: {Type, Value}}
+ */
+function parseAttributeOptions(options) {
+  const entries = [].concat(options || []);
+  return entries.reduce((attributes, entry) => {
+    const separator = entry.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid --attribute ${entry}: expected <name>=<value> or <name>:<data type>=<value>`);
+    }
+    const [name, type] = entry.slice(0, separator).split(':');
+    attributes[name] = {Type: type || 'String', Value: entry.slice(separator + 1)};
+    return attributes;
+  }, {});
+}
+
+
 function getOrSet(name, collection, createFunc) {
   let item = collection.find(i => i.name === name);
   if (!item) {
@@ -124,10 +404,11 @@ class ServerlessPluginPubSub {
     this.naming = this.serverless.getProvider('aws').naming;
 
     logger.init(this.serverless);
+    this.defineConfigSchema();
     Server.config(this.offlineConfig);
 
     const cmd = this.serverless.processedInput.commands.join(' ');
-    if (cmd === 'invoke local' || cmd === 'pubSub offline') {
+    if (['invoke local', 'pubSub offline', 'pubSub publish'].includes(cmd)) {
       this.offlineMode = true;
       this.injectOfflineEnv();
     }
@@ -136,9 +417,40 @@ class ServerlessPluginPubSub {
     this.naming.getActualQueueLogicalId = (queueName) =>
         `SQSQueue${this.naming.normalizeNameToAlphaNumericOnly(queueName)}`;
 
+    this.naming.getPublisherRoleLogicalId = (funcName) =>
+        `${this.naming.getNormalizedFunctionName(funcName)}PubSubRole`;
+
+    this.naming.getPublisherPolicyLogicalId = (funcName) =>
+        `${this.naming.getNormalizedFunctionName(funcName)}PubSubPublishPolicy`;
+
+    this.naming.getEncryptionKeyLogicalId = () => 'PubSubEncryptionKey';
+
+    this.naming.getEncryptionKeyAliasLogicalId = () => 'PubSubEncryptionKeyAlias';
+
+    this.naming.getTopicPolicyLogicalId = (topicName) =>
+        `${this.naming.getTopicLogicalId(topicName)}Policy`;
+
+    this.naming.getTopicSourceRuleLogicalId = (topicName, index) =>
+        `${this.naming.getTopicLogicalId(topicName)}Source${index}NotificationRule`;
+
+    // Alarms are named after the logical id of the alarmed queue or topic
+    this.naming.getAlarmLogicalId = (resourceLogicalId, alarmKey) =>
+        `${resourceLogicalId}${alarmKey[0].toUpperCase()}${alarmKey.slice(1)}Alarm`;
+
+    this.naming.getQueuePolicyLogicalId = (queueName) =>
+        `${this.naming.getActualQueueLogicalId(queueName)}Policy`;
+
     this.naming.getQueueSubscriptionLogicalId = (topicName, queueName) =>
         `${this.naming.getActualQueueLogicalId(queueName)}To${this.naming.getTopicLogicalId(topicName)}Subscription`;
 
+    this.naming.getEventBusLogicalId = (busName) =>
+        `EventBridgeEventBus${this.naming.normalizeNameToAlphaNumericOnly(busName)}`;
+
+    // Rules are named after the logical id of their target and a hash of
+    // their pattern, since a target may subscribe with several patterns
+    this.naming.getEventBusRuleLogicalId = (busName, targetLogicalId, patternHash) =>
+        `${this.naming.getEventBusLogicalId(busName)}To${targetLogicalId}${patternHash}Rule`;
+
     this.commands = {
       pubSub: {
         usage: 'Pubsub Commands',
@@ -149,6 +461,84 @@ class ServerlessPluginPubSub {
           offline: {
             usage: 'Run pubSub topics locally',
             lifecycleEvents: ['offline']
+          },
+          docs: {
+            usage: 'Write an AsyncAPI document of the topics, publishers and subscribers',
+            lifecycleEvents: ['docs'],
+            options: {
+              output: {
+                usage: 'Path of the document (default: asyncapi.json)',
+                shortcut: 'o',
+                type: 'string'
+              },
+              'doc-version': {
+                usage: 'Version of the document (default: 1.0.0)',
+                type: 'string'
+              }
+            }
+          },
+          graph: {
+            usage: 'Render the graph of functions, topics, queues and buses',
+            lifecycleEvents: ['graph'],
+            options: {
+              format: {
+                usage: `Output format: ${GRAPH_FORMATS.join(', ')} (default: ${GRAPH_FORMATS[0]})`,
+                shortcut: 'f',
+                type: 'string'
+              },
+              output: {
+                usage: 'Path of the output file (default: standard output)',
+                shortcut: 'o',
+                type: 'string'
+              }
+            }
+          },
+          lint: {
+            usage: 'Check the topics, queues and subscriptions for likely mistakes',
+            lifecycleEvents: ['lint']
+          },
+          publish: {
+            usage: 'Publish a message to a topic of the offline runtime',
+            lifecycleEvents: ['publish'],
+            options: {
+              topic: {
+                usage: 'Name of the topic',
+                shortcut: 't',
+                required: true,
+                type: 'string'
+              },
+              message: {
+                usage: 'The message, or @<path> to read it from a file',
+                shortcut: 'm',
+                required: true,
+                type: 'string'
+              },
+              attribute: {
+                usage: 'A message attribute as <name>=<value> or <name>:<data type>=<value>, repeatable',
+                shortcut: 'a',
+                type: 'multiple'
+              },
+              subject: {
+                usage: 'Subject of the message',
+                type: 'string'
+              },
+              'message-structure': {
+                usage: 'json to give a message per protocol, e.g. {"default": "...", "sqs": "..."}',
+                type: 'string'
+              },
+              'group-id': {
+                usage: 'Message group id, for FIFO topics',
+                type: 'string'
+              },
+              'deduplication-id': {
+                usage: 'Message deduplication id, for FIFO topics',
+                type: 'string'
+              },
+              standalone: {
+                usage: 'Deliver to the subscribed functions in-process, without an offline server',
+                type: 'boolean'
+              }
+            }
           }
         }
       }
@@ -158,17 +548,56 @@ class ServerlessPluginPubSub {
         () => {
           this.collectPubSubResourcesFromFunctions();
           this.collectPubSubResourcesFromCustomConfig();
+          this.collectPublishers();
+          this.validateResourceNames();
+          this.lintTopology();
+          this.validateFifoSubscriptions();
           this.adjustQueueVisibilityTimeout();
           this.generateAdditionalEvents();
           this.generateAllCustomResources();
           this.allowLambdasToPublishSNS();
+          this.allowLambdasToUseEncryptionKey();
           this.allowSNSToSQSSubscriptions();
           return Promise.resolve();
         },
+      'before:package:finalize': () => {
+        this.generatePublisherRoles();
+        return Promise.resolve();
+      },
+      'after:package:finalize': () => {
+        this.writeManifest();
+        return Promise.resolve();
+      },
       'pubSub:offline:offline': () => {
         this.collectPubSubResourcesFromFunctions();
         this.collectPubSubResourcesFromCustomConfig();
         return this.startServer();
+      },
+      'pubSub:docs:docs': () => {
+        this.collectPubSubResourcesFromFunctions();
+        this.collectPubSubResourcesFromCustomConfig();
+        this.collectPublishers();
+        this.writeAsyncApiDocument();
+        return Promise.resolve();
+      },
+      'pubSub:graph:graph': () => {
+        this.collectPubSubResourcesFromFunctions();
+        this.collectPubSubResourcesFromCustomConfig();
+        this.collectPublishers();
+        this.renderGraph();
+        return Promise.resolve();
+      },
+      'pubSub:lint:lint': () => {
+        this.collectPubSubResourcesFromFunctions();
+        this.collectPubSubResourcesFromCustomConfig();
+        this.collectPublishers();
+        this.lintTopology(true);
+        return Promise.resolve();
+      },
+      'pubSub:publish:publish': () => {
+        this.collectPubSubResourcesFromFunctions();
+        this.collectPubSubResourcesFromCustomConfig();
+        return this.publishMessage();
       }
     };
 
@@ -177,36 +606,195 @@ class ServerlessPluginPubSub {
     this.funcs = [];
     this.subscriptions = [];
     this.queues = [];
+    this.buses = [];
 
 
     this.injectVariableReplacementSyntax();
 
   }
 
+  /**
+   * Registers the pubSub event and the custom.pubSub config with the
+   * Serverless config schema, so that they are validated along with the
+   * rest of the service config
+   */
+  defineConfigSchema() {
+    const schemaHandler = this.serverless.configSchemaHandler;
+    // The schema handler is only available in Serverless v2 and later
+    if (!schemaHandler) {
+      return;
+    }
+    schemaHandler.defineFunctionEvent('aws', 'pubSub', schema.pubSubEvent);
+    schemaHandler.defineFunctionProperties('aws', schema.functionProperties);
+    schemaHandler.defineCustomProperties(schema.customProperties);
+  }
+
   /**
    * Gets a Topic from the global state or creates one
    * @param  {string} queueName   Name of the topic
    * @return {Topic}
    */
   getTopic(topicName, arn = null) {
-   return getOrSet(topicName, this.topics, () => new Topic({
+    // References to this service's own topics are not qualified
+    const ownPrefix = `${this.serverless.service.service}${SERVICE_SEPARATOR}`;
+    if (topicName.startsWith(ownPrefix)) {
+      topicName = topicName.slice(ownPrefix.length);
+    }
+
+    return getOrSet(topicName, this.topics, () => {
+      const {options, vendorConfig} = splitResourceConfig(
+        this.customTopics[topicName], TOPIC_OPTIONS
+      );
+      const topic = new Topic({
         name: topicName,
-        vendorConfig: this.customTopics[topicName] || {},
-        arn: arn
-    }));
+        vendorConfig: vendorConfig,
+        arn: arn,
+        fifo: options.fifo || this.inlineFifoTopicNames.includes(topicName),
+        allowPublishFrom: options.allowPublishFrom,
+        allowSubscribeFrom: options.allowSubscribeFrom,
+        sources: options.sources,
+        monitoring: options.monitoring,
+        schema: this.loadTopicSchema(topicName, options.schema),
+        global: options.global
+      });
+      // Topics owned by other services are referenced, never created
+      if (topic.service && !topic.arn) {
+        topic.arn = this.formatTopicArn(topic);
+      }
+      return topic;
+    });
+  }
+
+  /**
+   * Loads the message schema of a topic, given inline or as the path of a
+   * JSON or YAML file relative to the service directory
+   * @param  {string}        topicName
+   * @param  {object|string} config    Inline schema or file path
+   * @return {object} the JSON Schema, or null if the topic has none
+   */
+  loadTopicSchema(topicName, config) {
+    if (config === undefined || config === null) {
+      return null;
+    }
+    let messageSchema = config;
+    if (typeof config === 'string') {
+      const filePath = path.resolve(this.serviceDir, config);
+      try {
+        messageSchema = this.serverless.utils.readFileSync(filePath);
+      } catch (e) {
+        throw new Error(`Could not read the schema of topic ${topicName} from ${filePath}: ${e.message}`);
+      }
+    }
+    if (!messageSchema || typeof messageSchema !== 'object' || Array.isArray(messageSchema)) {
+      throw new Error(`Invalid schema for topic ${topicName}: expected a JSON Schema object or a file path`);
+    }
+    // Schemas are checked once, so that publishing never fails on them
+    const errors = checkJsonSchema(messageSchema);
+    if (errors.length) {
+      throw new Error(`Invalid schema for topic ${topicName}:\n  ${errors.join('\n  ')}`);
+    }
+    return messageSchema;
   }
 
   /**
    * Gets a Queue from the global state or creates one
    * @param  {string} queueName   Name of the queue
+   * @param  {string} arn         Arn of an external queue
    * @return {Queue}
    */
-  getQueue(queueName) {
-    return getOrSet(queueName, this.queues, () => new Queue({
-      name: queueName, vendorConfig: this.customQueues[queueName] || {}
+  getQueue(queueName, arn = null) {
+    return getOrSet(queueName, this.queues, () => {
+      const {options, vendorConfig} = splitResourceConfig(
+        this.customQueues[queueName], QUEUE_OPTIONS
+      );
+      const queue = new Queue({
+        name: queueName,
+        vendorConfig: vendorConfig,
+        arn: arn,
+        fifo: options.fifo,
+        monitoring: options.monitoring
+      });
+      if (options.deadLetter) {
+        this.attachDeadLetterQueue(queue, options.deadLetter);
+      }
+      return queue;
+    });
+  }
+
+  /**
+   * Gets an event Bus from the global state or creates one
+   * @param  {string} busName Name of the bus
+   * @param  {string} arn     Arn of an external bus
+   * @return {Bus}
+   */
+  getBus(busName, arn = null) {
+    return getOrSet(busName, this.buses, () => new Bus({
+      name: busName,
+      vendorConfig: Object.assign({}, this.customBuses[busName]),
+      arn: arn
     }));
   }
 
+  /**
+   * Gets or creates the queue of a pubSub event, and applies the event's
+   * FIFO and dead-letter settings
+   * @param  {object}  pubSub    PubSub event
+   * @param  {string}  queueName Name of the queue
+   * @param  {boolean} fifo      Whether the queue must be FIFO
+   * @return {Queue}
+   */
+  getEventQueue(pubSub, queueName, fifo) {
+    const queue = this.getQueue(queueName, queueExternalArn(pubSub));
+    if (fifo) {
+      queue.fifo = true;
+      if (queue.deadLetter) {
+        queue.deadLetter.queue.fifo = true;
+      }
+    }
+    const queueDeadLetter = pullQueueDeadLetterFromEvent(pubSub);
+    if (queueDeadLetter) {
+      this.attachDeadLetterQueue(queue, queueDeadLetter);
+    }
+    return queue;
+  }
+
+  /**
+   * Gets or creates the dead-letter queue for a queue and attaches it with
+   * the redrive settings
+   * @param  {Queue}          queue
+   * @param  {boolean|object} deadLetter Dead-letter config
+   */
+  attachDeadLetterQueue(queue, deadLetter) {
+    // The redrive policy of an external queue is managed by its owner
+    if (queue.arn) {
+      throw new Error(`deadLetter is not supported for external queue ${queue.name}`);
+    }
+    const {name, maxReceiveCount, retentionPeriod} = normalizeDeadLetter(
+      deadLetter, `${stripFifoSuffix(queue.name)}-dlq`
+    );
+    queue.deadLetter = {
+      queue: this.getDeadLetterQueue(name, retentionPeriod, queue.fifo),
+      maxReceiveCount: maxReceiveCount
+    };
+  }
+
+  /**
+   * Gets or creates a dead-letter queue
+   * @param  {string}  queueName       Name of the queue
+   * @param  {number}  retentionPeriod Message retention period, in seconds
+   * @param  {boolean} fifo            Whether the dead-letter queue is FIFO,
+   *                                   which must match its source
+   * @return {Queue}
+   */
+  getDeadLetterQueue(queueName, retentionPeriod, fifo) {
+    const queue = this.getQueue(queueName);
+    if (!queue.vendorConfig.MessageRetentionPeriod) {
+      queue.vendorConfig.MessageRetentionPeriod = retentionPeriod;
+    }
+    queue.fifo = queue.fifo || fifo;
+    return queue;
+  }
+
   /**
    * Gets a Func from the global state or creates one
    * @param  {string} funcName   Name of the serverless function
@@ -216,7 +804,7 @@ class ServerlessPluginPubSub {
   getFunc(funcName, funcConfig) {
     return getOrSet(funcName, this.funcs, () => new Func({
       name: funcName,
-      invokeOpts: this.options,
+      invokeOpts: this.invokeOptions,
       serverlessConfig: funcConfig
     }));
   }
@@ -237,14 +825,41 @@ class ServerlessPluginPubSub {
       // Loop over all of the Func's pubSub events
       func.pubSubEvents.forEach(({pubSub}) => {
 
-        // Pull the topic name (required)
+        // Pull the topic, bus and queue names (at least one is required)
         const topicName = pullTopicNameFromEvent(pubSub);
-        if (!topicName) {
+        const busName = pullBusNameFromEvent(pubSub);
+        const queueName = pullQueueNameFromEvent(pubSub, func);
+        if (!topicName && !busName && !queueName) {
+          throw Error(`No topic, bus or queue could be identified for pubSub subscription to ${funcName}`);
+        }
+        // A topic without a name (e.g. a typo in its keys) is not mistaken
+        // for a queue-only subscription
+        if (!topicName && typeof pubSub === 'object' && pubSub.topic) {
           throw Error(`No topic could be identified for pubSub subscription to ${funcName}`);
         }
+        if (topicName && busName) {
+          throw new Error(`pubSub subscription to ${funcName} cannot have both a topic and a bus`);
+        }
+
+        // If a bus is defined, we assume Bus -> Func or Bus -> Queue -> Func
+        if (busName) {
+          this.collectBusSubscription(func, pubSub, busName, queueName);
+          return;
+        }
+        if (pubSub.pattern) {
+          throw new Error(`pattern for ${funcName} is only supported for bus subscriptions`);
+        }
+
+        // If only a queue is defined, we assume Queue -> Func, where the
+        // queue is fed directly by its producers
+        if (!topicName) {
+          this.collectQueueOnlySubscription(func, pubSub, queueName);
+          return;
+        }
 
         // Get the external Arn for the topic
         const externalArn = topicExternalArn(pubSub);
+        this.validateCatalogTopic(funcName, topicName, externalArn);
 
         // Get or create the Topic resource
         const topic = this.getTopic(topicName, externalArn);
@@ -252,14 +867,25 @@ class ServerlessPluginPubSub {
         // Pull the topic subscription details
         const topicSubDetails = pullTopicSubscriptionDetailsFromEvent(pubSub);
 
-        // Pull the queue name
-        const queueName = pullQueueNameFromEvent(pubSub, func);
+        // Pull and validate the subscription filter policy
+        const filter = this.validateFilter(funcName, topicName, pullFilterFromEvent(pubSub));
 
         // If a queue is defined, we assume Topic -> Queue -> Func
         if (queueName) {
 
-          // Get or create the Queue Resource
-          const queue = this.getQueue(queueName);
+          // Get or create the Queue Resource, where generated queues follow
+          // the FIFO setting of their topic
+          const queue = this.getEventQueue(
+            pubSub,
+            queueName,
+            pullQueueFifoFromEvent(pubSub) || (isGeneratedQueueName(pubSub) && topic.fifo)
+          );
+
+          if (pullTopicDeadLetterFromEvent(pubSub)) {
+            throw new Error(
+              `topic.deadLetter for ${funcName} is only supported without a queue, use queue.deadLetter instead`
+            );
+          }
 
           // Create the [Queue -> Func] and the [Topic -> Queue] subscriptions
           this.subscriptions.push(
@@ -271,24 +897,163 @@ class ServerlessPluginPubSub {
             new TopicToQueueSubscription({
               origin: topic,
               subscriber: queue,
-              vendorConfig: topicSubDetails
+              vendorConfig: topicSubDetails,
+              filterPolicy: filter && filter.policy,
+              filterPolicyScope: filter && filter.scope,
+              raw: this.rawMessageDelivery(pullQueueRawFromEvent(pubSub), topicSubDetails)
             })
           );
         // If a queue is not defined, we assume Topic -> Func
         } else {
           // Create the [Topic -> Func] subscription
-          this.subscriptions.push(
-            new TopicToFuncSubscription({
-              origin: topic,
-              subscriber: func,
-              vendorConfig: topicSubDetails
-            })
-          );
+          const sub = new TopicToFuncSubscription({
+            origin: topic,
+            subscriber: func,
+            vendorConfig: topicSubDetails,
+            filterPolicy: filter && filter.policy,
+            filterPolicyScope: filter && filter.scope
+          });
+
+          // Messages that SNS fails to deliver to the function are sent to
+          // the subscription's dead-letter queue
+          const topicDeadLetter = pullTopicDeadLetterFromEvent(pubSub);
+          if (topicDeadLetter) {
+            const {name, retentionPeriod} = normalizeDeadLetter(
+              topicDeadLetter, `${funcName}-dlq`
+            );
+            sub.deadLetterQueue = this.getDeadLetterQueue(name, retentionPeriod, topic.fifo);
+          }
+          this.subscriptions.push(sub);
         }
       });
     });
   }
 
+  /**
+   * Collects a [Queue -> Func] subscription from a pubSub event without a
+   * topic
+   * @param  {Func}   func      The subscribed function
+   * @param  {object} pubSub    PubSub event
+   * @param  {string} queueName Name of the queue
+   */
+  collectQueueOnlySubscription(func, pubSub, queueName) {
+    if (pubSub.filter) {
+      throw new Error(
+        `filter for ${func.name} is only supported for topic subscriptions`
+      );
+    }
+    if (pullQueueRawFromEvent(pubSub) !== null) {
+      throw new Error(
+        `queue.raw for ${func.name} is only supported for topic subscriptions`
+      );
+    }
+    const queue = this.getEventQueue(pubSub, queueName, pullQueueFifoFromEvent(pubSub));
+    this.subscriptions.push(new QueueToFuncSubscription({
+      origin: queue,
+      subscriber: func,
+      vendorConfig: pullQueueSubscriptionDetailsFromEvent(pubSub)
+    }));
+  }
+
+  /**
+   * Collects the subscriptions of a pubSub event with an event bus, whose
+   * rule delivers matching events to the function or to its queue
+   * @param  {Func}   func      The subscribed function
+   * @param  {object} pubSub    PubSub event
+   * @param  {string} busName   Name of the bus
+   * @param  {string} queueName Name of the queue, if any
+   */
+  collectBusSubscription(func, pubSub, busName, queueName) {
+    if (pubSub.filter) {
+      throw new Error(
+        `filter for ${func.name} is only supported for topic subscriptions, use pattern instead`
+      );
+    }
+    if (!pubSub.pattern) {
+      throw new Error(`pattern is required for ${func.name} subscription to bus ${busName}`);
+    }
+    if (pullQueueRawFromEvent(pubSub) !== null) {
+      throw new Error(
+        `queue.raw for ${func.name} is only supported for topic subscriptions`
+      );
+    }
+    const errors = validateEventPattern(pubSub.pattern);
+    if (errors.length) {
+      throw new Error(
+        `Invalid event pattern for ${func.name} subscription to bus ${busName}:\n  ${errors.join('\n  ')}`
+      );
+    }
+    const bus = this.getBus(busName, busExternalArn(pubSub));
+
+    if (queueName) {
+      const queue = this.getEventQueue(pubSub, queueName, pullQueueFifoFromEvent(pubSub));
+      this.subscriptions.push(
+        new QueueToFuncSubscription({
+          origin: queue,
+          subscriber: func,
+          vendorConfig: pullQueueSubscriptionDetailsFromEvent(pubSub)
+        }),
+        new BusToQueueSubscription({
+          origin: bus,
+          subscriber: queue,
+          vendorConfig: null,
+          pattern: pubSub.pattern
+        })
+      );
+    } else {
+      this.subscriptions.push(new BusToFuncSubscription({
+        origin: bus,
+        subscriber: func,
+        vendorConfig: null,
+        pattern: pubSub.pattern
+      }));
+    }
+  }
+
+  /**
+   * Resolves whether a topic delivers raw messages to a queue, from the
+   * RawMessageDelivery of the subscription, the queue.raw shorthand and the
+   * subscription defaults, in that order
+   * @param  {boolean} raw          queue.raw setting, or null
+   * @param  {object}  vendorConfig Cloudformation properties of the
+   *                                subscription
+   * @return {boolean}
+   */
+  rawMessageDelivery(raw, vendorConfig) {
+    const setting = [
+      vendorConfig && vendorConfig.RawMessageDelivery,
+      raw,
+      this.topicSubscriptionDefaults.RawMessageDelivery
+    ].find(value => value !== undefined && value !== null);
+    return isTrue(setting);
+  }
+
+  /**
+   * Validates a subscription filter from a pubSub event
+   * @param  {string} funcName  Name of the subscribed function
+   * @param  {string} topicName Name of the topic
+   * @param  {object} filter    Filter policy and scope from the event
+   * @return {object}           Filter policy and SNS FilterPolicyScope
+   */
+  validateFilter(funcName, topicName, filter) {
+    if (!filter) {
+      return null;
+    }
+    const scope = FILTER_SCOPES[filter.scope];
+    if (!scope) {
+      throw new Error(
+        `Invalid filterScope for ${funcName} subscription to ${topicName}: expected one of ${Object.keys(FILTER_SCOPES).join(', ')}, got ${filter.scope}`
+      );
+    }
+    const errors = validateFilterPolicy(filter.policy, scope);
+    if (errors.length) {
+      throw new Error(
+        `Invalid filter policy for ${funcName} subscription to ${topicName}:\n  ${errors.join('\n  ')}`
+      );
+    }
+    return {policy: filter.policy, scope: scope};
+  }
+
   /**
    * Collects all pubSub resources that are defined in the custom config
    */
@@ -301,17 +1066,190 @@ class ServerlessPluginPubSub {
     for (let queueName in this.customQueues) {
       this.getQueue(queueName);
     }
+    // Gets or creates all custom-defined buses
+    for (let busName in this.customBuses) {
+      this.getBus(busName);
+    }
+    // Gets or creates the topic that alarms notify
+    const monitoring = this.monitoring;
+    if (monitoring && typeof monitoring.alarmTopic === 'string'
+      && !monitoring.alarmTopic.startsWith('arn:')) {
+      this.getTopic(monitoring.alarmTopic);
+    }
   }
 
 
   /**
-   * Generates sns or sqs events for all subscriptions in the stack
+   * Ensures that a topic that a function subscribes to is in the catalog,
+   * when one is configured. Topics with an Arn are not checked.
+   * @param  {string} funcName
+   * @param  {string} topicName
+   * @param  {string} externalArn
    */
-  generateAdditionalEvents() {
-    this.subscriptions.forEach(sub => {
-      if (sub instanceof TopicToFuncSubscription) {
-        this.generateSNSEventFromSubscription(sub);
-      } else if (sub instanceof QueueToFuncSubscription) {
+  validateCatalogTopic(funcName, topicName, externalArn) {
+    const catalog = this.catalogTopics;
+    if (!catalog || externalArn) {
+      return;
+    }
+    // Topics of other services are listed under their own name
+    const resourceName = topicName.split(SERVICE_SEPARATOR).slice(-1)[0];
+    if (!catalog[resourceName]) {
+      throw new Error(
+        `Topic ${topicName} of ${funcName} is not in the catalog ${this.config.catalog}`
+      );
+    }
+  }
+
+  /**
+   * Ensures that the topics, queues and buses of the stack have distinct
+   * logical ids, since names that only differ in punctuation normalize to
+   * the same id, and that queue names are within the SQS limit unless they
+   * are shortened with a hash
+   */
+  validateResourceNames() {
+    const errors = [];
+    [
+      ['Topics', this.topics.filter(t => !t.arn), t => this.naming.getTopicLogicalId(t.name)],
+      ['Queues', this.queues.filter(q => !q.arn), q => this.naming.getActualQueueLogicalId(q.name)],
+      ['Buses', this.buses.filter(b => !b.arn && !b.isDefault), b => this.naming.getEventBusLogicalId(b.name)]
+    ].forEach(([label, resources, logicalId]) => {
+      findCollisions(resources, logicalId).forEach(collision => {
+        const names = collision.resources.map(resource =>
+          `${resource.name} (${this.configEntries(resource).join(', ')})`
+        );
+        errors.push(
+          `${label} ${names.join(' and ')} have the same logical id ${collision.logicalId}, so only one of them would be created`
+        );
+      });
+    });
+    if (this.longNameStrategy === 'error') {
+      this.queues.filter(q => !q.arn).forEach(queue => {
+        const name = this.queueResourceName(queue);
+        if (name.length > MAX_QUEUE_NAME_LENGTH) {
+          errors.push(
+            `Queue ${queue.name} (${this.configEntries(queue).join(', ')}) is named ${name}, which is ${name.length} characters long, over the SQS limit of ${MAX_QUEUE_NAME_LENGTH}`
+          );
+        }
+      });
+    }
+    if (errors.length) {
+      const hint = this.longNameStrategy === 'error' && errors.some(error => error.startsWith('Queue '))
+        ? '\nUse shorter names, or set custom.pubSub.longNames to hash to shorten them with a hash'
+        : '';
+      throw new Error(`Invalid pubSub resource names:\n  ${errors.join('\n  ')}${hint}`);
+    }
+  }
+
+  /**
+   * Gets the config entries that a topic, queue or bus comes from, for
+   * error messages
+   * @param  {Topic|Queue|Bus} resource
+   * @return {string[]} paths of the entries, e.g. functions.a.events[0].pubSub
+   */
+  configEntries(resource) {
+    const name = resource.name;
+    const section = {topic: 'topics', queue: 'queues', bus: 'buses'}[resource.type];
+    const custom = this.config[section] || {};
+    const entries = [];
+    if (custom[name]) {
+      entries.push(`custom.pubSub.${section}.${name}`);
+    }
+    if (resource.type === 'topic') {
+      if (this.catalogTopics && this.catalogTopics[name]) {
+        entries.push('custom.pubSub.catalog');
+      }
+      if (this.config.monitoring && this.config.monitoring.alarmTopic === name) {
+        entries.push('custom.pubSub.monitoring.alarmTopic');
+      }
+    }
+    if (resource.type === 'queue') {
+      Object.keys(custom).filter(queueName => custom[queueName] && custom[queueName].deadLetter)
+        .filter(queueName => normalizeDeadLetter(
+          custom[queueName].deadLetter, `${stripFifoSuffix(queueName)}-dlq`
+        ).name === name)
+        .forEach(queueName => entries.push(`custom.pubSub.queues.${queueName}.deadLetter`));
+    }
+
+    const ownPrefix = `${this.serverless.service.service}${SERVICE_SEPARATOR}`;
+    const funcs = this.serverless.service.functions || {};
+    Object.keys(funcs).forEach(funcName => {
+      (funcs[funcName].events || []).forEach(({pubSub}, i) => {
+        if (!pubSub) {
+          return;
+        }
+        const entry = `functions.${funcName}.events[${i}].pubSub`;
+        const queueName = pullQueueNameFromEvent(pubSub, {name: funcName});
+        if (resource.type === 'topic') {
+          const topicName = pullTopicNameFromEvent(pubSub);
+          if (topicName === name || topicName === `${ownPrefix}${name}`) {
+            entries.push(entry);
+          }
+        } else if (resource.type === 'bus') {
+          if (pullBusNameFromEvent(pubSub) === name) {
+            entries.push(entry);
+          }
+        } else {
+          const queueDeadLetter = pullQueueDeadLetterFromEvent(pubSub);
+          const topicDeadLetter = pullTopicDeadLetterFromEvent(pubSub);
+          if (queueName === name) {
+            entries.push(entry);
+          }
+          if (queueDeadLetter && normalizeDeadLetter(
+            queueDeadLetter, `${stripFifoSuffix(queueName)}-dlq`
+          ).name === name) {
+            entries.push(`${entry}.queue.deadLetter`);
+          }
+          if (topicDeadLetter && normalizeDeadLetter(topicDeadLetter, `${funcName}-dlq`).name === name) {
+            entries.push(`${entry}.topic.deadLetter`);
+          }
+        }
+      });
+      if (resource.type === 'topic' && (funcs[funcName].publishes || []).includes(name)) {
+        entries.push(`functions.${funcName}.publishes`);
+      }
+    });
+
+    // Resources that are only referenced by a variable
+    if (!entries.length) {
+      const variable = {topic: 'pubSubTopic', queue: 'pubSubQueue', bus: 'pubSubBus'}[resource.type];
+      entries.push(`\${${variable}:${name}}`);
+    }
+    return entries;
+  }
+
+  /**
+   * Ensures that FIFO topics only deliver to FIFO queues, and that FIFO
+   * queues are only subscribed to FIFO topics
+   */
+  validateFifoSubscriptions() {
+    this.subscriptions.forEach(sub => {
+      if (sub instanceof TopicToQueueSubscription && sub.origin.fifo !== sub.subscriber.fifo) {
+        const [fifo, standard] = sub.origin.fifo
+          ? [`topic ${sub.origin.name}`, `queue ${sub.subscriber.name}`]
+          : [`queue ${sub.subscriber.name}`, `topic ${sub.origin.name}`];
+        throw new Error(
+          `FIFO ${fifo} cannot be subscribed to standard ${standard}`
+        );
+      } else if (sub instanceof TopicToFuncSubscription && sub.origin.fifo) {
+        throw new Error(
+          `FIFO topic ${sub.origin.name} can only deliver to FIFO queues, but ${sub.subscriber.name} subscribes without a queue`
+        );
+      } else if (sub instanceof BusToQueueSubscription && sub.subscriber.fifo) {
+        throw new Error(
+          `FIFO queue ${sub.subscriber.name} cannot be subscribed to bus ${sub.origin.name}`
+        );
+      }
+    });
+  }
+
+  /**
+   * Generates sns or sqs events for all subscriptions in the stack
+   */
+  generateAdditionalEvents() {
+    this.subscriptions.forEach(sub => {
+      if (sub instanceof TopicToFuncSubscription) {
+        this.generateSNSEventFromSubscription(sub);
+      } else if (sub instanceof QueueToFuncSubscription) {
         this.generateSQSEventFromSubscription(sub);
       }
     });
@@ -323,11 +1261,10 @@ class ServerlessPluginPubSub {
    */
   generateSQSEventFromSubscription(sub) {
     const func = sub.subscriber;
-    const queueName = sub.origin.name;
     func.events.push({sqs: {
-      arn: {
+      arn: sub.origin.arn || {
         'Fn::GetAtt': [
-          this.naming.getActualQueueLogicalId(queueName),
+          this.naming.getActualQueueLogicalId(sub.origin.name),
           'Arn'
         ]
       }
@@ -340,16 +1277,24 @@ class ServerlessPluginPubSub {
    */
   generateSNSEventFromSubscription(sub) {
     const func = sub.subscriber;
-    const topicName = sub.origin.name;
-    if (sub.origin.arn) {
+    if (typeof sub.origin.arn === 'string') {
       func.events.push({
         sns: {arn: sub.origin.arn}
       });
+    } else if (sub.origin.arn) {
+      // Serverless only derives the topic name from literal Arns, e.g. not
+      // from the imports of other services' topics
+      func.events.push({
+        sns: {
+          arn: sub.origin.arn,
+          topicName: this.topicResourceName(sub.origin)
+        }
+      });
     } else {
       func.events.push({
         sns: {
           arn: this.formatTopicArn(sub.origin),
-          topicName: this.namespaceResource(topicName)
+          topicName: this.topicResourceName(sub.origin)
         }
       });
     }
@@ -359,16 +1304,29 @@ class ServerlessPluginPubSub {
    * Generates all custom pubSub resources for the stack
    */
   generateAllCustomResources() {
-    this.queues.forEach(q => this.generateSQSResource(q));
+    this.generateEncryptionKey();
+    this.queues
+      // Only create queues without a hard-coded arn
+      .filter(q => !q.arn)
+      .forEach(q => this.generateSQSResource(q));
     this.topics
       // Only create topics without a hard-coded arn
       .filter(t => !t.arn)
       .forEach(t => this.generateSNSResource(t));
-    this.subscriptions.forEach(s =>
-      s instanceof QueueToFuncSubscription
-        ? this.generateSQSLambdaSubscription(s)
-        : this.generateSNSSubscription(s)
-      );
+    this.buses
+      // The default bus exists in every account
+      .filter(b => !b.arn && !b.isDefault)
+      .forEach(b => this.generateEventBusResource(b));
+    this.subscriptions.forEach(s => {
+      if (s instanceof QueueToFuncSubscription) {
+        this.generateSQSLambdaSubscription(s);
+      } else if (s instanceof BusSubscription) {
+        this.generateEventBusRule(s);
+      } else {
+        this.generateSNSSubscription(s);
+      }
+    });
+    this.generateAlarms();
   }
 
 
@@ -379,14 +1337,37 @@ class ServerlessPluginPubSub {
   generateSQSResource(queue) {
     const queueLogicalId = this.naming.getActualQueueLogicalId(queue.name);
     const props = {
-      QueueName: this.namespaceResource(queue.name)
+      QueueName: this.queueResourceName(queue)
     };
+    if (queue.fifo) {
+      Object.assign(props, {FifoQueue: true, ContentBasedDeduplication: true});
+    }
+    if (this.encryption) {
+      props.KmsMasterKeyId = this.encryptionKeyId;
+    }
+    if (queue.deadLetter) {
+      props.RedrivePolicy = {
+        deadLetterTargetArn: {
+          'Fn::GetAtt': [
+            this.naming.getActualQueueLogicalId(queue.deadLetter.queue.name),
+            'Arn'
+          ]
+        },
+        maxReceiveCount: queue.deadLetter.maxReceiveCount
+      };
+    }
     this.slsCustomResources[queueLogicalId] = {
       Type: 'AWS::SQS::Queue',
       Properties: Object.assign(
         {}, this.queueDefaults, props, queue.vendorConfig
       )
     };
+    this.generateExport(`${queueLogicalId}Arn`, 'queue', queue.name, 'arn', {
+      'Fn::GetAtt': [queueLogicalId, 'Arn']
+    });
+    this.generateExport(`${queueLogicalId}Url`, 'queue', queue.name, 'url', {
+      Ref: queueLogicalId
+    });
   }
 
   /**
@@ -396,14 +1377,380 @@ class ServerlessPluginPubSub {
   generateSNSResource(topic) {
     const logicalId = this.naming.getTopicLogicalId(topic.name);
     const props = {
-      TopicName: this.namespaceResource(topic.name)
+      TopicName: this.topicResourceName(topic)
     };
+    if (topic.fifo) {
+      Object.assign(props, {FifoTopic: true, ContentBasedDeduplication: true});
+    }
+    if (this.encryption) {
+      props.KmsMasterKeyId = this.encryptionKeyId;
+    }
     this.slsCustomResources[logicalId] = {
       Type: 'AWS::SNS::Topic',
       Properties: Object.assign(
         {}, this.topicDefaults, props, topic.vendorConfig
       ),
     };
+    this.generateExport(`${logicalId}Arn`, 'topic', topic.name, 'arn', {
+      Ref: logicalId
+    });
+    this.generateTopicPolicy(topic);
+  }
+
+  /**
+   * Generates the AWS::KMS::Key resource (and its alias) that encrypts the
+   * topics and queues, when encryption is enabled with a managed key
+   */
+  generateEncryptionKey() {
+    const encryption = this.encryption;
+    if (!encryption || encryption.key !== MANAGED_KEY) {
+      return;
+    }
+    const logicalId = this.naming.getEncryptionKeyLogicalId();
+    this.slsCustomResources[logicalId] = {
+      Type: 'AWS::KMS::Key',
+      Properties: {
+        Description: `Encrypts the pubSub topics and queues of ${this.stackPrefix.slice(0, -1)}`,
+        EnableKeyRotation: true,
+        KeyPolicy: encryptionKeyPolicy(this.encryptionSourceAccounts)
+      }
+    };
+    this.slsCustomResources[this.naming.getEncryptionKeyAliasLogicalId()] = {
+      Type: 'AWS::KMS::Alias',
+      Properties: {
+        AliasName: `alias/${this.stackPrefix}pubsub`,
+        TargetKeyId: {Ref: logicalId}
+      }
+    };
+  }
+
+  /**
+   * Gets the accounts that services may use the managed key for: the
+   * account of the stack, and the accounts of external topics (with a
+   * literal Arn) that deliver to its queues
+   * @return {Array}
+   */
+  get encryptionSourceAccounts() {
+    const externalAccounts = this.subscriptions
+      .filter(sub => sub instanceof TopicToQueueSubscription && typeof sub.origin.arn === 'string')
+      .map(sub => sub.origin.arn.split(':')[4]);
+    return [{Ref: 'AWS::AccountId'}].concat(Array.from(new Set(externalAccounts)));
+  }
+
+  /**
+   * Generates the AWS::CloudWatch::Alarm resources of the created queues and
+   * topics, when monitoring is enabled. Dead-letter queues alarm on their
+   * depth, other queues on their backlog and the age of their oldest message.
+   */
+  generateAlarms() {
+    const monitoring = this.monitoring;
+    if (!monitoring) {
+      return;
+    }
+    const deadLetterQueues = new Set(
+      this.queues.filter(q => q.deadLetter).map(q => q.deadLetter.queue)
+        .concat(this.subscriptions.map(s => s.deadLetterQueue).filter(Boolean))
+    );
+    this.queues.filter(q => !q.arn).forEach(queue => {
+      const logicalId = this.naming.getActualQueueLogicalId(queue.name);
+      const keys = deadLetterQueues.has(queue) ? DEAD_LETTER_QUEUE_ALARMS : QUEUE_ALARMS;
+      this.generateResourceAlarms(queue, keys, logicalId, {
+        Name: 'QueueName',
+        Value: {'Fn::GetAtt': [logicalId, 'QueueName']}
+      });
+    });
+    this.topics.filter(t => !t.arn).forEach(topic => {
+      const logicalId = this.naming.getTopicLogicalId(topic.name);
+      this.generateResourceAlarms(topic, TOPIC_ALARMS, logicalId, {
+        Name: 'TopicName',
+        Value: {'Fn::GetAtt': [logicalId, 'TopicName']}
+      });
+    });
+  }
+
+  /**
+   * Generates the alarms of a queue or topic
+   * @param  {Queue|Topic} resource
+   * @param  {string[]}    keys      Threshold keys of the resource's alarms
+   * @param  {string}      logicalId Logical id of the resource
+   * @param  {object}      dimension Metric dimension of the resource
+   */
+  generateResourceAlarms(resource, keys, logicalId, dimension) {
+    const monitoring = this.monitoring;
+    if (resource.monitoring !== false && resource.monitoring !== null) {
+      // Any queue may become a dead-letter queue, so queues accept both sets
+      const overrideKeys = resource.type === 'topic'
+        ? TOPIC_ALARMS
+        : QUEUE_ALARMS.concat(DEAD_LETTER_QUEUE_ALARMS);
+      const errors = validateThresholds(resource.monitoring, overrideKeys, 'monitoring');
+      if (errors.length) {
+        throw new Error(
+          `Invalid monitoring for ${resource.type} ${resource.name}:\n  ${errors.join('\n  ')}`
+        );
+      }
+    }
+    const thresholds = resolveThresholds(keys, monitoring.thresholds, resource.monitoring);
+    Object.keys(thresholds).forEach(key => {
+      this.slsCustomResources[this.naming.getAlarmLogicalId(logicalId, key)] = alarmResource(key, {
+        name: stripFifoSuffix(resource.name),
+        prefix: this.stackPrefix,
+        dimension: dimension,
+        threshold: thresholds[key],
+        period: monitoring.period,
+        evaluationPeriods: monitoring.evaluationPeriods,
+        actions: monitoring.actions
+      });
+    });
+  }
+
+  /**
+   * Generates the AWS::SNS::TopicPolicy resource that allows other accounts
+   * to publish or subscribe to a given Topic, and AWS services to publish to
+   * it from its sources
+   * @param  {Topic} topic
+   */
+  generateTopicPolicy(topic) {
+    const access = [
+      {key: 'allowPublishFrom', sid: 'AllowPublish', actions: ['sns:Publish']},
+      {key: 'allowSubscribeFrom', sid: 'AllowSubscribe', actions: ['sns:Subscribe']}
+    ].filter(({key}) => topic[key]);
+    if (!access.length && !topic.sources) {
+      return;
+    }
+
+    const logicalId = this.naming.getTopicLogicalId(topic.name);
+    const accessStatements = access.reduce((accum, {key, sid, actions}) => {
+      const errors = validatePrincipals(topic[key], key);
+      if (errors.length) {
+        throw new Error(
+          `Invalid ${key} for topic ${topic.name}:\n  ${errors.join('\n  ')}`
+        );
+      }
+      return accum.concat(principalStatements(sid, actions, topic[key], {Ref: logicalId}));
+    }, []);
+    const statements = accessStatements.concat(this.topicSourceStatements(topic));
+
+    this.slsCustomResources[this.naming.getTopicPolicyLogicalId(topic.name)] = {
+      Type: 'AWS::SNS::TopicPolicy',
+      Properties: {
+        Topics: [{Ref: logicalId}],
+        PolicyDocument: {
+          Version: '2012-10-17',
+          Statement: statements
+        }
+      }
+    };
+  }
+
+  /**
+   * Builds the topic policy statements for the sources of a topic, and
+   * connects the sources in the stack to the topic
+   * @param  {Topic} topic
+   * @return {object[]}
+   */
+  topicSourceStatements(topic) {
+    if (!topic.sources) {
+      return [];
+    }
+    const errors = validateSources(topic.sources, 'sources');
+    if (errors.length) {
+      throw new Error(
+        `Invalid sources for topic ${topic.name}:\n  ${errors.join('\n  ')}`
+      );
+    }
+    const topicRef = {Ref: this.naming.getTopicLogicalId(topic.name)};
+    return topic.sources.map((source, index) => {
+      const service = sourceService(source);
+      let sourceArn;
+      if (service === 's3') {
+        sourceArn = this.connectBucketSource(topic, source);
+      } else if (service === 'codepipeline') {
+        sourceArn = this.generatePipelineNotificationRule(topic, source, index);
+      } else {
+        sourceArn = {
+          'Fn::Sub': `arn:\${AWS::Partition}:cloudwatch:\${AWS::Region}:\${AWS::AccountId}:alarm:${source.cloudwatchAlarm}`
+        };
+      }
+      return sourceStatement(`AllowSource${index}`, service, sourceArn, topicRef);
+    });
+  }
+
+  /**
+   * Adds the topic to the notification configuration of a bucket source, if
+   * the bucket is in the stack
+   * @param  {Topic}  topic
+   * @param  {object} source {s3: bucket name or logical id, events}
+   * @return {object} Cloudformation expression for the bucket Arn
+   */
+  connectBucketSource(topic, source) {
+    const logicalId = Object.keys(this.slsCustomResources).find(id => {
+      const resource = this.slsCustomResources[id];
+      return resource.Type === 'AWS::S3::Bucket' && (
+        id === source.s3 || (resource.Properties || {}).BucketName === source.s3
+      );
+    });
+    if (!logicalId) {
+      return {'Fn::Sub': `arn:\${AWS::Partition}:s3:::${source.s3}`};
+    }
+
+    const bucket = this.slsCustomResources[logicalId];
+    bucket.Properties = bucket.Properties || {};
+    // The topic policy must not reference the bucket, since the bucket
+    // depends on the policy
+    const bucketName = bucket.Properties.BucketName;
+    if (typeof bucketName !== 'string') {
+      throw new Error(
+        `Bucket ${logicalId} needs a BucketName to be a source of topic ${topic.name}`
+      );
+    }
+    const notifications = bucket.Properties.NotificationConfiguration || {};
+    notifications.TopicConfigurations = (notifications.TopicConfigurations || []).concat(
+      (source.events || ['s3:ObjectCreated:*']).map(event => ({
+        Event: event,
+        Topic: {Ref: this.naming.getTopicLogicalId(topic.name)}
+      }))
+    );
+    bucket.Properties.NotificationConfiguration = notifications;
+    // S3 checks that it may publish to the topic when the notification is
+    // created
+    const policyLogicalId = this.naming.getTopicPolicyLogicalId(topic.name);
+    const dependsOn = [].concat(bucket.DependsOn || []);
+    if (!dependsOn.includes(policyLogicalId)) {
+      bucket.DependsOn = dependsOn.concat(policyLogicalId);
+    }
+    return {'Fn::Sub': `arn:\${AWS::Partition}:s3:::${bucketName}`};
+  }
+
+  /**
+   * Generates the AWS::CodeStarNotifications::NotificationRule resource that
+   * sends the notifications of a pipeline source to the topic
+   * @param  {Topic}  topic
+   * @param  {object} source {codepipeline: pipeline name, events}
+   * @param  {number} index  Index of the source
+   * @return {object} Cloudformation expression for the rule Arns
+   */
+  generatePipelineNotificationRule(topic, source, index) {
+    const logicalId = this.naming.getTopicSourceRuleLogicalId(topic.name, index);
+    this.slsCustomResources[logicalId] = {
+      Type: 'AWS::CodeStarNotifications::NotificationRule',
+      // The rule is only created once it may publish to the topic
+      DependsOn: [this.naming.getTopicPolicyLogicalId(topic.name)],
+      Properties: {
+        Name: this.namespaceResource(`${stripFifoSuffix(topic.name)}-${source.codepipeline}`),
+        DetailType: 'FULL',
+        EventTypeIds: source.events,
+        Resource: {
+          'Fn::Sub': `arn:\${AWS::Partition}:codepipeline:\${AWS::Region}:\${AWS::AccountId}:${source.codepipeline}`
+        },
+        Targets: [{
+          TargetType: 'SNS',
+          TargetAddress: {Ref: this.naming.getTopicLogicalId(topic.name)}
+        }]
+      }
+    };
+    // The policy cannot reference the rule, since the rule depends on it
+    return {
+      'Fn::Sub': 'arn:${AWS::Partition}:codestar-notifications:${AWS::Region}:${AWS::AccountId}:notificationrule/*'
+    };
+  }
+
+  /**
+   * Generates the AWS::Events::EventBus resource for a given Bus
+   * @param  {Bus} bus
+   */
+  generateEventBusResource(bus) {
+    const logicalId = this.naming.getEventBusLogicalId(bus.name);
+    this.slsCustomResources[logicalId] = {
+      Type: 'AWS::Events::EventBus',
+      Properties: Object.assign(
+        {Name: this.namespaceResource(bus.name)}, bus.vendorConfig
+      )
+    };
+    this.generateExport(`${logicalId}Arn`, 'bus', bus.name, 'arn', {
+      'Fn::GetAtt': [logicalId, 'Arn']
+    });
+  }
+
+  /**
+   * Gets the logical id of the function or queue that a bus subscription
+   * targets
+   * @param  {BusSubscription} sub
+   * @return {string}
+   */
+  busTargetLogicalId(sub) {
+    return sub instanceof BusToFuncSubscription
+      ? this.naming.getLambdaLogicalId(sub.subscriber.name)
+      : this.naming.getActualQueueLogicalId(sub.subscriber.name);
+  }
+
+  /**
+   * Gets the logical id of the rule of a bus subscription
+   * @param  {BusSubscription} sub
+   * @return {string}
+   */
+  eventBusRuleLogicalId(sub) {
+    return this.naming.getEventBusRuleLogicalId(
+      sub.origin.name, this.busTargetLogicalId(sub), shortHash(JSON.stringify(sub.pattern))
+    );
+  }
+
+  /**
+   * Generates the AWS::Events::Rule resource for a given bus subscription,
+   * and the permission for the rule to invoke a function target
+   * @param  {BusSubscription} sub
+   */
+  generateEventBusRule(sub) {
+    const targetLogicalId = this.busTargetLogicalId(sub);
+    const logicalId = this.eventBusRuleLogicalId(sub);
+    const targetArn = sub.subscriber.arn || {'Fn::GetAtt': [targetLogicalId, 'Arn']};
+
+    const props = {
+      EventPattern: sub.pattern,
+      State: 'ENABLED',
+      // Target ids are limited to 64 characters
+      Targets: [{Id: targetLogicalId.slice(0, 64), Arn: targetArn}]
+    };
+    // Rules without a bus name belong to the default bus
+    if (!sub.origin.isDefault) {
+      props.EventBusName = sub.origin.arn || {Ref: this.naming.getEventBusLogicalId(sub.origin.name)};
+    }
+    this.slsCustomResources[logicalId] = {
+      Type: 'AWS::Events::Rule',
+      Properties: props
+    };
+
+    if (sub instanceof BusToFuncSubscription) {
+      this.slsCustomResources[`${logicalId}Permission`] = {
+        Type: 'AWS::Lambda::Permission',
+        Properties: {
+          FunctionName: targetArn,
+          Action: 'lambda:InvokeFunction',
+          Principal: 'events.amazonaws.com',
+          SourceArn: {'Fn::GetAtt': [logicalId, 'Arn']}
+        }
+      };
+    }
+  }
+
+  /**
+   * Generates a stack output that is exported for other services
+   * @param  {string} outputId      Logical id of the output
+   * @param  {string} type          topic or queue
+   * @param  {string} resourceName  Name of the topic or queue
+   * @param  {string} attribute     Exported attribute, e.g. arn
+   * @param  {object} value         Cloudformation expression for the value
+   */
+  generateExport(outputId, type, resourceName, attribute, value) {
+    if (this.config.exports === false) {
+      return;
+    }
+    this.slsCustomOutputs[outputId] = {
+      Description: `${attribute === 'url' ? 'Url' : 'Arn'} of the ${resourceName} pubSub ${type}`,
+      Value: value,
+      Export: {
+        Name: this.exportName(type, resourceName, attribute)
+      }
+    };
   }
 
   /**
@@ -426,16 +1773,34 @@ class ServerlessPluginPubSub {
         Ref: this.naming.getTopicLogicalId(sub.origin.name)
       },
       Protocol: sub instanceof TopicToFuncSubscription ? 'lambda' : 'sqs',
-      Endpoint:
-        {
+      Endpoint: sub.subscriber.arn || {
+        'Fn::GetAtt': [
+          sub instanceof TopicToFuncSubscription
+            ? this.naming.getLambdaLogicalId(sub.subscriber.name)
+            : this.naming.getActualQueueLogicalId(sub.subscriber.name),
+          'Arn'
+        ]
+      },
+    };
+    if (sub.filterPolicy) {
+      props.FilterPolicy = sub.filterPolicy;
+      props.FilterPolicyScope = sub.filterPolicyScope;
+    }
+    // The raw setting may differ from the defaults through queue.raw
+    if (sub instanceof TopicToQueueSubscription
+      && sub.raw !== isTrue(this.topicSubscriptionDefaults.RawMessageDelivery)) {
+      props.RawMessageDelivery = sub.raw;
+    }
+    if (sub.deadLetterQueue) {
+      props.RedrivePolicy = {
+        deadLetterTargetArn: {
           'Fn::GetAtt': [
-            sub instanceof TopicToFuncSubscription
-              ? this.naming.getLambdaLogicalId(sub.subscriber.name)
-              : this.naming.getActualQueueLogicalId(sub.subscriber.name),
+            this.naming.getActualQueueLogicalId(sub.deadLetterQueue.name),
             'Arn'
           ]
-        },
-    };
+        }
+      };
+    }
     this.slsCustomResources[logicalId] = {
       Type: 'AWS::SNS::Subscription',
       Properties: Object.assign(
@@ -456,7 +1821,7 @@ class ServerlessPluginPubSub {
     );
 
     const props = {
-      EventSourceArn: {
+      EventSourceArn: sub.origin.arn || {
         'Fn::GetAtt': [
           this.naming.getActualQueueLogicalId(sub.origin.name),
           'Arn'
@@ -488,7 +1853,8 @@ class ServerlessPluginPubSub {
     const providerTimeout = this.serverless.service.provider.timeout;
     const subsByQueue = this.subscriptions.reduce(
       (accum, sub) => {
-        if (sub instanceof QueueToFuncSubscription) {
+        // The visibility timeout of an external queue is managed by its owner
+        if (sub instanceof QueueToFuncSubscription && !sub.origin.arn) {
           const queue = sub.origin;
           const subs = accum[queue.name] || [];
           subs.push(sub);
@@ -527,6 +1893,24 @@ class ServerlessPluginPubSub {
     }
   }
 
+  /**
+   * Gets the names of topics that are marked as FIFO inline on a pubSub
+   * event. These are read up front since topics may be created by the
+   * pubSubTopic variable before the events are collected.
+   * @return {string[]}
+   */
+  get inlineFifoTopicNames() {
+    const funcs = this.serverless.service.functions || {};
+    return Object.keys(funcs).reduce((names, funcName) => {
+      (funcs[funcName].events || []).forEach(({pubSub}) => {
+        if (pullTopicFifoFromEvent(pubSub)) {
+          names.push(pullTopicNameFromEvent(pubSub));
+        }
+      });
+      return names;
+    }, []);
+  }
+
   /**
    * Gets the plugin configuration
    * @return {object} plugin config
@@ -539,12 +1923,127 @@ class ServerlessPluginPubSub {
     ) || {};
   }
 
+  /**
+   * Gets the encryption config, or null if encryption is disabled
+   * @return {object} {key}, where key is `managed`, a KMS key Arn or a KMS
+   *                  alias Arn
+   */
+  get encryption() {
+    const config = this.config.encryption;
+    if (!config || !config.enabled) {
+      return null;
+    }
+    const key = config.key || MANAGED_KEY;
+    if (typeof key === 'string' && key !== MANAGED_KEY) {
+      if (key.startsWith('alias/aws/') || /:alias\/aws\//.test(key)) {
+        throw new Error(
+          `Invalid custom.pubSub.encryption.key ${key}: the policies of AWS managed keys do not allow SNS to deliver to encrypted queues, use ${MANAGED_KEY} or a customer managed key`
+        );
+      }
+      if (!KMS_KEY_ARN_PATTERN.test(key)) {
+        throw new Error(
+          `Invalid custom.pubSub.encryption.key ${key}: expected ${MANAGED_KEY}, a KMS key Arn (arn:aws:kms:<region>:<account id>:key/<key id>) or a KMS alias Arn (arn:aws:kms:<region>:<account id>:alias/<alias name>)`
+        );
+      }
+    }
+    return {key: key};
+  }
+
+  /**
+   * Gets the monitoring config, or null if monitoring is disabled
+   * @return {object} {alarmTopic, actions, thresholds, period,
+   *                  evaluationPeriods}
+   */
+  get monitoring() {
+    const config = this.config.monitoring;
+    if (!config || config.enabled === false) {
+      return null;
+    }
+    const thresholdKeys = QUEUE_ALARMS.concat(DEAD_LETTER_QUEUE_ALARMS, TOPIC_ALARMS);
+    const errors = config.thresholds
+      ? validateThresholds(config.thresholds, thresholdKeys, 'thresholds')
+      : [];
+    if (errors.length) {
+      throw new Error(`Invalid custom.pubSub.monitoring:\n  ${errors.join('\n  ')}`);
+    }
+    const alarmTopic = config.alarmTopic || null;
+    let actions = [];
+    if (alarmTopic && typeof alarmTopic === 'string' && !alarmTopic.startsWith('arn:')) {
+      const topic = this.getTopic(alarmTopic);
+      actions = [topic.arn || {Ref: this.naming.getTopicLogicalId(topic.name)}];
+    } else if (alarmTopic) {
+      actions = [alarmTopic];
+    }
+    return {
+      alarmTopic: alarmTopic,
+      actions: actions,
+      thresholds: config.thresholds || {},
+      period: config.period || DEFAULT_PERIOD,
+      evaluationPeriods: config.evaluationPeriods || DEFAULT_EVALUATION_PERIODS
+    };
+  }
+
+  /**
+   * Gets the KmsMasterKeyId for topics and queues
+   * @return {string|object}
+   */
+  get encryptionKeyId() {
+    const key = this.encryption.key;
+    return key === MANAGED_KEY ? {Ref: this.naming.getEncryptionKeyLogicalId()} : key;
+  }
+
+  /**
+   * Gets the Arn of the encryption key, for IAM statements
+   * @return {string|object}
+   */
+  get encryptionKeyArn() {
+    const key = this.encryption.key;
+    return key === MANAGED_KEY
+      ? {'Fn::GetAtt': [this.naming.getEncryptionKeyLogicalId(), 'Arn']}
+      : key;
+  }
+
   /**
    * Gets the topics defined in the plugin configuration
    * @return {object} mapping of topic name and CFM resource
    */
   get customTopics () {
-    return (this.config && this.config.topics) || {};
+    const topics = (this.config && this.config.topics) || {};
+    const catalog = this.catalogTopics;
+    if (!catalog) {
+      return topics;
+    }
+    // Settings of the custom config take precedence over the catalog's
+    return Object.keys(catalog).concat(Object.keys(topics)).reduce((merged, name) => {
+      merged[name] = Object.assign({}, catalog[name], topics[name]);
+      return merged;
+    }, {});
+  }
+
+  /**
+   * Gets the topics of the AsyncAPI catalog, which is read once
+   * @return {object} mapping of topic name and topic config, or null if no
+   *                  catalog is configured
+   */
+  get catalogTopics() {
+    if (!this.config.catalog) {
+      return null;
+    }
+    if (!this.loadedCatalogTopics) {
+      const filePath = path.resolve(this.serviceDir, this.config.catalog);
+      let doc;
+      try {
+        doc = this.serverless.utils.readFileSync(filePath);
+      } catch (e) {
+        throw new Error(`Could not read the catalog ${filePath}: ${e.message}`);
+      }
+      try {
+        this.loadedCatalogTopics = catalogTopics(doc);
+      } catch (e) {
+        throw new Error(`Invalid catalog ${filePath}: ${e.message}`);
+      }
+    }
+    return this.loadedCatalogTopics;
   }
 
   /**
@@ -555,6 +2054,14 @@ class ServerlessPluginPubSub {
     return (this.config && this.config.queues) || {};
   }
 
+  /**
+   * Gets the event buses defined in the plugin configuration
+   * @return {object} mapping of bus name and CFM resource
+   */
+  get customBuses () {
+    return (this.config && this.config.buses) || {};
+  }
+
 
   get topicDefaults() {
     return this.defaults.topics || {};
@@ -585,6 +2092,35 @@ class ServerlessPluginPubSub {
     return this.config.offline || {};
   }
 
+  /**
+   * The options that functions are invoked locally with, which are those of
+   * the current command without the options of the pubSub commands
+   * @return {object}
+   */
+  get invokeOptions() {
+    const commands = this.commands.pubSub.commands;
+    const pubSubOptions = Object.keys(commands).reduce(
+      (keys, name) => keys.concat(Object.keys(commands[name].options || {})),
+      []
+    );
+    return Object.keys(this.options || {}).reduce((options, key) => {
+      if (!pubSubOptions.includes(key)) {
+        options[key] = this.options[key];
+      }
+      return options;
+    }, {});
+  }
+
+  /**
+   * The directory of the service, which relative paths are resolved against
+   * @return {string}
+   */
+  get serviceDir() {
+    return this.serverless.serviceDir
+      || (this.serverless.config && this.serverless.config.servicePath)
+      || process.cwd();
+  }
+
   /**
    * The custom resources defined for the serverless stack
    * @return {object} AWS Cloudformation mapping
@@ -599,12 +2135,97 @@ class ServerlessPluginPubSub {
   }
 
   /**
-   * Namespaces a resource by prefixing it with the service and stage
-   * @param {string} resourceName Name of the resource
+   * The custom outputs defined for the serverless stack
+   * @return {object} AWS Cloudformation mapping
+   */
+  get slsCustomOutputs() {
+    if (!this.serverless.service.resources) {
+      this.serverless.service.resources = {Outputs: {}};
+    } else if (!this.serverless.service.resources.Outputs) {
+      this.serverless.service.resources.Outputs = {};
+    }
+    return this.serverless.service.resources.Outputs;
+  }
+
+  /**
+   * Namespaces a resource by prefixing it with the service and stage. FIFO
+   * resource names must end with the .fifo suffix, so the suffix is moved
+   * after the namespaced name (or added if it is missing)
+   * @param {string}  resourceName Name of the resource
+   * @param {boolean} fifo         Whether the resource is a FIFO topic/queue
+   * @param {string}  serviceName  Service that owns the resource, if it is
+   *                               not this service
    * @return {string}
    */
-  namespaceResource(resourceName) {
-    return `${this.stackPrefix}${resourceName}`;
+  namespaceResource(resourceName, fifo = false, serviceName = null) {
+    const prefix = serviceName ? this.servicePrefix(serviceName) : this.stackPrefix;
+    if (fifo) {
+      return `${prefix}${stripFifoSuffix(resourceName)}${FIFO_SUFFIX}`;
+    }
+    return `${prefix}${resourceName}`;
+  }
+
+  /**
+   * Names a topic or queue after the naming template of its type, which
+   * defaults to prefixing it with the service and stage
+   * @param  {string}  type         topic or queue
+   * @param  {string}  resourceName Name of the resource
+   * @param  {boolean} fifo         Whether the resource is a FIFO topic/queue
+   * @param  {string}  serviceName  Service that owns the resource, if it is
+   *                                not this service
+   * @return {string}
+   */
+  templateResourceName(type, resourceName, fifo = false, serviceName = null) {
+    const template = this.namingTemplate(type);
+    if (template === DEFAULT_NAMING_TEMPLATE) {
+      return this.namespaceResource(resourceName, fifo, serviceName);
+    }
+    const provider = this.serverless.getProvider('aws');
+    const name = renderNamingTemplate(template, placeholder => {
+      switch (placeholder) {
+        case 'service':
+          return serviceName || this.serverless.service.service;
+        case 'stage':
+          return provider.getStage();
+        case 'region':
+          return provider.getRegion();
+        default:
+          return fifo ? stripFifoSuffix(resourceName) : resourceName;
+      }
+    });
+    return fifo ? `${name}${FIFO_SUFFIX}` : name;
+  }
+
+  /**
+   * Gets the naming template of topics or queues
+   * @param  {string} type topic or queue
+   * @return {string}
+   */
+  namingTemplate(type) {
+    const template = (this.config.naming || {})[type];
+    if (template === undefined) {
+      return DEFAULT_NAMING_TEMPLATE;
+    }
+    const errors = validateNamingTemplate(template);
+    if (errors.length) {
+      throw new Error(`Invalid custom.pubSub.naming.${type} template ${template}: ${errors.join(', ')}`);
+    }
+    return template;
+  }
+
+  /**
+   * Returns the actual name of a topic, which follows the naming template
+   * unless the topic is global
+   * @param  {Topic}  topic
+   * @return {string}
+   */
+  topicResourceName(topic) {
+    if (topic.global) {
+      return topic.fifo
+        ? `${stripFifoSuffix(topic.resourceName)}${FIFO_SUFFIX}`
+        : topic.resourceName;
+    }
+    return this.templateResourceName('topic', topic.resourceName, topic.fifo, topic.service);
   }
 
   /**
@@ -612,10 +2233,45 @@ class ServerlessPluginPubSub {
    */
 
   get stackPrefix() {
-    const serviceName = this.serverless.service.service;
+    return this.servicePrefix(this.serverless.service.service);
+  }
+
+  /**
+   * The prefix for resources of a service in the current stage
+   * @param  {string} serviceName
+   * @return {string}
+   */
+  servicePrefix(serviceName) {
     const stage = this.serverless.getProvider('aws').getStage();
     return `${serviceName}-${stage}-`;
+  }
+
+  /**
+   * Builds the name of a stack export for a topic or queue attribute. Export
+   * names may only contain alphanumerics, colons and hyphens.
+   * @param  {string} type          topic or queue
+   * @param  {string} resourceName  Name of the topic or queue
+   * @param  {string} attribute     Exported attribute, e.g. arn
+   * @param  {string} serviceName   Service that owns the resource
+   * @return {string}
+   */
+  exportName(type, resourceName, attribute, serviceName = this.serverless.service.service) {
+    const name = `${this.servicePrefix(serviceName)}pubsub-${type}-${stripFifoSuffix(resourceName)}-${attribute}`;
+    return name.replace(/[^A-Za-z0-9:-]/g, '-');
+  }
 
+  /**
+   * Gets the mode used to reference topics of other services
+   * @return {string}
+   */
+  get serviceReferenceMode() {
+    const mode = this.config.serviceReferences || 'import';
+    if (!SERVICE_REFERENCE_MODES.includes(mode)) {
+      throw new Error(
+        `Invalid custom.pubSub.serviceReferences mode ${mode}, expected one of ${SERVICE_REFERENCE_MODES.join(', ')}`
+      );
+    }
+    return mode;
   }
 
   /**
@@ -624,8 +2280,19 @@ class ServerlessPluginPubSub {
    * @return {object}       Cloudformation join expression that builds the Arn
    */
   formatTopicArn(topic) {
+    const topicName = this.topicResourceName(topic);
     if (this.offlineMode) {
-      return `arn:aws:sns:us-east-1:1234567890123:${this.namespaceResource(topic.name)}`;
+      // External topics are published to with their own Arn
+      return typeof topic.arn === 'string'
+        ? topic.arn
+        : `arn:aws:sns:us-east-1:${OFFLINE_ACCOUNT_ID}:${topicName}`;
+    }
+    // Topics of other services are imported from their stack exports,
+    // unless they are referenced by their naming convention
+    if (topic.service && this.serviceReferenceMode === 'import') {
+      return {
+        'Fn::ImportValue': this.exportName('topic', topic.resourceName, 'arn', topic.service)
+      };
     }
     return {
       'Fn::Join': [
@@ -634,7 +2301,7 @@ class ServerlessPluginPubSub {
           {Ref: 'AWS::Partition'},
           'sns',
           {Ref: 'AWS::Region'}, {Ref: 'AWS::AccountId'},
-          this.namespaceResource(topic.name)
+          topicName
         ]
       ]
 
@@ -642,12 +2309,180 @@ class ServerlessPluginPubSub {
   }
 
   /**
-   * Injects the pubSubTopic replacement syntax into the serverless variable
-   * processing
+   * Returns the queue Arn
+   * @param  {Queue}  queue
+   * @return {string|object} Cloudformation expression for the Arn
+   */
+  formatQueueArn(queue) {
+    if (this.offlineMode) {
+      return `arn:aws:sqs:us-east-1:${OFFLINE_ACCOUNT_ID}:${this.queueResourceName(queue)}`;
+    }
+    return queue.arn || {'Fn::GetAtt': [this.naming.getActualQueueLogicalId(queue.name), 'Arn']};
+  }
+
+  /**
+   * Returns the queue Url, which points to the offline server in offline
+   * mode
+   * @param  {Queue}  queue
+   * @return {string|object} Cloudformation expression for the Url
+   */
+  formatQueueUrl(queue) {
+    if (this.offlineMode) {
+      return `${Server.endpointUrl}/${OFFLINE_ACCOUNT_ID}/${this.queueResourceName(queue)}`;
+    }
+    if (queue.arn) {
+      // arn:<partition>:sqs:<region>:<account>:<name>
+      const segments = typeof queue.arn === 'string' ? queue.arn.split(':') : [];
+      if (segments.length !== 6) {
+        throw new Error(`The Url of external queue ${queue.name} cannot be derived from its Arn`);
+      }
+      return `https://sqs.${segments[3]}.amazonaws.com/${segments[4]}/${segments[5]}`;
+    }
+    return {Ref: this.naming.getActualQueueLogicalId(queue.name)};
+  }
+
+  /**
+   * Returns the actual name of a queue, which is namespaced for queues in
+   * the stack, and shortened with a hash if it is too long and the hash
+   * strategy is configured
+   * @param  {Queue}  queue
+   * @return {string}
+   */
+  queueResourceName(queue) {
+    if (queue.arn) {
+      return arnResourceName(queue.arn) || queue.name;
+    }
+    const name = this.templateResourceName('queue', queue.name, queue.fifo);
+    if (this.longNameStrategy === 'hash') {
+      return shortenName(name, MAX_QUEUE_NAME_LENGTH);
+    }
+    return name;
+  }
+
+  /**
+   * Gets the strategy for resource names that are over the limit of their
+   * service
+   * @return {string} error or hash
+   */
+  get longNameStrategy() {
+    const strategy = this.config.longNames || 'error';
+    if (!LONG_NAME_STRATEGIES.includes(strategy)) {
+      throw new Error(
+        `Invalid custom.pubSub.longNames strategy ${strategy}, expected one of ${LONG_NAME_STRATEGIES.join(', ')}`
+      );
+    }
+    return strategy;
+  }
+
+  /**
+   * Returns the actual name of an event bus, which is namespaced for buses
+   * in the stack
+   * @param  {Bus}    bus
+   * @return {string}
+   */
+  busResourceName(bus) {
+    if (bus.arn) {
+      // arn:<partition>:events:<region>:<account>:event-bus/<name>
+      const arnName = arnResourceName(bus.arn);
+      return arnName ? arnName.split('/').slice(-1)[0] : bus.name;
+    }
+    return bus.isDefault ? bus.name : this.namespaceResource(bus.name);
+  }
+
+  /**
+   * Returns the event bus Arn
+   * @param  {Bus}    bus
+   * @return {string|object} Cloudformation expression for the Arn
+   */
+  formatBusArn(bus) {
+    if (this.offlineMode) {
+      return `arn:aws:events:us-east-1:${OFFLINE_ACCOUNT_ID}:event-bus/${this.busResourceName(bus)}`;
+    }
+    if (bus.arn) {
+      return bus.arn;
+    }
+    if (bus.isDefault) {
+      return {
+        'Fn::Join': [
+          ':',
+          [
+            'arn',
+            {Ref: 'AWS::Partition'},
+            'events',
+            {Ref: 'AWS::Region'},
+            {Ref: 'AWS::AccountId'},
+            `event-bus/${bus.name}`
+          ]
+        ]
+      };
+    }
+    return {'Fn::GetAtt': [this.naming.getEventBusLogicalId(bus.name), 'Arn']};
+  }
+
+  /**
+   * Resolves the pubSubTopic variable, e.g. ${pubSubTopic:my-topic.name}
+   * @param  {string} address Topic name and optional attribute
+   * @return {string|object}
+   */
+  resolveTopicVariable(address) {
+    const {name, attribute} = parseVariableAddress(address, TOPIC_ATTRIBUTES);
+    const topic = this.getTopic(name);
+    switch (attribute) {
+      case 'name':
+        return this.topicResourceName(topic);
+      case 'logicalId':
+        return this.naming.getTopicLogicalId(topic.name);
+      default:
+        return this.formatTopicArn(topic);
+    }
+  }
+
+  /**
+   * Resolves the pubSubQueue variable, e.g. ${pubSubQueue:my-queue.arn}
+   * @param  {string} address Queue name and optional attribute
+   * @return {string|object}
+   */
+  resolveQueueVariable(address) {
+    const {name, attribute} = parseVariableAddress(address, QUEUE_ATTRIBUTES);
+    const queue = this.getQueue(name);
+    switch (attribute) {
+      case 'arn':
+        return this.formatQueueArn(queue);
+      case 'name':
+        return this.queueResourceName(queue);
+      case 'logicalId':
+        return this.naming.getActualQueueLogicalId(queue.name);
+      default:
+        return this.formatQueueUrl(queue);
+    }
+  }
+
+  /**
+   * Resolves the pubSubBus variable, e.g. ${pubSubBus:my-bus.name}
+   * @param  {string} address Bus name and optional attribute
+   * @return {string|object}
+   */
+  resolveBusVariable(address) {
+    const {name, attribute} = parseVariableAddress(address, BUS_ATTRIBUTES);
+    const bus = this.getBus(name);
+    switch (attribute) {
+      case 'name':
+        return this.busResourceName(bus);
+      case 'logicalId':
+        return this.naming.getEventBusLogicalId(bus.name);
+      default:
+        return this.formatBusArn(bus);
+    }
+  }
+
+  /**
+   * Injects the pubSubTopic, pubSubQueue and pubSubBus replacement syntax
+   * into the serverless variable processing
    */
   injectVariableReplacementSyntax() {
-    const getTopic = this.getTopic.bind(this);
-    const formatTopicArn = this.formatTopicArn.bind(this);
+    const resolveTopicVariable = this.resolveTopicVariable.bind(this);
+    const resolveQueueVariable = this.resolveQueueVariable.bind(this);
+    const resolveBusVariable = this.resolveBusVariable.bind(this);
 
     this.configurationVariablesSources = {
       pubSubTopic: {
@@ -655,7 +2490,21 @@ class ServerlessPluginPubSub {
 
           // Resolver is expected to return an object with the value in the `value` property:
           return {
-            value: formatTopicArn(getTopic(address)),
+            value: resolveTopicVariable(address),
+          };
+        },
+      },
+      pubSubQueue: {
+        async resolve({ address }) {
+          return {
+            value: resolveQueueVariable(address),
+          };
+        },
+      },
+      pubSubBus: {
+        async resolve({ address }) {
+          return {
+            value: resolveBusVariable(address),
           };
         },
       }
@@ -663,61 +2512,559 @@ class ServerlessPluginPubSub {
   }
 
   /**
-   * Allows lambda to publish to the topics in the stack
+   * Collects the topics that each function publishes to, from the function's
+   * `publishes` list and from the topic Arns (injected with the pubSubTopic
+   * variable) in its config. Also collects the queues that each function
+   * sends to, from the queue Urls and Arns (injected with the pubSubQueue
+   * variable), and the buses that it puts events on, from the bus Arns and
+   * names (injected with the pubSubBus variable).
    */
-  allowLambdasToPublishSNS() {
-    const statements = this.serverless.service.provider.iamRoleStatements || [];
-    this.serverless.service.provider.iamRoleStatements = statements;
+  collectPublishers() {
+    this.funcs.forEach(func => {
+      // Events are excluded, since subscriptions reference the topic Arn too
+      const config = Object.assign({}, func.serverlessConfig);
+      delete config.events;
+      const serializedConfig = JSON.stringify(config);
+      const references = value => serializedConfig.includes(JSON.stringify(value));
+
+      this.topics.forEach(topic => {
+        if (references(this.formatTopicArn(topic))) {
+          func.publishedTopicNames.add(topic.name);
+        }
+      });
+      func.publishedTopicNames.forEach(topicName => this.getTopic(topicName));
 
-    statements.push({
-      Effect: 'Allow',
-      Action: ['sns:Publish'],
-      Resource: this.topics.map(t => t.arn || this.formatTopicArn(t))
+      this.queues.forEach(queue => {
+        // The Url of an external queue is only known for literal Arns
+        const hasUrl = !queue.arn || typeof queue.arn === 'string';
+        if ((hasUrl && references(this.formatQueueUrl(queue))) || references(this.formatQueueArn(queue))) {
+          func.sentQueueNames.add(queue.name);
+        }
+      });
+
+      this.buses.forEach(bus => {
+        // The name of the default bus is too generic to detect
+        if (references(this.formatBusArn(bus)) || (!bus.isDefault && references(this.busResourceName(bus)))) {
+          func.publishedBusNames.add(bus.name);
+        }
+      });
     });
   }
 
   /**
-   * Allows SQS queues to poll SNS topics
+   * Gets the publish permission mode (perFunction or shared)
+   * @return {string}
    */
-  allowSNSToSQSSubscriptions() {
+  get iamMode() {
+    const mode = this.config.iam || 'perFunction';
+    if (!IAM_MODES.includes(mode)) {
+      throw new Error(
+        `Invalid custom.pubSub.iam mode ${mode}, expected one of ${IAM_MODES.join(', ')}`
+      );
+    }
+    return mode;
+  }
 
-    const queueArns = unique(this.queues, (q) => q.name)
-      .map(q => ({Ref: this.naming.getActualQueueLogicalId(q.name)}));
+  /**
+   * Gets the IAM role statements of the provider for adding statements,
+   * creating the list if needed
+   * @return {object[]}
+   */
+  get mutableProviderRoleStatements() {
+    const provider = this.serverless.service.provider;
+    const iamRole = provider.iam && provider.iam.role;
+    // Serverless reads iam.role.statements, or iamRoleStatements if unset
+    let statements = iamRole && iamRole.statements;
+    if (!statements) {
+      statements = provider.iamRoleStatements || [];
+      provider.iamRoleStatements = statements;
+    }
+    return statements;
+  }
+
+  /**
+   * Allows the functions that use the provider role to encrypt and decrypt
+   * messages of the encrypted topics and queues. Publisher roles are copies
+   * of the default role, and the publish policies of functions with a
+   * custom role include the grant already.
+   */
+  allowLambdasToUseEncryptionKey() {
+    if (!this.encryption) {
+      return;
+    }
+    this.mutableProviderRoleStatements.push(this.encryptionKeyStatement());
+  }
 
-    const topicArns = unique(this.topics, (t) => t.name)
-      .map(t => t.arn || {Ref: this.naming.getTopicLogicalId(t.name)});
+  /**
+   * Builds the statement that allows using the encryption key. IAM policies
+   * cannot grant a key by its alias Arn, so keys given by alias are granted
+   * with the kms:ResourceAliases condition.
+   * @return {object}
+   */
+  encryptionKeyStatement() {
+    const keyArn = this.encryptionKeyArn;
+    const statement = {
+      Effect: 'Allow',
+      Action: ['kms:Decrypt', 'kms:GenerateDataKey'],
+      Resource: [keyArn]
+    };
+    const alias = typeof keyArn === 'string' && keyArn.match(/:(alias\/.+)$/);
+    if (alias) {
+      statement.Resource = '*';
+      statement.Condition = {
+        'ForAnyValue:StringEquals': {'kms:ResourceAliases': alias[1]}
+      };
+    }
+    return statement;
+  }
 
-    const policy = this.slsCustomResources.SNSToSQSPolicy || {
-      Type: 'AWS::SQS::QueuePolicy',
+  /**
+   * Allows lambdas to publish to topics. In the shared mode, all functions
+   * may publish to all topics in the stack. Otherwise, each function may
+   * only publish to the topics that it references.
+   */
+  allowLambdasToPublishSNS() {
+    if (this.iamMode === 'shared') {
+      const statements = this.mutableProviderRoleStatements;
+      statements.push({
+        Effect: 'Allow',
+        Action: ['sns:Publish'],
+        Resource: this.topics.map(t => t.arn || this.formatTopicArn(t))
+      });
+      const sentQueueNames = new Set();
+      const publishedBusNames = new Set();
+      this.funcs.forEach(func => {
+        func.sentQueueNames.forEach(name => sentQueueNames.add(name));
+        func.publishedBusNames.forEach(name => publishedBusNames.add(name));
+      });
+      if (sentQueueNames.size > 0) {
+        statements.push(this.sendMessageStatement(sentQueueNames));
+      }
+      if (publishedBusNames.size > 0) {
+        statements.push(this.putEventsStatement(publishedBusNames));
+      }
+      return;
+    }
+    this.funcs
+      .filter(func => func.isPublisher)
+      .forEach(func => this.allowLambdaToPublishSNS(func));
+  }
+
+  /**
+   * Builds the statements that allow a function to publish to its topics,
+   * send to its queues and put events on its buses
+   * @param  {Func} func
+   * @return {object[]}
+   */
+  publishStatements(func) {
+    const statements = [];
+    if (func.publishedTopicNames.size > 0) {
+      statements.push({
+        Effect: 'Allow',
+        Action: ['sns:Publish'],
+        Resource: Array.from(func.publishedTopicNames, topicName => {
+          const topic = this.getTopic(topicName);
+          return topic.arn || this.formatTopicArn(topic);
+        })
+      });
+    }
+    if (func.sentQueueNames.size > 0) {
+      statements.push(this.sendMessageStatement(func.sentQueueNames));
+    }
+    if (func.publishedBusNames.size > 0) {
+      statements.push(this.putEventsStatement(func.publishedBusNames));
+    }
+    // Custom roles are also used to consume the function's queues
+    if (this.encryption) {
+      statements.push(this.encryptionKeyStatement());
+    }
+    return statements;
+  }
+
+  /**
+   * Builds the statement that allows putting events on buses
+   * @param  {Set<string>} busNames
+   * @return {object}
+   */
+  putEventsStatement(busNames) {
+    return {
+      Effect: 'Allow',
+      Action: ['events:PutEvents'],
+      Resource: Array.from(busNames, busName => this.formatBusArn(this.getBus(busName)))
+    };
+  }
+
+  /**
+   * Builds the statement that allows sending messages to queues
+   * @param  {Set<string>} queueNames
+   * @return {object}
+   */
+  sendMessageStatement(queueNames) {
+    return {
+      Effect: 'Allow',
+      Action: ['sqs:SendMessage'],
+      Resource: Array.from(queueNames, queueName => this.formatQueueArn(this.getQueue(queueName)))
+    };
+  }
+
+  /**
+   * Gets the custom role of a function, either its own or the provider's
+   * @param  {Func} func
+   * @return {string|object} the role, or null if the function uses the
+   *                         default execution role
+   */
+  customRole(func) {
+    const provider = this.serverless.service.provider;
+    const providerRole = provider.role || (provider.iam && provider.iam.role);
+    // provider.iam.role may also be an object that configures the default role
+    const isCustomProviderRole = typeof providerRole === 'string'
+      || Boolean(providerRole && providerRole['Fn::GetAtt']);
+    return func.serverlessConfig.role || (isCustomProviderRole ? providerRole : null);
+  }
+
+  /**
+   * Allows a single function with a custom role to publish to its topics,
+   * with a policy that is attached to that role. Functions that use the
+   * default execution role get their own role when the package is
+   * finalized, see generatePublisherRoles.
+   * @param  {Func} func
+   */
+  allowLambdaToPublishSNS(func) {
+    const existingRole = this.customRole(func);
+    if (!existingRole) {
+      return;
+    }
+    const roleName = roleNameReference(existingRole);
+    if (!roleName) {
+      logger.log(`Unable to attach publish permissions to the role of ${func.name}, sns:Publish must be granted manually`);
+      return;
+    }
+    this.slsCustomResources[this.naming.getPublisherPolicyLogicalId(func.name)] = {
+      Type: 'AWS::IAM::Policy',
       Properties: {
-        Queues: queueArns,
+        PolicyName: `${this.namespaceResource(func.name)}-pubsub`,
+        Roles: [roleName],
         PolicyDocument: {
           Version: '2012-10-17',
-          Statement: [{
-            Effect: 'Allow',
-            Principal: '*',
-            Action: 'sqs:SendMessage',
-            Resource: '*',
-            Condition: {
-              ArnEquals: {
-                'aws:SourceArn': topicArns
-              }
-            }
-          }],
+          Statement: this.publishStatements(func)
+        }
+      }
+    };
+  }
+
+  /**
+   * Gives each publishing function that uses the default execution role its
+   * own role, since the default role is shared by all functions. The role is
+   * a copy of the compiled default role, so that it keeps the permissions
+   * Serverless generated for the event sources (e.g. streams) and the path
+   * and tags of the role, plus a policy that allows publishing to the
+   * function's topics. Its name is left to Cloudformation, as role names
+   * must be unique and are limited to 64 characters.
+   */
+  generatePublisherRoles() {
+    if (this.iamMode === 'shared') {
+      return;
+    }
+    const resources = this.serverless.service.provider.compiledCloudFormationTemplate.Resources;
+    const defaultRoleLogicalId = this.naming.getRoleLogicalId();
+    const defaultRole = resources[defaultRoleLogicalId];
+    if (!defaultRole) {
+      return;
+    }
+    this.funcs
+      .filter(func => func.isPublisher && !this.customRole(func))
+      .forEach(func => {
+        const logicalId = this.naming.getPublisherRoleLogicalId(func.name);
+        const role = JSON.parse(JSON.stringify(defaultRole));
+        delete role.Properties.RoleName;
+        role.Properties.Policies = (role.Properties.Policies || []).concat({
+          PolicyName: `${this.namespaceResource(func.name)}-pubsub`,
+          PolicyDocument: {
+            Version: '2012-10-17',
+            Statement: this.publishStatements(func)
+          }
+        });
+        this.slsCustomResources[logicalId] = role;
+
+        const lambda = resources[this.naming.getLambdaLogicalId(func.name)];
+        if (lambda) {
+          lambda.Properties.Role = {'Fn::GetAtt': [logicalId, 'Arn']};
+          const dependsOn = [].concat(lambda.DependsOn || [])
+            .filter(id => id !== defaultRoleLogicalId);
+          lambda.DependsOn = dependsOn.concat(logicalId);
+        }
+      });
+  }
+
+  /**
+   * Allows SNS topics and event bus rules to send messages to the queues that
+   * are subscribed to them, with one policy per queue that only allows the
+   * queue's own topics and rules
+   */
+  allowSNSToSQSSubscriptions() {
+    this.queues.forEach(queue => {
+      // The policy of an external queue is managed by its owner
+      if (queue.arn) {
+        return;
+      }
+      const queueSubs = this.subscriptions
+        .filter(sub => sub.subscriber === queue || sub.deadLetterQueue === queue);
+      const topics = queueSubs
+        .filter(sub => !(sub instanceof BusSubscription))
+        .map(sub => sub.origin);
+      const topicArns = unique(topics, t => t.name)
+        .map(t => t.arn || {Ref: this.naming.getTopicLogicalId(t.name)});
+      const queueLogicalId = this.naming.getActualQueueLogicalId(queue.name);
+      const ruleArns = queueSubs
+        .filter(sub => sub instanceof BusSubscription)
+        .map(sub => ({
+          'Fn::GetAtt': [this.eventBusRuleLogicalId(sub), 'Arn']
+        }));
+
+      // Only create the policy if the queue has source topics or rules
+      if (topicArns.length === 0 && ruleArns.length === 0) {
+        return;
+      }
+
+      const statement = (service, sourceArns) => ({
+        Effect: 'Allow',
+        Principal: {Service: service},
+        Action: 'sqs:SendMessage',
+        Resource: {'Fn::GetAtt': [queueLogicalId, 'Arn']},
+        Condition: {
+          ArnEquals: {
+            'aws:SourceArn': sourceArns
+          }
         }
+      });
+      const statements = [];
+      if (topicArns.length) {
+        statements.push(statement('sns.amazonaws.com', topicArns));
+      }
+      if (ruleArns.length) {
+        statements.push(statement('events.amazonaws.com', ruleArns));
       }
+
+      const logicalId = this.naming.getQueuePolicyLogicalId(queue.name);
+      this.slsCustomResources[logicalId] = this.slsCustomResources[logicalId] || {
+        Type: 'AWS::SQS::QueuePolicy',
+        Properties: {
+          Queues: [{Ref: queueLogicalId}],
+          PolicyDocument: {
+            Version: '2012-10-17',
+            Statement: statements,
+          }
+        }
+      };
+    });
+  }
+
+  /**
+   * Writes the AsyncAPI document of the service's topics, publishers and
+   * subscribers
+   */
+  writeAsyncApiDocument() {
+    const doc = buildAsyncApiDocument({
+      title: this.serverless.service.service,
+      version: this.options['doc-version'] || '1.0.0',
+      topics: this.topics,
+      funcs: this.funcs,
+      subscriptions: this.subscriptions,
+      topicAddress: topic => {
+        if (!topic.service && topic.arn) {
+          return arnResourceName(topic.arn) || topic.name;
+        }
+        return this.topicResourceName(topic);
+      },
+      queueAddress: queue => this.queueResourceName(queue)
+    });
+    const filePath = path.resolve(this.serviceDir, this.options.output || 'asyncapi.json');
+    fs.writeFileSync(filePath, `${JSON.stringify(doc, null, 2)}\n`);
+    logger.log(`Wrote the AsyncAPI document to ${filePath}`);
+  }
+
+  /**
+   * Checks the collected topics, queues and subscriptions against the lint
+   * rules and logs the findings
+   * @param  {boolean} failOnErrors Whether findings with the error severity
+   *                                fail, rather than only being logged
+   */
+  lintTopology(failOnErrors = false) {
+    const alarmTopic = this.config.monitoring && this.config.monitoring.alarmTopic;
+    const findings = lintGraph({
+      topics: this.topics,
+      queues: this.queues,
+      funcs: this.funcs,
+      subscriptions: this.subscriptions,
+      providerTimeout: this.serverless.service.provider.timeout,
+      // CloudWatch publishes to the alarm topic
+      externallyPublishedTopicNames: typeof alarmTopic === 'string' ? [alarmTopic] : []
+    }, (this.config.lint || {}).rules);
+    findings.forEach(({ruleId, severity, message}) => {
+      logger.log(`${severity === 'error' ? 'Error' : 'Warning'} (${ruleId}): ${message}`);
+    });
+    const errors = findings.filter(finding => finding.severity === 'error').length;
+    if (failOnErrors) {
+      logger.log(`${findings.length} problems (${errors} errors, ${findings.length - errors} warnings)`);
+      if (errors) {
+        throw new Error(`pubSub lint found ${errors} errors`);
+      }
+    }
+  }
+
+  /**
+   * Builds the manifest of the graph of functions, topics, queues and buses
+   * @return {object}
+   */
+  buildManifest() {
+    return buildManifest({
+      service: this.serverless.service.service,
+      stage: this.serverless.getProvider('aws').getStage(),
+      topics: this.topics,
+      queues: this.queues,
+      buses: this.buses,
+      funcs: this.funcs,
+      subscriptions: this.subscriptions
+    });
+  }
+
+  /**
+   * Renders the graph in the requested format, to the output file or the
+   * standard output
+   */
+  renderGraph() {
+    const format = this.options.format || GRAPH_FORMATS[0];
+    if (!GRAPH_FORMATS.includes(format)) {
+      throw new Error(`Invalid --format ${format}: expected one of ${GRAPH_FORMATS.join(', ')}`);
+    }
+    const manifest = this.buildManifest();
+    const renderers = {
+      dot: renderDot,
+      mermaid: renderMermaid,
+      json: value => `${JSON.stringify(value, null, 2)}\n`
+    };
+    const graph = renderers[format](manifest);
+    if (!this.options.output) {
+      process.stdout.write(graph);
+      return;
+    }
+    const filePath = path.resolve(this.serviceDir, this.options.output);
+    fs.writeFileSync(filePath, graph);
+    logger.log(`Wrote the ${format} graph to ${filePath}`);
+  }
+
+  /**
+   * Writes the manifest of the graph to the package directory, for other
+   * tools to use
+   */
+  writeManifest() {
+    const packageDir = path.resolve(
+      this.serviceDir, this.options.package || '.serverless'
+    );
+    fs.mkdirSync(packageDir, {recursive: true});
+    fs.writeFileSync(
+      path.join(packageDir, MANIFEST_FILE_NAME),
+      `${JSON.stringify(this.buildManifest(), null, 2)}\n`
+    );
+  }
+
+  /**
+   * Publishes the message of pubSub publish, through a running offline
+   * server or, with --standalone, to the subscribed functions in-process
+   * @return {Promise}
+   */
+  publishMessage() {
+    const topic = this.getTopic(this.options.topic);
+    let message = this.options.message;
+    if (message.startsWith('@')) {
+      message = fs.readFileSync(path.resolve(this.serviceDir, message.slice(1)), 'utf8');
+    }
+    const attributes = parseAttributeOptions(this.options.attribute);
+    const params = {TopicArn: this.formatTopicArn(topic), Message: message};
+    const optionalParams = {
+      Subject: this.options.subject,
+      MessageStructure: this.options['message-structure'],
+      MessageGroupId: this.options['group-id'],
+      MessageDeduplicationId: this.options['deduplication-id']
     };
+    Object.keys(optionalParams)
+      .filter(key => optionalParams[key] !== undefined)
+      .forEach(key => {
+        params[key] = optionalParams[key];
+      });
+    Object.keys(attributes).forEach((name, i) => {
+      const prefix = `MessageAttributes.entry.${i + 1}`;
+      params[`${prefix}.Name`] = name;
+      params[`${prefix}.Value.DataType`] = attributes[name].Type;
+      params[`${prefix}.Value.StringValue`] = attributes[name].Value;
+    });
+    if (this.options.standalone) {
+      // The request is parsed as the offline server would parse it
+      const {request, error} = parsePublishRequest(params);
+      if (error) {
+        throw new Error(error);
+      }
+      return this.publishStandalone(topic, request);
+    }
+    return Server.publish(params).then(messageId => {
+      logger.log(`Published message ${messageId} to ${topic.name}`);
+    });
+  }
 
-    // Only create the policy if there are both topics and queues
-    if (queueArns.length > 0 && topicArns.length > 0) {
-      this.slsCustomResources.SNSToSQSPolicy = policy;
+  /**
+   * Delivers a message to the functions subscribed to a topic in-process,
+   * and waits for their invocations
+   * @param  {Topic}  topic
+   * @param  {object} request Parsed publish request, see parsePublishRequest
+   * @return {Promise} rejects if any invocation failed
+   */
+  async publishStandalone(topic, request) {
+    if (topic.fifo && !request.groupId) {
+      throw new Error(`--group-id is required for FIFO topic ${topic.name}`);
     }
+    this.funcs.forEach(func => {
+      func.invocations = [];
+    });
+    this.subscriptions.forEach(subscription => subscription.subscribe());
+    const messageId = randomId();
+    // Deliveries to queues include the deliveries to their subscribers
+    const deliveries = [];
+    topic.publish(messageId, request.message, {
+      groupId: request.groupId,
+      deduplicationId: request.deduplicationId,
+      attributes: request.attributes,
+      subject: request.subject,
+      messages: request.messages,
+      topicArn: request.topicArn,
+      deliveries: deliveries
+    });
+    logger.log(`Published message ${messageId} to ${topic.name}`);
+    await Promise.all(deliveries);
 
+    const invocations = this.funcs.reduce((all, func) => all.concat(func.invocations), []);
+    const results = await Promise.all(invocations);
+    if (!results.length) {
+      logger.log(`No function received message ${messageId}`);
+    }
+    const failed = results.filter(result => result.error);
+    results.forEach(result => {
+      logger.log(`${result.functionName} ${result.error ? 'failed' : 'succeeded'}`);
+    });
+    if (failed.length) {
+      throw new Error(`${failed.length} of ${results.length} invocations failed`);
+    }
   }
 
   startServer() {
     return new Promise(() => {
-      Server.start(this.topics, this.stackPrefix);
+      Server.start({
+        topics: this.topics,
+        queues: this.queues,
+        buses: this.buses,
+        formatTopicArn: topic => this.formatTopicArn(topic),
+        formatQueueUrl: queue => this.formatQueueUrl(queue),
+        formatBusArn: bus => this.formatBusArn(bus)
+      });
       this.subscriptions.forEach(subscription => subscription.subscribe());
     });
   }
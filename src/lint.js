@@ -0,0 +1,177 @@
+/**
+ * Static analysis of the collected pubSub graph, for config that packages
+ * without errors but is likely wrong
+ */
+
+const SEVERITIES = ['off', 'warn', 'error'];
+
+// Consumers of a queue whose longest timeout is at least this many times
+// their shortest timeout
+const TIMEOUT_RATIO = 3;
+
+// Serverless' default function timeout, in seconds
+const DEFAULT_FUNCTION_TIMEOUT = 6;
+
+
+/**
+ * Whether a topic is owned by the stack, rather than by another service or
+ * account
+ * @param  {Topic} topic
+ * @return {boolean}
+ */
+function isOwnTopic(topic) {
+  return !topic.arn && !topic.service;
+}
+
+
+/**
+ * Gets the functions that publish to a topic
+ * @param  {Topic}  topic
+ * @param  {Func[]} funcs
+ * @return {Func[]}
+ */
+function topicPublishers(topic, funcs) {
+  return funcs.filter(func => func.publishedTopicNames.has(topic.name));
+}
+
+
+/**
+ * Gets the functions that a subscription delivers to, directly or through
+ * the consumers of its queue
+ * @param  {Subscription}   sub
+ * @param  {Subscription[]} subscriptions
+ * @return {Func[]}
+ */
+function subscribedFuncs(sub, subscriptions) {
+  if (sub.subscriber.type === 'function') {
+    return [sub.subscriber];
+  }
+  return subscriptions
+    .filter(queueSub => queueSub.origin === sub.subscriber && queueSub.subscriber.type === 'function')
+    .map(queueSub => queueSub.subscriber);
+}
+
+
+// Each rule checks the graph and returns its findings as messages
+const RULES = {
+  'topic-without-subscribers': {
+    severity: 'warn',
+    check: ({topics, funcs, subscriptions}) => topics
+      .filter(topic => isOwnTopic(topic) && !topic.allowSubscribeFrom)
+      .filter(topic => !subscriptions.some(sub => sub.origin === topic))
+      .map(topic => ({topic, publishers: topicPublishers(topic, funcs)}))
+      .filter(({publishers}) => publishers.length)
+      .map(({topic, publishers}) =>
+        `Topic ${topic.name} is published to by ${publishers.map(f => f.name).join(', ')} but has no subscribers`
+      )
+  },
+  'topic-without-publishers': {
+    severity: 'warn',
+    check: ({topics, funcs, subscriptions, externallyPublishedTopicNames}) => topics
+      .filter(topic => isOwnTopic(topic) && !topic.allowPublishFrom && !topic.sources)
+      .filter(topic => !externallyPublishedTopicNames.includes(topic.name))
+      .filter(topic => subscriptions.some(sub => sub.origin === topic))
+      .filter(topic => !topicPublishers(topic, funcs).length)
+      .map(topic =>
+        `Topic ${topic.name} has subscribers but no function publishes to it through \${pubSubTopic:${topic.name}} or publishes`
+      )
+  },
+  'duplicate-subscription': {
+    severity: 'error',
+    check: ({subscriptions}) => {
+      const counts = new Map();
+      subscriptions
+        .filter(sub => sub.origin.type === 'topic')
+        .forEach(sub => subscribedFuncs(sub, subscriptions).forEach(func => {
+          const key = `${func.name}\n${sub.origin.name}`;
+          counts.set(key, (counts.get(key) || 0) + 1);
+        }));
+      return Array.from(counts.entries())
+        .filter(([, count]) => count > 1)
+        .map(([key, count]) => {
+          const [funcName, topicName] = key.split('\n');
+          return `Function ${funcName} is subscribed to topic ${topicName} ${count} times, so it receives each message ${count} times`;
+        });
+    }
+  },
+  'queue-timeout-mismatch': {
+    severity: 'warn',
+    check: ({queues, subscriptions, providerTimeout}) => queues
+      .map(queue => ({
+        queue,
+        consumers: subscriptions
+          .filter(sub => sub.origin === queue && sub.subscriber.type === 'function')
+          .map(sub => ({
+            name: sub.subscriber.name,
+            timeout: sub.subscriber.serverlessConfig.timeout || providerTimeout || DEFAULT_FUNCTION_TIMEOUT
+          }))
+          .sort((a, b) => a.timeout - b.timeout)
+      }))
+      .filter(({consumers}) => consumers.length > 1
+        && consumers[consumers.length - 1].timeout >= TIMEOUT_RATIO * consumers[0].timeout)
+      .map(({queue, consumers}) => {
+        const [shortest, longest] = [consumers[0], consumers[consumers.length - 1]];
+        return `Queue ${queue.name} is consumed by functions with timeouts from ${shortest.timeout}s (${shortest.name}) to ${longest.timeout}s (${longest.name}), and its visibility timeout follows the longest`;
+      })
+  }
+};
+
+
+/**
+ * Resolves the severity of each rule from the lint config
+ * @param  {object} rulesConfig Mapping of rule id and severity
+ * @return {object} mapping of rule id and severity
+ */
+function ruleSeverities(rulesConfig) {
+  const config = rulesConfig || {};
+  Object.keys(config).forEach(ruleId => {
+    if (!RULES[ruleId]) {
+      throw new Error(
+        `Unknown lint rule ${ruleId} in custom.pubSub.lint.rules, expected one of ${Object.keys(RULES).join(', ')}`
+      );
+    }
+    if (!SEVERITIES.includes(config[ruleId])) {
+      throw new Error(
+        `Invalid severity ${config[ruleId]} for lint rule ${ruleId}, expected one of ${SEVERITIES.join(', ')}`
+      );
+    }
+  });
+  return Object.keys(RULES).reduce((severities, ruleId) => {
+    severities[ruleId] = config[ruleId] || RULES[ruleId].severity;
+    return severities;
+  }, {});
+}
+
+
+/**
+ * Checks the pubSub graph against the enabled rules
+ * @param  {object}         graph
+ * @param  {Topic[]}        graph.topics
+ * @param  {Queue[]}        graph.queues
+ * @param  {Func[]}         graph.funcs
+ * @param  {Subscription[]} graph.subscriptions
+ * @param  {number}         graph.providerTimeout
+ * @param  {string[]}       graph.externallyPublishedTopicNames Topics that
+ *                          services outside of the graph publish to
+ * @param  {object}         rulesConfig Mapping of rule id and severity
+ * @return {object[]} findings, each {ruleId, severity, message}
+ */
+function lintGraph(graph, rulesConfig) {
+  const severities = ruleSeverities(rulesConfig);
+  return Object.keys(RULES)
+    .filter(ruleId => severities[ruleId] !== 'off')
+    .reduce((findings, ruleId) => findings.concat(
+      RULES[ruleId].check(graph).map(message => ({
+        ruleId: ruleId,
+        severity: severities[ruleId],
+        message: message
+      }))
+    ), []);
+}
+
+
+module.exports = {
+  RULES,
+  SEVERITIES,
+  lintGraph
+};
@@ -0,0 +1,71 @@
+/**
+ * Bus model
+ *
+ * An EventBridge event bus, whose rules deliver matching events to functions
+ * or queues
+ */
+
+const PubSub = require('pubsub-js');
+
+const logger = require('../logger');
+const { offlineChannel } = require('../helpers');
+
+// The default event bus exists in every account
+const DEFAULT_BUS_NAME = 'default';
+
+class Bus {
+
+  constructor({name, vendorConfig, arn = null}) {
+    this.name = name;
+    this.vendorConfig = vendorConfig;
+    // Buses with an Arn are owned outside of the stack
+    this.arn = arn;
+    this.type = 'bus';
+  }
+
+  /**
+   * Whether the bus is the account's default event bus
+   * @return {boolean}
+   */
+  get isDefault() {
+    return this.name === DEFAULT_BUS_NAME;
+  }
+
+  /**
+   * Puts an event on the bus, where each rule applies its event pattern
+   * before delivery
+   * @param  {string} eventId
+   * @param  {object} entry              PutEvents entry
+   * @param  {string} entry.source
+   * @param  {string} entry.detailType
+   * @param  {object} entry.detail       Parsed event detail
+   * @param  {string[]} entry.resources
+   * @param  {string} entry.time
+   * @return {object} the EventBridge event
+   */
+  putEvent(eventId, {source, detailType, detail, resources, time}) {
+    const event = {
+      version: '0',
+      id: eventId,
+      'detail-type': detailType,
+      source: source,
+      account: '1234567890123',
+      time: time || (new Date()).toISOString(),
+      region: 'us-east-1',
+      resources: resources || [],
+      detail: detail
+    };
+    PubSub.publish(offlineChannel(this), {
+      messageId: eventId,
+      message: JSON.stringify(event),
+      event: event
+    });
+    return event;
+  }
+
+  log(message) {
+    logger.log(message, ['Bus', this.name]);
+  }
+}
+
+module.exports = Bus;
@@ -16,6 +16,25 @@ class Func {
     this.serverlessConfig = serverlessConfig;
     this.invokeOpts = invokeOpts;
     this.type = 'function';
+    // Names of the topics that the function publishes to
+    this.publishedTopicNames = new Set(this.serverlessConfig.publishes || []);
+    // Names of the queues that the function sends messages to
+    this.sentQueueNames = new Set();
+    // Names of the event buses that the function puts events on
+    this.publishedBusNames = new Set();
+    // When set to a list, records the invocations of the function, each
+    // resolving with {functionName, error}
+    this.invocations = null;
+  }
+
+  /**
+   * Whether the function publishes to any topic, queue or bus
+   * @return {boolean}
+   */
+  get isPublisher() {
+    return this.publishedTopicNames.size > 0
+      || this.sentQueueNames.size > 0
+      || this.publishedBusNames.size > 0;
   }
 
   get events() {
@@ -41,13 +60,20 @@ class Func {
     ]);
 
     this.log(`Invoking with ${data}`);
-    execFile('sls', args, (err, stdout, stderr) => {
-      if (err) {
-        this.log(`Error in sls invoke local: ${err} ${err.stack}`);
-      }
-      this.logOutput(stderr);
-      this.logOutput(stdout);
+    const invocation = new Promise(resolve => {
+      execFile('sls', args, (err, stdout, stderr) => {
+        if (err) {
+          this.log(`Error in sls invoke local: ${err} ${err.stack}`);
+        }
+        this.logOutput(stderr);
+        this.logOutput(stdout);
+        resolve({functionName: this.name, error: err || null});
+      });
     });
+    if (this.invocations) {
+      this.invocations.push(invocation);
+    }
+    return invocation;
   }
 
   logOutput (buffer) {
@@ -1,12 +1,15 @@
 const Func = require('./func');
 const Topic = require('./topic');
 const Queue = require('./queue');
+const Bus = require('./bus');
 const {
   Subscription, QueueToFuncSubscription, TopicToQueueSubscription,
-  TopicToFuncSubscription
+  TopicToFuncSubscription, BusSubscription, BusToFuncSubscription,
+  BusToQueueSubscription
 } = require('./subscription');
 
 module.exports = {
-  Func, Topic, Queue, Subscription, QueueToFuncSubscription,
-  TopicToQueueSubscription, TopicToFuncSubscription
+  Func, Topic, Queue, Bus, Subscription, QueueToFuncSubscription,
+  TopicToQueueSubscription, TopicToFuncSubscription, BusSubscription,
+  BusToFuncSubscription, BusToQueueSubscription
 };
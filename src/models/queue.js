@@ -8,16 +8,25 @@ const PubSub = require('pubsub-js');
 
 const Subscription = require('./subscription');
 
-const { randomId } = require('../helpers');
+const { randomId, isFifoName, offlineChannel } = require('../helpers');
 
 const logger = require('../logger');
 
 
 
 class Queue {
-  constructor({name, vendorConfig}) {
+  constructor({name, vendorConfig, arn = null, fifo = false, monitoring = null}) {
     this.name = name;
     this.vendorConfig = vendorConfig;
+    // Alarm thresholds that override the monitoring config, or false
+    this.monitoring = monitoring;
+    // Queues with an Arn are owned outside of the stack
+    this.arn = arn;
+    this.fifo = Boolean(
+      fifo || (vendorConfig && vendorConfig.FifoQueue) || isFifoName(name)
+    );
+    // The dead-letter queue and redrive settings ({queue, maxReceiveCount})
+    this.deadLetter = null;
     // The subscriptions to this queue
     this.subscriptions = [];
     this.type = 'queue';
@@ -29,8 +38,25 @@ class Queue {
     return subscription;
   }
 
-  execute(data) {
-    PubSub.publish(this.name, {messageId: randomId(), message: data});
+  /**
+   * Sends a message to the queue, which delivers it to its subscribers
+   * @param  {string} data    Message body
+   * @param  {object} details Message id, FIFO and attribute details
+   * @return {Promise} resolves once the deliveries to the subscribers of
+   *                   the queue have finished
+   */
+  execute(data, {messageId = randomId(), groupId, deduplicationId, sequenceNumber, messageAttributes} = {}) {
+    const deliveries = [];
+    PubSub.publishSync(offlineChannel(this), {
+      messageId: messageId,
+      message: data,
+      groupId: groupId,
+      deduplicationId: deduplicationId,
+      sequenceNumber: sequenceNumber,
+      messageAttributes: messageAttributes,
+      deliveries: deliveries
+    });
+    return Promise.all(deliveries);
   }
 
   log(message) {
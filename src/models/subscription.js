@@ -2,44 +2,141 @@
  * Subscription model
  */
 
+const crypto = require('crypto');
+
 const PubSub = require('pubsub-js');
 
-const { randomId } = require('../helpers');
+const { randomId, isTrue, offlineChannel } = require('../helpers');
+const { matchesFilterPolicy, matchesEventPattern } = require('../filters');
+const { protocolMessage } = require('../publish');
+
+
+/**
+ * Converts SNS message attributes ({Name: {Type, Value}}) into the SQS
+ * message attributes of a Lambda SQS record
+ * @param  {object} attributes SNS message attributes
+ * @return {object}
+ */
+function sqsMessageAttributes(attributes) {
+  return Object.keys(attributes || {}).reduce((messageAttributes, name) => {
+    const {Type, Value} = attributes[name];
+    const attribute = {
+      stringListValues: [],
+      binaryListValues: [],
+      dataType: Type
+    };
+    if (Type === 'Binary') {
+      attribute.binaryValue = Value;
+    } else {
+      attribute.stringValue = Value;
+    }
+    messageAttributes[name] = attribute;
+    return messageAttributes;
+  }, {});
+}
+
 
 class Subscription {
 
-  constructor({origin, subscriber, vendorConfig}) {
+  constructor({origin, subscriber, vendorConfig, filterPolicy = null, filterPolicyScope = null}) {
     this.origin = origin;
     this.subscriber = subscriber;
     this.vendorConfig = vendorConfig;
+    // The SNS filter policy and its scope (MessageAttributes or MessageBody)
+    this.filterPolicy = filterPolicy;
+    this.filterPolicyScope = filterPolicyScope;
+    // The queue that receives messages that could not be delivered
+    this.deadLetterQueue = null;
+    // The most recent delivery for each FIFO message group
+    this.groupDeliveries = new Map();
   }
 
   subscribe() {
-    PubSub.subscribe(this.origin.name, (_, {messageId, message}) => {
-      const encoded = this.encodeMessage(messageId, message);
-      this.subscriber.execute(encoded);
+    PubSub.subscribe(offlineChannel(this.origin), (_, published) => {
+      // Messages published with MessageStructure=json have a message for
+      // each protocol
+      const details = Object.assign({}, published, {
+        message: protocolMessage(published, this.protocol)
+      });
+      if (!this.matchesFilter(details)) {
+        this.subscriber.log(
+          `Filtered out message ${details.messageId} from ${this.origin.type} ${this.origin.name}`
+        );
+        return;
+      }
+      const encoded = this.encodeMessage(details.messageId, details.message, details);
+      const delivery = this.deliver(encoded, details);
+      // Publishers that wait for the deliveries collect them
+      if (published.deliveries) {
+        published.deliveries.push(delivery);
+      }
     });
     this.subscriber.log(`Subscribed to ${this.origin.type} ${this.origin.name}`);
   }
+
+  /**
+   * The protocol that the subscriber receives messages with, which picks
+   * its message of a MessageStructure=json publish
+   * @return {string}
+   */
+  get protocol() {
+    return null;
+  }
+
+  /**
+   * Checks a message against the subscription filter policy
+   * @param  {object} details The message details
+   * @return {boolean}
+   */
+  matchesFilter(details) {
+    return !this.filterPolicy
+      || matchesFilterPolicy(this.filterPolicy, this.filterPolicyScope, details);
+  }
+
+  /**
+   * Delivers an encoded message to the subscriber. Messages that belong to
+   * the same FIFO message group are delivered one at a time, in order.
+   * @param  {string} encoded The encoded message
+   * @param  {object} details The message details
+   * @return {Promise}
+   */
+  deliver(encoded, details) {
+    const groupId = details.groupId;
+    if (!this.origin.fifo || !groupId) {
+      return this.subscriber.execute(encoded, details);
+    }
+    const previous = this.groupDeliveries.get(groupId) || Promise.resolve();
+    const delivery = previous.then(() => this.subscriber.execute(encoded, details));
+    this.groupDeliveries.set(groupId, delivery);
+    return delivery;
+  }
 }
 
 class QueueToFuncSubscription extends Subscription {
-  encodeMessage(messageId, message) {
+  encodeMessage(messageId, message, {groupId, deduplicationId, sequenceNumber, messageAttributes} = {}) {
+    const attributes = {
+      ApproximateReceiveCount: 1,
+      SentTimestamp: Date.now(),
+      SenderId: randomId(),
+      ApproximateFirstReceiveTimestamp: Date.now()
+    };
+    if (this.origin.fifo) {
+      Object.assign(attributes, {
+        MessageGroupId: groupId,
+        MessageDeduplicationId: deduplicationId,
+        SequenceNumber: sequenceNumber
+      });
+    }
     return JSON.stringify({
       Records: [{
         messageId: messageId,
         receiptHandle: '',
         body: message,
-        attributes: {
-          ApproximateReceiveCount: 1,
-          SentTimestamp: Date.now(),
-          SenderId: randomId(),
-          ApproximateFirstReceiveTimestamp: Date.now()
-        },
-        messageAttributes: {},
-        md5OfBody: '9bb58f26192e4ba00f01e2e7b136bbd8',
+        attributes: attributes,
+        messageAttributes: messageAttributes || {},
+        md5OfBody: crypto.createHash('md5').update(String(message)).digest('hex'),
         eventSource: 'aws:sqs',
-        eventSourceARN: `arn:aws:sqs:us-east-1:1234567890123:${this.name}`,
+        eventSourceARN: `arn:aws:sqs:us-east-1:1234567890123:${this.origin.name}`,
         awsRegion: 'us-east-1'
       }]
     });
@@ -47,27 +144,84 @@ class QueueToFuncSubscription extends Subscription {
 }
 
 class TopicToQueueSubscription extends Subscription {
-  encodeMessage(messageId, message) {
-    return JSON.stringify(this.origin.formatMessageDetails(messageId, message));
+  constructor(options) {
+    super(options);
+    // Raw delivery sends the message itself rather than the SNS envelope
+    this.raw = options.raw !== undefined && options.raw !== null
+      ? Boolean(options.raw)
+      : isTrue(options.vendorConfig && options.vendorConfig.RawMessageDelivery);
+  }
+
+  get protocol() {
+    return 'sqs';
   }
 
+  encodeMessage(messageId, message, details) {
+    if (this.raw) {
+      return message;
+    }
+    const notification = this.origin.formatMessageDetails(messageId, message, details);
+    // Notifications delivered to queues leave out a missing subject
+    if (notification.Subject === null) {
+      delete notification.Subject;
+    }
+    return JSON.stringify(notification);
+  }
+
+  // Raw deliveries carry the SNS message attributes as SQS message
+  // attributes, while the envelope carries them otherwise
+  deliver(encoded, details) {
+    return super.deliver(encoded, Object.assign({}, details, {
+      messageAttributes: this.raw ? sqsMessageAttributes(details.attributes) : {}
+    }));
+  }
 }
 class TopicToFuncSubscription extends Subscription {
-  encodeMessage(messageId, message) {
+  get protocol() {
+    return 'lambda';
+  }
+
+  encodeMessage(messageId, message, details) {
     return JSON.stringify({
       Records: [{
         EventVersion: '1.0',
         EventSource: 'aws:sns',
-        Sns: this.origin.formatMessageDetails(messageId, message),
+        Sns: this.origin.formatMessageDetails(messageId, message, details),
       }]
     });
   }
 }
 
+/**
+ * Subscription to an event bus, through a rule with an event pattern
+ */
+class BusSubscription extends Subscription {
+  constructor(options) {
+    super(options);
+    this.pattern = options.pattern;
+  }
+
+  matchesFilter(details) {
+    return matchesEventPattern(this.pattern, details.event);
+  }
+
+  // Rules deliver the event itself, both to functions and to queues
+  encodeMessage(messageId, message) {
+    return message;
+  }
+}
+
+class BusToFuncSubscription extends BusSubscription {}
+
+class BusToQueueSubscription extends BusSubscription {}
+
 
 module.exports = {
   Subscription,
   QueueToFuncSubscription,
   TopicToQueueSubscription,
   TopicToFuncSubscription,
+  BusSubscription,
+  BusToFuncSubscription,
+  BusToQueueSubscription,
 };
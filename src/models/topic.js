@@ -6,15 +6,52 @@ const PubSub = require('pubsub-js');
 
 const Subscription = require('./subscription');
 const logger = require('../logger');
+const { isFifoName, sha256, offlineChannel, SERVICE_SEPARATOR } = require('../helpers');
+
+// SNS FIFO topics deduplicate messages sent within a five minute window
+const DEDUPLICATION_INTERVAL = 5 * 60 * 1000;
 
 class Topic {
 
-  constructor({name, vendorConfig, arn = null}) {
+  constructor({
+    name, vendorConfig, arn = null, fifo = false,
+    allowPublishFrom = null, allowSubscribeFrom = null, sources = null,
+    monitoring = null, schema = null, global = false
+  }) {
     this.name = name;
     this.vendorConfig = vendorConfig;
+    // Principals of other accounts that may publish or subscribe to the topic
+    this.allowPublishFrom = allowPublishFrom;
+    this.allowSubscribeFrom = allowSubscribeFrom;
+    // AWS services in the same account that publish to the topic
+    this.sources = sources;
+    // Alarm thresholds that override the monitoring config, or false
+    this.monitoring = monitoring;
+    // JSON Schema of the messages published to the topic
+    this.schema = schema;
+    // Global topics are named without the naming template, e.g. for topics
+    // that are shared between stages
+    this.global = Boolean(global);
     this.subscriptions = [];
     this.type = 'topic';
     this.arn = arn;
+    // Topics owned by another service are named <service>:<topic name>
+    const separator = name.indexOf(SERVICE_SEPARATOR);
+    this.service = separator >= 0 ? name.slice(0, separator) : null;
+    this.resourceName = separator >= 0 ? name.slice(separator + 1) : name;
+    this.fifo = Boolean(
+      fifo || (vendorConfig && vendorConfig.FifoTopic) || isFifoName(name)
+    );
+    this.sequenceNumber = 0;
+    this.deduplicationIds = new Map();
+  }
+
+  /**
+   * Whether the topic deduplicates messages based on the message body
+   * @return {boolean}
+   */
+  get contentBasedDeduplication() {
+    return this.fifo && (this.vendorConfig || {}).ContentBasedDeduplication !== false;
   }
 
   addSubscriber(subscriber, config) {
@@ -23,25 +60,102 @@ class Topic {
     return subscription;
   }
 
+  /**
+   * Publishes a message to all subscribers of the topic. Messages published
+   * to a FIFO topic are dropped if they duplicate a message published within
+   * the deduplication interval.
+   * @param  {string} messageId
+   * @param  {string} message
+   * @param  {string} options.groupId         FIFO message group id
+   * @param  {string} options.deduplicationId FIFO message deduplication id
+   * @param  {object} options.attributes      SNS message attributes
+   * @param  {string} options.subject         Subject of the message
+   * @param  {object} options.messages        Message per protocol, for
+   *                                          MessageStructure=json
+   * @param  {string} options.topicArn        Arn that the message was
+   *                                          published to
+   * @param  {Promise[]} options.deliveries   Collects the delivery to each
+   *                                          subscriber, which then starts
+   *                                          before publish returns
+   * @return {boolean} whether the message was delivered to subscribers
+   */
+  publish(messageId, message, {
+    groupId, deduplicationId, attributes = {}, subject, messages = null, topicArn, deliveries
+  } = {}) {
+    let sequenceNumber;
+    if (this.fifo) {
+      const dedupId = deduplicationId || sha256(message);
+      if (this.isDuplicate(dedupId)) {
+        this.log(`Dropping duplicate message with deduplication id ${dedupId}`);
+        return false;
+      }
+      this.sequenceNumber += 1;
+      sequenceNumber = String(this.sequenceNumber).padStart(20, '0');
+      deduplicationId = dedupId;
+    }
+    const publish = deliveries ? PubSub.publishSync : PubSub.publish;
+    publish(offlineChannel(this), {
+      message: message,
+      messageId: messageId,
+      groupId: groupId,
+      deduplicationId: deduplicationId,
+      sequenceNumber: sequenceNumber,
+      attributes: attributes,
+      subject: subject,
+      messages: messages,
+      topicArn: topicArn,
+      deliveries: deliveries
+    });
+    return true;
+  }
 
-  publish(messageId, message) {
-    PubSub.publish(this.name, {message: message, messageId: messageId});
+  /**
+   * Records the deduplication id and checks whether it has already been
+   * seen within the deduplication interval
+   * @param  {string}  deduplicationId
+   * @return {boolean}
+   */
+  isDuplicate(deduplicationId) {
+    const now = Date.now();
+    for (let [id, timestamp] of this.deduplicationIds) {
+      if (now - timestamp > DEDUPLICATION_INTERVAL) {
+        this.deduplicationIds.delete(id);
+      }
+    }
+    if (this.deduplicationIds.has(deduplicationId)) {
+      return true;
+    }
+    this.deduplicationIds.set(deduplicationId, now);
+    return false;
   }
 
-  formatMessageDetails(messageId, message) {
-    return {
+  /**
+   * Builds the SNS notification of a message
+   * @param  {string} messageId
+   * @param  {string} message   Message of the subscription's protocol
+   * @param  {object} details   Published details, see publish
+   * @return {object}
+   */
+  formatMessageDetails(messageId, message, {groupId, sequenceNumber, attributes, subject, topicArn} = {}) {
+    const details = {
       SignatureVersion: '1',
       Timestamp: (new Date()).toISOString(),
       Signature: 'EXAMPLE',
       SigningCertUrl: 'EXAMPLE',
       MessageId: messageId,
       Message: message,
-      MessageAttributes: {},
+      MessageAttributes: attributes || {},
       Type: 'Notification',
       UnsubscribeUrl: 'EXAMPLE',
-      TopicArn: `arn:aws:sns:us-east-1:1234567890123:${this.name}`,
-      Subject: 'TestInvoke'
+      TopicArn: topicArn || `arn:aws:sns:us-east-1:1234567890123:${this.name}`,
+      // Notifications of messages without a subject have a null subject
+      Subject: subject === undefined ? null : subject
     };
+    if (this.fifo) {
+      details.MessageGroupId = groupId;
+      details.SequenceNumber = sequenceNumber;
+    }
+    return details;
   }
 
   log(message) {
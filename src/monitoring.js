@@ -0,0 +1,155 @@
+/**
+ * CloudWatch alarms for the queues and topics of the stack
+ */
+
+// The alarms by their threshold key. Each alarms when its metric reaches
+// the threshold.
+const ALARMS = {
+  backlog: {
+    namespace: 'AWS/SQS',
+    metricName: 'ApproximateNumberOfMessagesVisible',
+    statistic: 'Maximum',
+    defaultThreshold: 1000,
+    suffix: 'backlog',
+    describe: (threshold, name) => `${threshold} or more messages are waiting in ${name}`
+  },
+  messageAge: {
+    namespace: 'AWS/SQS',
+    metricName: 'ApproximateAgeOfOldestMessage',
+    statistic: 'Maximum',
+    defaultThreshold: 900,
+    suffix: 'message-age',
+    describe: (threshold, name) => `The oldest message in ${name} is ${threshold} or more seconds old`
+  },
+  deadLetterDepth: {
+    namespace: 'AWS/SQS',
+    metricName: 'ApproximateNumberOfMessagesVisible',
+    statistic: 'Maximum',
+    defaultThreshold: 1,
+    suffix: 'dead-letter-depth',
+    describe: (threshold, name) => `${threshold} or more messages failed processing and are in ${name}`
+  },
+  failedNotifications: {
+    namespace: 'AWS/SNS',
+    metricName: 'NumberOfNotificationsFailed',
+    statistic: 'Sum',
+    defaultThreshold: 1,
+    suffix: 'failed-notifications',
+    describe: (threshold, name) => `${threshold} or more notifications of ${name} could not be delivered`
+  }
+};
+
+// The alarms of each kind of resource
+const QUEUE_ALARMS = ['backlog', 'messageAge'];
+const DEAD_LETTER_QUEUE_ALARMS = ['deadLetterDepth'];
+const TOPIC_ALARMS = ['failedNotifications'];
+
+const DEFAULT_PERIOD = 300;
+const DEFAULT_EVALUATION_PERIODS = 1;
+
+
+/**
+ * Checks the thresholds of a monitoring config or override, each being a
+ * positive number or false to disable the alarm
+ * @param  {object}   thresholds
+ * @param  {string[]} keys       Supported threshold keys
+ * @param  {string}   path       Path to the thresholds, for error messages
+ * @return {string[]} list of errors, empty if the thresholds are valid
+ */
+function validateThresholds(thresholds, keys, path) {
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    return [`${path}: must be an object`];
+  }
+  return Object.keys(thresholds).reduce((errors, key) => {
+    const value = thresholds[key];
+    if (!keys.includes(key)) {
+      errors.push(`${path}.${key}: unknown threshold, expected one of ${keys.join(', ')}`);
+    } else if (value !== false && !(typeof value === 'number' && value > 0)) {
+      errors.push(`${path}.${key}: must be a positive number, or false to disable the alarm`);
+    }
+    return errors;
+  }, []);
+}
+
+
+/**
+ * Resolves the thresholds of the alarms of a resource, where the override of
+ * the resource takes precedence over the monitoring config
+ * @param  {string[]}      keys       Threshold keys of the resource's alarms
+ * @param  {object}        thresholds Thresholds of the monitoring config
+ * @param  {object|false}  override   Monitoring override of the resource,
+ *                                    false to disable its alarms
+ * @return {object} mapping of threshold key and threshold, for the enabled
+ *                  alarms only
+ */
+function resolveThresholds(keys, thresholds, override) {
+  if (override === false) {
+    return {};
+  }
+  return keys.reduce((resolved, key) => {
+    let threshold = ALARMS[key].defaultThreshold;
+    [thresholds, override].forEach(source => {
+      if (source && source[key] !== undefined) {
+        threshold = source[key];
+      }
+    });
+    if (threshold !== false) {
+      resolved[key] = threshold;
+    }
+    return resolved;
+  }, {});
+}
+
+
+/**
+ * Builds an AWS::CloudWatch::Alarm resource
+ * @param  {string} key                Threshold key of the alarm
+ * @param  {object} options
+ * @param  {string} options.name       Name of the alarmed resource, without
+ *                                     the FIFO suffix
+ * @param  {string} options.prefix     Prefix of the alarm name
+ * @param  {object} options.dimension  Metric dimension, {Name, Value}
+ * @param  {number} options.threshold
+ * @param  {number} options.period
+ * @param  {number} options.evaluationPeriods
+ * @param  {Array}  options.actions    Arns notified when the alarm changes
+ *                                     state
+ * @return {object}
+ */
+function alarmResource(key, {name, prefix, dimension, threshold, period, evaluationPeriods, actions}) {
+  const alarm = ALARMS[key];
+  const props = {
+    AlarmName: `${prefix}${name}-${alarm.suffix}`,
+    AlarmDescription: alarm.describe(threshold, name),
+    Namespace: alarm.namespace,
+    MetricName: alarm.metricName,
+    Dimensions: [dimension],
+    Statistic: alarm.statistic,
+    Period: period,
+    EvaluationPeriods: evaluationPeriods,
+    Threshold: threshold,
+    ComparisonOperator: 'GreaterThanOrEqualToThreshold',
+    // Metrics are not reported while queues and topics are idle
+    TreatMissingData: 'notBreaching'
+  };
+  if (actions.length) {
+    Object.assign(props, {AlarmActions: actions, OKActions: actions});
+  }
+  return {
+    Type: 'AWS::CloudWatch::Alarm',
+    Properties: props
+  };
+}
+
+
+module.exports = {
+  ALARMS,
+  QUEUE_ALARMS,
+  DEAD_LETTER_QUEUE_ALARMS,
+  TOPIC_ALARMS,
+  DEFAULT_PERIOD,
+  DEFAULT_EVALUATION_PERIODS,
+  validateThresholds,
+  resolveThresholds,
+  alarmResource
+};
@@ -0,0 +1,124 @@
+/**
+ * The names that resources get in the stack: the templates of the physical
+ * names, the logical ids that several resources may normalize to, and the
+ * physical names that exceed the limits of their service
+ */
+
+const { FIFO_SUFFIX, sha256, stripFifoSuffix } = require('./helpers');
+
+// Longest name of an SQS queue, including the .fifo suffix
+const MAX_QUEUE_NAME_LENGTH = 80;
+
+// Number of hex characters of the hash that shortened names end with
+const HASH_LENGTH = 8;
+
+// How names over the limit are handled: they fail the package, or are
+// shortened with a hash of the full name
+const LONG_NAME_STRATEGIES = ['error', 'hash'];
+
+// Placeholders of the naming templates, e.g. {stage}
+const NAMING_PLACEHOLDERS = ['service', 'stage', 'region', 'name'];
+
+const DEFAULT_NAMING_TEMPLATE = '{service}-{stage}-{name}';
+
+const PLACEHOLDER_PATTERN = /\{([^{}]*)\}/g;
+
+
+/**
+ * Checks a naming template. Besides the placeholders, templates may only
+ * contain the characters that SNS and SQS allow in names.
+ * @param  {string}   template
+ * @return {string[]} list of errors
+ */
+function validateNamingTemplate(template) {
+  if (typeof template !== 'string') {
+    return ['must be a string'];
+  }
+  const errors = [];
+  const placeholders = (template.match(PLACEHOLDER_PATTERN) || []).map(p => p.slice(1, -1));
+  if (!placeholders.includes('name')) {
+    errors.push('must contain the {name} placeholder');
+  }
+  placeholders.filter(p => !NAMING_PLACEHOLDERS.includes(p)).forEach(p => {
+    errors.push(`unknown placeholder {${p}}, expected one of ${NAMING_PLACEHOLDERS.map(n => `{${n}}`).join(', ')}`);
+  });
+  if (/[^A-Za-z0-9_-]/.test(template.replace(PLACEHOLDER_PATTERN, ''))) {
+    errors.push('may only contain letters, digits, hyphens and underscores besides its placeholders');
+  }
+  return errors;
+}
+
+
+/**
+ * Renders a naming template
+ * @param  {string}   template
+ * @param  {function} value    gets the value of a placeholder, which is only
+ *                             called for the placeholders of the template
+ * @return {string}
+ */
+function renderNamingTemplate(template, value) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, placeholder) => value(placeholder));
+}
+
+
+/**
+ * Hashes a value into a short suffix for names and logical ids, which is
+ * the same for equal values
+ * @param  {string} value
+ * @return {string}
+ */
+function shortHash(value) {
+  return sha256(value).slice(0, HASH_LENGTH);
+}
+
+
+/**
+ * Shortens a name to a maximum length by truncating it and appending a hash
+ * of the full name, so that shortened names stay unique and the same name
+ * is always shortened the same way. The .fifo suffix of FIFO names is kept.
+ * @param  {string} name
+ * @param  {number} maxLength
+ * @return {string} the name, if it is not over the limit
+ */
+function shortenName(name, maxLength) {
+  if (name.length <= maxLength) {
+    return name;
+  }
+  const suffix = name.endsWith(FIFO_SUFFIX) ? FIFO_SUFFIX : '';
+  const hash = shortHash(name);
+  const base = stripFifoSuffix(name)
+    .slice(0, maxLength - suffix.length - hash.length - 1)
+    .replace(/[-_]+$/, '');
+  return `${base}-${hash}${suffix}`;
+}
+
+
+/**
+ * Groups resources by logical id and finds the ids that more than one
+ * resource normalizes to
+ * @param  {object[]} resources Topics, queues or buses
+ * @param  {function} logicalId gets the logical id of a resource
+ * @return {object[]} collisions, each {logicalId, resources}
+ */
+function findCollisions(resources, logicalId) {
+  const groups = new Map();
+  resources.forEach(resource => {
+    const id = logicalId(resource);
+    groups.set(id, (groups.get(id) || []).concat(resource));
+  });
+  return Array.from(groups.entries())
+    .filter(([, group]) => group.length > 1)
+    .map(([id, group]) => ({logicalId: id, resources: group}));
+}
+
+
+module.exports = {
+  MAX_QUEUE_NAME_LENGTH,
+  LONG_NAME_STRATEGIES,
+  DEFAULT_NAMING_TEMPLATE,
+  validateNamingTemplate,
+  renderNamingTemplate,
+  shortHash,
+  shortenName,
+  findCollisions
+};
@@ -3,11 +3,181 @@
  */
 
 
+const crypto = require('crypto');
+const http = require('http');
+
 const bodyParser = require('body-parser');
 const express = require('express');
 
 const logger = require('./logger');
 const { randomId } = require('./helpers');
+const { validateJsonSchema } = require('./validator');
+const { parsePublishRequest } = require('./publish');
+
+
+/**
+ * Escapes text for an XML response
+ * @param  {string} text
+ * @return {string}
+ */
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+
+/**
+ * Sends an SNS-style error response
+ * @param  {Response} res     Express response
+ * @param  {number}   status  HTTP status code
+ * @param  {string}   code    SNS error code
+ * @param  {string}   message Error message
+ * @return {Response}
+ */
+function sendError(res, status, code, message) {
+  return res.status(status).set('content-type', 'application/xml').send(`
+    <ErrorResponse xmlns="http://sns.amazonaws.com/doc/2010-03-31/">
+      <Error>
+        <Type>${status < 500 ? 'Sender' : 'Receiver'}</Type>
+        <Code>${code}</Code>
+        <Message>${escapeXml(message)}</Message>
+      </Error>
+      <RequestId>${randomId()}</RequestId>
+    </ErrorResponse>
+  `);
+}
+
+
+/**
+ * Checks the FIFO parameters of a publish request
+ * @param  {Topic}  topic
+ * @param  {object} params Publish request parameters
+ * @return {string} error message, or null if the parameters are valid
+ */
+function validateFifoParams(topic, {MessageGroupId, MessageDeduplicationId}) {
+  if (!topic.fifo) {
+    return MessageGroupId
+      ? 'Invalid parameter: MessageGroupId Reason: The request includes MessageGroupId parameter that is not valid for this topic type'
+      : null;
+  }
+  if (!MessageGroupId) {
+    return 'Invalid parameter: The MessageGroupId parameter is required for FIFO topics';
+  }
+  if (!MessageDeduplicationId && !topic.contentBasedDeduplication) {
+    return 'Invalid parameter: The topic should either have ContentBasedDeduplication enabled or MessageDeduplicationId provided explicitly';
+  }
+  return null;
+}
+
+/**
+ * Checks a published message against the schema of its topic
+ * @param  {Topic}  topic
+ * @param  {string} message
+ * @return {string} error message, or null if the message is valid or the
+ *                  topic has no schema
+ */
+function validateMessageSchema(topic, message) {
+  if (!topic.schema) {
+    return null;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(message);
+  } catch (e) {
+    return `Invalid parameter: Message Reason: Message must be JSON to match the schema of topic ${topic.name}`;
+  }
+  const errors = validateJsonSchema(topic.schema, parsed);
+  return errors.length
+    ? `Invalid parameter: Message Reason: ${errors.join('; ')}`
+    : null;
+}
+
+/**
+ * Sends an SNS Publish response
+ * @param  {Response} res       Express response
+ * @param  {string}   messageId
+ * @return {Response}
+ */
+function publishResponse(res, messageId) {
+  return res.status(200).set('content-type', 'application/xml').send(`
+    <PublishResponse xmlns="https://sns.amazonaws.com/doc/2010-03-31/">
+      <PublishResult>
+        <MessageId>${messageId}</MessageId>
+      </PublishResult>
+      <ResponseMetadata>
+        <RequestId>${randomId()}</RequestId>
+      </ResponseMetadata>
+    </PublishResponse>
+  `);
+}
+
+/**
+ * Sends an SQS SendMessage response, in the JSON protocol if the request used
+ * it and in the query protocol otherwise
+ * @param  {Response} res       Express response
+ * @param  {boolean}  json      Whether the request used the JSON protocol
+ * @param  {string}   messageId
+ * @param  {string}   body      Message body
+ * @return {Response}
+ */
+function sendMessageResponse(res, json, messageId, body) {
+  const md5 = crypto.createHash('md5').update(body).digest('hex');
+  if (json) {
+    return res.status(200).set('content-type', 'application/x-amz-json-1.0').send(
+      JSON.stringify({MessageId: messageId, MD5OfMessageBody: md5})
+    );
+  }
+  return res.status(200).set('content-type', 'application/xml').send(`
+    <SendMessageResponse xmlns="http://queue.amazonaws.com/doc/2012-11-05/">
+      <SendMessageResult>
+        <MessageId>${messageId}</MessageId>
+        <MD5OfMessageBody>${md5}</MD5OfMessageBody>
+      </SendMessageResult>
+      <ResponseMetadata>
+        <RequestId>${randomId()}</RequestId>
+      </ResponseMetadata>
+    </SendMessageResponse>
+  `);
+}
+
+/**
+ * Puts the entries of an EventBridge PutEvents request on their buses
+ * @param  {object[]} entries   PutEvents request entries
+ * @param  {function} findBus   finds the bus for an EventBusName
+ * @return {object}   PutEvents response
+ */
+function putEvents(entries, findBus) {
+  const results = (entries || []).map(entry => {
+    // Entries without a bus name are put on the default bus
+    const busName = entry.EventBusName || 'default';
+    const bus = findBus(busName);
+    if (!bus) {
+      logger.log(`Error: could not find a bus to match bus name ${busName}`);
+      return {ErrorCode: 'ResourceNotFoundException', ErrorMessage: `Event bus ${busName} does not exist.`};
+    }
+    let detail;
+    try {
+      detail = JSON.parse(entry.Detail);
+    } catch (e) {
+      detail = null;
+    }
+    if (!detail || typeof detail !== 'object' || Array.isArray(detail)) {
+      return {ErrorCode: 'MalformedDetail', ErrorMessage: 'Detail is malformed.'};
+    }
+    const eventId = randomId();
+    bus.putEvent(eventId, {
+      source: entry.Source,
+      detailType: entry.DetailType,
+      detail: detail,
+      resources: entry.Resources,
+      time: entry.Time
+    });
+    return {EventId: eventId};
+  });
+  return {
+    FailedEntryCount: results.filter(result => result.ErrorCode).length,
+    Entries: results
+  };
+}
 
 /**
  * Offline server for subscribing local invocations to topics
@@ -17,74 +187,178 @@ class Server {
   constructor() {
     this.port = '3100';
     this.host = 'localhost';
+    // Whether publishing messages that do not match the schema of their
+    // topic fails, rather than only being logged
+    this.strict = false;
   }
 
   /**
    * Configure the offline server
    * @param  {string} options.port The port to run the server on
    * @param  {string} options.host The host name for the server
+   * @param  {boolean} options.strict Whether messages that do not match
+   *                                  their topic's schema are rejected
    */
-  config({port, host}) {
+  config({port, host, strict}) {
     if (port) {
       this.port = port;
     }
     if (host) {
       this.host = host;
     }
+    if (strict !== undefined) {
+      this.strict = Boolean(strict);
+    }
   }
 
   /**
    * Starts the offline server
-   * @param  {Topic[]} topics a list of available topics
-   * @param  {string}  Prefix of the topic
+   * @param  {Topic[]}  options.topics         a list of available topics
+   * @param  {Queue[]}  options.queues         a list of available queues
+   * @param  {Bus[]}    options.buses          a list of available event buses
+   * @param  {function} options.formatTopicArn formats the offline Arn of a topic
+   * @param  {function} options.formatQueueUrl formats the offline Url of a queue
+   * @param  {function} options.formatBusArn   formats the offline Arn of a bus
+   * @return {http.Server}
    */
-  start(topics, topicPrefix) {
+  start({topics, queues = [], buses = [], formatTopicArn, formatQueueUrl, formatBusArn}) {
+    // Topics are matched on the name segment of their Arn, queues on the last
+    // path segment of their Url, and buses on the last path segment of their
+    // name or Arn
+    const arnName = arn => arn.split(':').slice(-1)[0];
+    const urlName = url => url.split('/').slice(-1)[0];
     const app = express();
     app.use(bodyParser.urlencoded({extended: true}));
+    app.use(bodyParser.json({type: ['application/x-amz-json-1.0', 'application/x-amz-json-1.1']}));
     app.all('/*', (req, res) => {
+      const target = req.get('x-amz-target');
+      if (target === 'AWSEvents.PutEvents') {
+        const response = putEvents(req.body && req.body.Entries, name =>
+          buses.find(b => urlName(arnName(formatBusArn(b))) === urlName(arnName(name)))
+        );
+        return res.status(200).set('content-type', 'application/x-amz-json-1.1').send(
+          JSON.stringify(response)
+        );
+      }
+      const json = target === 'AmazonSQS.SendMessage';
+      if (req.body && (json || req.body.Action === 'SendMessage')) {
+        const queueName = urlName(req.body.QueueUrl || '');
+        const queue = queues.find(q => urlName(formatQueueUrl(q)) === queueName);
+        if (queue) {
+          const messageId = randomId();
+          const body = String(req.body.MessageBody);
+          queue.execute(body, {
+            messageId: messageId,
+            groupId: req.body.MessageGroupId,
+            deduplicationId: req.body.MessageDeduplicationId
+          });
+          return sendMessageResponse(res, json, messageId, body);
+        }
+        logger.log(`Error: could not find a queue to match queue name ${queueName}`);
+        if (json) {
+          return res.status(400).set('content-type', 'application/x-amz-json-1.0').send(JSON.stringify({
+            __type: 'com.amazonaws.sqs#QueueDoesNotExist',
+            message: 'The specified queue does not exist.'
+          }));
+        }
+        return sendError(res, 400, 'AWS.SimpleQueueService.NonExistentQueue', 'The specified queue does not exist.');
+      }
       if (req.body && req.body.Action === 'Publish') {
-        const topicArn = req.body.TopicArn;
-        const topicName = topicArn && topicArn
-          // Remove ARN
-          .split(':').slice(-1)[0]
-          // Remove topic prefix
-          .replace(topicPrefix, '');
-
-        const message = req.body.Message;
+        const {request, error} = parsePublishRequest(req.body);
+        if (error) {
+          logger.log(`Error: ${error}`);
+          return sendError(res, 400, 'InvalidParameter', error);
+        }
         const messageId = randomId();
-        const topic = topics.find(t => t.name === topicName);
+        if (request.phoneNumber) {
+          // SMS messages are only logged, as there is nothing to deliver to
+          logger.log(`SMS message ${messageId} to ${request.phoneNumber}: ${request.message}`);
+          return publishResponse(res, messageId);
+        }
+        // TargetArn may be a topic Arn as well as a platform endpoint Arn
+        const arn = request.topicArn || request.targetArn;
+        const topicName = arnName(arn);
+        const topic = topics.find(t => arnName(formatTopicArn(t)) === topicName);
         if (topic) {
-          topic.publish(messageId, message);
-          return res.status(200).set('content-type', 'application/xml').send(`
-            <PublishResponse xmlns="https://sns.amazonaws.com/doc/2010-03-31/">
-              <PublishResult>
-                <MessageId>${messageId}</MessageId>
-              </PublishResult>
-              <ResponseMetadata>
-                <RequestId>${randomId()}</RequestId>
-              </ResponseMetadata>
-            </PublishResponse>
-          `);
-        } else {
-          logger.log(`Error: could not find a topic to match topic name ${topicName}`);
+          const fifoError = validateFifoParams(topic, req.body);
+          if (fifoError) {
+            logger.log(`Error: ${fifoError}`);
+            return sendError(res, 400, 'InvalidParameter', fifoError);
+          }
+          // Each protocol's message of a MessageStructure=json request must
+          // match the schema
+          const messages = request.messages
+            ? Object.keys(request.messages).map(protocol => request.messages[protocol])
+            : [request.message];
+          const schemaError = messages.map(message => validateMessageSchema(topic, message)).find(Boolean);
+          if (schemaError) {
+            logger.log(`Error: ${schemaError}`);
+            if (this.strict) {
+              return sendError(res, 400, 'InvalidParameter', schemaError);
+            }
+          }
+          topic.publish(messageId, request.message, {
+            groupId: request.groupId,
+            deduplicationId: request.deduplicationId,
+            attributes: request.attributes,
+            subject: request.subject,
+            messages: request.messages,
+            topicArn: arn
+          });
+          return publishResponse(res, messageId);
         }
+        logger.log(`Error: could not find a topic to match ${request.topicArn ? 'topic name' : 'target'} ${topicName}`);
       }
-      return res.status(404).set('content-type', 'application/xml').send(`
-        <ErrorResponse xmlns="http://sns.amazonaws.com/doc/2010-03-31/">
-          <Error>
-            <Type>NotFound</Type>
-            <Code>NotFound</Code>
-            <Message>Topic not found</Message>
-          </Error>
-          <RequestId>${randomId()}</RequestId>
-        </ErrorResponse>
-      `);
+      return sendError(res, 404, 'NotFound', 'Topic not found');
     });
-    app.listen(this.port, () => {
+    return app.listen(this.port, () => {
       logger.log(`Listening on port ${this.port}`);
     });
   }
 
+  /**
+   * Publishes a message to a topic through a running offline server
+   * @param  {object} params Publish request parameters, e.g. TopicArn,
+   *                         Message and MessageAttributes.entry.N.Name
+   * @return {Promise} resolves with the message id
+   */
+  publish(params) {
+    const body = new URLSearchParams(Object.assign({Action: 'Publish'}, params)).toString();
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        host: this.host,
+        port: this.port,
+        method: 'POST',
+        path: '/',
+        headers: {
+          'content-type': 'application/x-www-form-urlencoded',
+          'content-length': Buffer.byteLength(body)
+        }
+      }, res => {
+        let response = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          response += chunk;
+        });
+        res.on('end', () => {
+          const tag = name => {
+            const match = response.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+            return match ? match[1] : null;
+          };
+          if (res.statusCode === 200) {
+            resolve(tag('MessageId'));
+          } else {
+            reject(new Error(`${tag('Code') || res.statusCode}: ${tag('Message') || response}`));
+          }
+        });
+      });
+      req.on('error', e => reject(new Error(
+        `Could not reach the offline server at ${this.endpointUrl} (${e.message}), start it with serverless pubSub offline or use --standalone`
+      )));
+      req.end(body);
+    });
+  }
+
   /**
    * Endpoint URL for the offline server
    * @return {string}
@@ -0,0 +1,210 @@
+/**
+ * Resource policy statements for cross-account and AWS service access to
+ * pubSub resources
+ */
+
+const ACCOUNT_ID_PATTERN = /^\d{12}$/;
+const ORGANIZATION_ID_PATTERN = /^o-[a-z0-9]{10,32}$/;
+const PRINCIPAL_ARN_PATTERN = /^arn:aws[a-z-]*:iam::(\d{12}):(root|(user|role)\/[\w+=,.@/-]+)$/;
+
+// The service principals of the AWS services that can feed topics, by their
+// key in a topic source
+const SOURCE_PRINCIPALS = {
+  s3: 's3.amazonaws.com',
+  cloudwatchAlarm: 'cloudwatch.amazonaws.com',
+  codepipeline: 'codestar-notifications.amazonaws.com'
+};
+
+
+/**
+ * Checks a list of principals, each being an account id, an organization id
+ * or an IAM principal Arn. Cloudformation intrinsic functions are not
+ * checked.
+ * @param  {Array}  entries
+ * @param  {string} path    Path to the list, for error messages
+ * @return {string[]} list of errors, empty if the entries are valid
+ */
+function validatePrincipals(entries, path) {
+  if (!Array.isArray(entries)) {
+    return [`${path}: must be a list`];
+  }
+  return entries.reduce((errors, entry, i) => {
+    if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+      return errors;
+    }
+    if (typeof entry === 'number') {
+      // YAML parses unquoted account ids as numbers, which drops leading zeros
+      errors.push(`${path}[${i}]: ${entry} must be quoted, account ids are strings`);
+    } else if (typeof entry !== 'string') {
+      errors.push(`${path}[${i}]: must be a string`);
+    } else if (entry.startsWith('arn:')) {
+      if (!PRINCIPAL_ARN_PATTERN.test(entry)) {
+        errors.push(`${path}[${i}]: ${entry} is not a valid IAM principal Arn (arn:aws:iam::<account id>:root, :user/<name> or :role/<name>)`);
+      }
+    } else if (entry.startsWith('o-')) {
+      if (!ORGANIZATION_ID_PATTERN.test(entry)) {
+        errors.push(`${path}[${i}]: ${entry} is not a valid organization id (o- followed by 10 to 32 lowercase letters or digits)`);
+      }
+    } else if (!ACCOUNT_ID_PATTERN.test(entry)) {
+      errors.push(`${path}[${i}]: ${entry} is not a valid account id (12 digits)`);
+    }
+    return errors;
+  }, []);
+}
+
+
+/**
+ * Gets the service of a topic source, e.g. s3 for {s3: 'my-bucket'}
+ * @param  {object} source
+ * @return {string} the service key, or null if there is not exactly one
+ */
+function sourceService(source) {
+  const services = Object.keys(source || {}).filter(key => SOURCE_PRINCIPALS[key]);
+  return services.length === 1 ? services[0] : null;
+}
+
+
+/**
+ * Checks the sources of a topic, e.g.
+ * [{s3: 'my-bucket', events: ['s3:ObjectCreated:*']}, {cloudwatchAlarm: '*'}]
+ * @param  {Array}  sources
+ * @param  {string} path    Path to the list, for error messages
+ * @return {string[]} list of errors, empty if the sources are valid
+ */
+function validateSources(sources, path) {
+  if (!Array.isArray(sources)) {
+    return [`${path}: must be a list`];
+  }
+  return sources.reduce((errors, source, i) => {
+    const service = sourceService(source);
+    if (!service) {
+      errors.push(`${path}[${i}]: must have exactly one of ${Object.keys(SOURCE_PRINCIPALS).join(', ')}`);
+      return errors;
+    }
+    if (typeof source[service] !== 'string' || !source[service]) {
+      errors.push(`${path}[${i}].${service}: must be a name`);
+    }
+    const events = source.events;
+    if (service === 'cloudwatchAlarm') {
+      if (events !== undefined) {
+        errors.push(`${path}[${i}].events: is not supported for cloudwatchAlarm sources`);
+      }
+    } else if (events !== undefined || service === 'codepipeline') {
+      if (!Array.isArray(events) || !events.length || !events.every(e => typeof e === 'string')) {
+        errors.push(`${path}[${i}].events: must be a non-empty list of event names`);
+      } else if (service === 's3' && !events.every(e => e.startsWith('s3:'))) {
+        errors.push(`${path}[${i}].events: S3 event names start with s3:, e.g. s3:ObjectCreated:*`);
+      }
+    }
+    return errors;
+  }, []);
+}
+
+
+/**
+ * Builds the statement that allows an AWS service to publish to a topic on
+ * behalf of a source in the same account
+ * @param  {string} sid
+ * @param  {string} service   Service key of the source, e.g. s3
+ * @param  {object} sourceArn Cloudformation expression for the source Arn
+ * @param  {object} resource  Cloudformation expression for the topic
+ * @return {object}
+ */
+function sourceStatement(sid, service, sourceArn, resource) {
+  return {
+    Sid: sid,
+    Effect: 'Allow',
+    Principal: {Service: SOURCE_PRINCIPALS[service]},
+    Action: ['sns:Publish'],
+    Resource: resource,
+    Condition: {
+      ArnLike: {'aws:SourceArn': sourceArn},
+      StringEquals: {'aws:SourceAccount': {Ref: 'AWS::AccountId'}}
+    }
+  };
+}
+
+
+/**
+ * Builds the policy of the KMS key that encrypts the topics and queues. The
+ * account's IAM policies may use the key, so that functions are granted
+ * access through their roles, and the services that deliver to topics and
+ * queues may encrypt and decrypt messages on behalf of the given accounts.
+ * @param  {Array} sourceAccounts Accounts of the resources that the services
+ *                                act for, as ids or Cloudformation expressions
+ * @return {object}
+ */
+function encryptionKeyPolicy(sourceAccounts) {
+  const services = ['sns.amazonaws.com', 'sqs.amazonaws.com', 'events.amazonaws.com']
+    .concat(Object.keys(SOURCE_PRINCIPALS).map(key => SOURCE_PRINCIPALS[key]));
+  return {
+    Version: '2012-10-17',
+    Statement: [{
+      Sid: 'AllowAccount',
+      Effect: 'Allow',
+      Principal: {AWS: {'Fn::Sub': 'arn:${AWS::Partition}:iam::${AWS::AccountId}:root'}},
+      Action: 'kms:*',
+      Resource: '*'
+    }, {
+      Sid: 'AllowServices',
+      Effect: 'Allow',
+      Principal: {Service: Array.from(new Set(services))},
+      Action: ['kms:Decrypt', 'kms:GenerateDataKey*'],
+      Resource: '*',
+      Condition: {
+        StringEquals: {'aws:SourceAccount': sourceAccounts}
+      }
+    }]
+  };
+}
+
+
+/**
+ * Builds the statements that allow principals to perform actions on a
+ * resource. Accounts and IAM principals are allowed directly, while
+ * organizations are allowed through the aws:PrincipalOrgID condition.
+ * @param  {string}   sid      Statement id prefix
+ * @param  {string[]} actions
+ * @param  {Array}    entries  Account ids, organization ids or principal Arns
+ * @param  {object}   resource Cloudformation expression for the resource
+ * @return {object[]}
+ */
+function principalStatements(sid, actions, entries, resource) {
+  const organizations = entries.filter(
+    entry => typeof entry === 'string' && entry.startsWith('o-')
+  );
+  const principals = entries.filter(entry => !organizations.includes(entry));
+  const statements = [];
+  if (principals.length) {
+    statements.push({
+      Sid: sid,
+      Effect: 'Allow',
+      Principal: {AWS: principals},
+      Action: actions,
+      Resource: resource
+    });
+  }
+  if (organizations.length) {
+    statements.push({
+      Sid: `${sid}Organizations`,
+      Effect: 'Allow',
+      Principal: {AWS: '*'},
+      Action: actions,
+      Resource: resource,
+      Condition: {
+        StringEquals: {'aws:PrincipalOrgID': organizations}
+      }
+    });
+  }
+  return statements;
+}
+
+
+module.exports = {
+  validatePrincipals,
+  principalStatements,
+  sourceService,
+  validateSources,
+  sourceStatement,
+  encryptionKeyPolicy
+};
@@ -0,0 +1,201 @@
+/**
+ * SNS Publish requests, in their query parameter form
+ *
+ * Parses the whole request the way SNS validates it, so that the offline
+ * server and the publish command deliver what SNS would: the subject, the
+ * message attributes, the FIFO parameters and, for MessageStructure=json,
+ * a message per protocol.
+ */
+
+const MESSAGE_STRUCTURES = ['json'];
+
+const MAX_SUBJECT_LENGTH = 100;
+
+// Data types of message attributes, which may have a custom suffix, e.g.
+// String.Email
+const ATTRIBUTE_TYPE_PATTERN = /^(String|Number|Binary)(\.[A-Za-z0-9_.-]+)?$/;
+
+const ATTRIBUTE_PATTERN = /^MessageAttributes\.entry\.(\d+)\.(Name|Value\.DataType|Value\.StringValue|Value\.BinaryValue)$/;
+
+
+/**
+ * Builds the error message of an invalid parameter
+ * @param  {string} parameter
+ * @param  {string} reason
+ * @return {string}
+ */
+function invalidParameter(parameter, reason) {
+  return `Invalid parameter: ${parameter} Reason: ${reason}`;
+}
+
+
+/**
+ * Whether a value is the JSON of an array
+ * @param  {string} value
+ * @return {boolean}
+ */
+function isJsonArray(value) {
+  try {
+    return Array.isArray(JSON.parse(value));
+  } catch (e) {
+    return false;
+  }
+}
+
+
+/**
+ * Parses the message attributes of a publish request
+ * (MessageAttributes.entry.N.Name, ...Value.DataType, etc.) into the SNS
+ * notification form ({Name: {Type, Value}})
+ * @param  {object} params Publish request parameters
+ * @return {object} {attributes, errors}
+ */
+function parseMessageAttributes(params) {
+  const entries = {};
+  Object.keys(params).forEach(key => {
+    const match = key.match(ATTRIBUTE_PATTERN);
+    if (match) {
+      const entry = entries[match[1]] || {};
+      entry[match[2]] = params[key];
+      entries[match[1]] = entry;
+    }
+  });
+  const errors = [];
+  const attributes = Object.keys(entries)
+    .sort((a, b) => a - b)
+    .reduce((parsed, index) => {
+      const entry = entries[index];
+      const name = entry.Name;
+      const type = entry['Value.DataType'];
+      const value = entry['Value.StringValue'] !== undefined
+        ? entry['Value.StringValue']
+        : entry['Value.BinaryValue'];
+      if (!name) {
+        errors.push(invalidParameter('MessageAttributes', `entry ${index} must have a name`));
+      } else if (parsed[name]) {
+        errors.push(invalidParameter('MessageAttributes', `duplicate message attribute name ${name}`));
+      } else if (!type) {
+        errors.push(invalidParameter('MessageAttributes', `the message attribute '${name}' must contain non-empty message attribute type`));
+      } else if (!ATTRIBUTE_TYPE_PATTERN.test(type)) {
+        errors.push(invalidParameter('MessageAttributes', `the message attribute '${name}' has an invalid message attribute type ${type}`));
+      } else if (value === undefined || value === '') {
+        errors.push(invalidParameter('MessageAttributes', `the message attribute '${name}' must contain non-empty message attribute value`));
+      } else if (type.startsWith('Number') && !Number.isFinite(Number(value))) {
+        errors.push(invalidParameter('MessageAttributes', `the message attribute '${name}' with type Number must have a numeric value`));
+      } else if (type === 'String.Array' && !isJsonArray(value)) {
+        errors.push(invalidParameter('MessageAttributes', `the message attribute '${name}' with type String.Array must be a JSON array`));
+      } else {
+        parsed[name] = {Type: type, Value: value};
+      }
+      return parsed;
+    }, {});
+  return {attributes, errors};
+}
+
+
+/**
+ * Parses the message of a MessageStructure=json request, which maps
+ * protocols (and the default) to their messages
+ * @param  {string} message
+ * @return {object} {messages, error}
+ */
+function parseMessageStructure(message) {
+  let messages;
+  try {
+    messages = JSON.parse(message);
+  } catch (e) {
+    return {error: 'Invalid parameter: Message Structure - JSON message body failed to parse'};
+  }
+  if (!messages || typeof messages !== 'object' || Array.isArray(messages)
+    || typeof messages.default !== 'string') {
+    return {error: 'Invalid parameter: Message Structure - No default entry in JSON message body'};
+  }
+  const nonString = Object.keys(messages).find(protocol => typeof messages[protocol] !== 'string');
+  if (nonString) {
+    return {error: `Invalid parameter: Message Structure - The ${nonString} entry of the JSON message body must be a string`};
+  }
+  return {messages};
+}
+
+
+/**
+ * Parses and validates an SNS Publish request
+ * @param  {object} params Publish request parameters
+ * @return {object} {request, error}, where request has topicArn, targetArn,
+ *                  phoneNumber, message, messages (per protocol, for
+ *                  MessageStructure=json), subject, attributes, groupId and
+ *                  deduplicationId
+ */
+function parsePublishRequest(params) {
+  const destinations = ['TopicArn', 'TargetArn', 'PhoneNumber'].filter(key => params[key]);
+  if (!destinations.length) {
+    return {error: invalidParameter('TopicArn or TargetArn', 'no value for required parameter')};
+  }
+  if (destinations.length > 1) {
+    return {error: invalidParameter(destinations.join(' and '), 'only one of TopicArn, TargetArn or PhoneNumber may be specified')};
+  }
+  const message = params.Message;
+  if (message === undefined || message === '') {
+    return {error: 'Invalid parameter: Empty message'};
+  }
+
+  let messages = null;
+  if (params.MessageStructure !== undefined) {
+    if (!MESSAGE_STRUCTURES.includes(params.MessageStructure)) {
+      return {error: invalidParameter('MessageStructure', `expected one of ${MESSAGE_STRUCTURES.join(', ')}`)};
+    }
+    const structure = parseMessageStructure(message);
+    if (structure.error) {
+      return {error: structure.error};
+    }
+    messages = structure.messages;
+  }
+
+  const subject = params.Subject;
+  if (subject !== undefined && (
+    !subject.length || subject.length >= MAX_SUBJECT_LENGTH
+    || /[^\x20-\x7e]/.test(subject) || subject.startsWith(' ')
+  )) {
+    return {error: invalidParameter('Subject', `must be ASCII text that begins with a letter, number or punctuation mark, without line breaks or control characters, and less than ${MAX_SUBJECT_LENGTH} characters long`)};
+  }
+
+  const {attributes, errors} = parseMessageAttributes(params);
+  if (errors.length) {
+    return {error: errors[0]};
+  }
+
+  return {
+    request: {
+      topicArn: params.TopicArn || null,
+      targetArn: params.TargetArn || null,
+      phoneNumber: params.PhoneNumber || null,
+      message: message,
+      messages: messages,
+      subject: subject,
+      attributes: attributes,
+      groupId: params.MessageGroupId,
+      deduplicationId: params.MessageDeduplicationId
+    }
+  };
+}
+
+
+/**
+ * Gets the message that a protocol receives
+ * @param  {object} published Published message, with its message and, for
+ *                            MessageStructure=json, its messages per protocol
+ * @param  {string} protocol  e.g. lambda or sqs
+ * @return {string}
+ */
+function protocolMessage({message, messages}, protocol) {
+  if (!messages) {
+    return message;
+  }
+  return messages[protocol] !== undefined ? messages[protocol] : messages.default;
+}
+
+
+module.exports = {
+  parsePublishRequest,
+  protocolMessage
+};
@@ -0,0 +1,280 @@
+/**
+ * JSON schemas for the pubSub event and the custom.pubSub config, which are
+ * registered with the Serverless config schema handler
+ */
+
+// A plain string or a Cloudformation intrinsic function
+const stringOrIntrinsic = {
+  anyOf: [
+    {type: 'string'},
+    {type: 'object'}
+  ]
+};
+
+// Cloudformation properties are passed through as-is
+const cloudformationProperties = {type: 'object'};
+
+const deadLetter = {
+  anyOf: [
+    {type: 'boolean'},
+    {
+      type: 'object',
+      properties: {
+        name: {type: 'string'},
+        maxReceiveCount: {type: 'integer', minimum: 1},
+        retentionPeriod: {type: 'integer', minimum: 60}
+      },
+      additionalProperties: false
+    }
+  ]
+};
+
+const topic = {
+  anyOf: [
+    {type: 'string'},
+    {
+      type: 'object',
+      properties: {
+        name: {type: 'string'},
+        arn: stringOrIntrinsic,
+        service: {type: 'string'},
+        fifo: {type: 'boolean'},
+        deadLetter: deadLetter,
+        subscription: cloudformationProperties
+      },
+      required: ['name'],
+      additionalProperties: false
+    }
+  ]
+};
+
+const queue = {
+  anyOf: [
+    {type: 'boolean'},
+    {type: 'string'},
+    {
+      type: 'object',
+      properties: {
+        name: {type: 'string'},
+        arn: stringOrIntrinsic,
+        fifo: {type: 'boolean'},
+        deadLetter: deadLetter,
+        // Shorthand for RawMessageDelivery of the topic subscription
+        raw: {type: 'boolean'},
+        subscription: cloudformationProperties
+      },
+      additionalProperties: false
+    }
+  ]
+};
+
+const bus = {
+  anyOf: [
+    {type: 'string'},
+    {
+      type: 'object',
+      properties: {
+        name: {type: 'string'},
+        arn: stringOrIntrinsic
+      },
+      additionalProperties: false
+    }
+  ]
+};
+
+const pubSubEvent = {
+  anyOf: [
+    {type: 'string'},
+    {
+      type: 'object',
+      properties: {
+        topic: topic,
+        bus: bus,
+        queue: queue,
+        filter: {type: 'object'},
+        filterScope: {enum: ['attributes', 'body']},
+        pattern: {type: 'object'}
+      },
+      // Events without a topic or bus consume a queue that is fed directly
+      anyOf: [
+        {required: ['topic']},
+        {required: ['bus']},
+        {required: ['queue']}
+      ],
+      additionalProperties: false
+    }
+  ]
+};
+
+// Account ids, organization ids or IAM principal Arns
+const principals = {
+  type: 'array',
+  items: stringOrIntrinsic
+};
+
+// AWS services in the same account that publish to a topic
+const topicSource = {
+  type: 'object',
+  properties: {
+    s3: {type: 'string'},
+    cloudwatchAlarm: {type: 'string'},
+    codepipeline: {type: 'string'},
+    events: {type: 'array', items: {type: 'string'}}
+  },
+  additionalProperties: false
+};
+
+// An alarm threshold, or false to disable the alarm
+const alarmThreshold = {
+  anyOf: [
+    {type: 'number', exclusiveMinimum: 0},
+    {enum: [false]}
+  ]
+};
+
+// Alarm thresholds of a single queue or topic, or false to disable its alarms
+function monitoringOverride(keys) {
+  const properties = {};
+  keys.forEach(key => {
+    properties[key] = alarmThreshold;
+  });
+  return {
+    anyOf: [
+      {enum: [false]},
+      {type: 'object', properties: properties, additionalProperties: false}
+    ]
+  };
+}
+
+const customTopic = {
+  type: 'object',
+  properties: {
+    fifo: {type: 'boolean'},
+    allowPublishFrom: principals,
+    allowSubscribeFrom: principals,
+    sources: {type: 'array', items: topicSource},
+    monitoring: monitoringOverride(['failedNotifications']),
+    // An inline JSON Schema or the path of a JSON or YAML file
+    schema: {anyOf: [{type: 'string'}, {type: 'object'}]},
+    global: {type: 'boolean'}
+  }
+};
+
+const customQueue = {
+  type: 'object',
+  properties: {
+    fifo: {type: 'boolean'},
+    deadLetter: deadLetter,
+    monitoring: monitoringOverride(['backlog', 'messageAge', 'deadLetterDepth'])
+  }
+};
+
+const customPubSub = {
+  type: 'object',
+  properties: {
+    topics: {
+      type: 'object',
+      additionalProperties: customTopic
+    },
+    queues: {
+      type: 'object',
+      additionalProperties: customQueue
+    },
+    buses: {
+      type: 'object',
+      additionalProperties: cloudformationProperties
+    },
+    defaults: {
+      type: 'object',
+      properties: {
+        topics: cloudformationProperties,
+        queues: cloudformationProperties,
+        topicSubscriptions: cloudformationProperties,
+        queueSubscriptions: cloudformationProperties
+      },
+      additionalProperties: false
+    },
+    offline: {
+      type: 'object',
+      properties: {
+        host: {type: 'string'},
+        port: {anyOf: [{type: 'integer'}, {type: 'string'}]},
+        strict: {type: 'boolean'}
+      },
+      additionalProperties: false
+    },
+    iam: {enum: ['perFunction', 'shared']},
+    exports: {type: 'boolean'},
+    serviceReferences: {enum: ['import', 'naming']},
+    encryption: {
+      type: 'object',
+      properties: {
+        enabled: {type: 'boolean'},
+        key: stringOrIntrinsic
+      },
+      additionalProperties: false
+    },
+    monitoring: {
+      type: 'object',
+      properties: {
+        enabled: {type: 'boolean'},
+        alarmTopic: stringOrIntrinsic,
+        period: {type: 'integer', minimum: 10},
+        evaluationPeriods: {type: 'integer', minimum: 1},
+        thresholds: {
+          type: 'object',
+          properties: {
+            backlog: alarmThreshold,
+            messageAge: alarmThreshold,
+            deadLetterDepth: alarmThreshold,
+            failedNotifications: alarmThreshold
+          },
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    },
+    // Path of an AsyncAPI document whose channels are topics
+    catalog: {type: 'string'},
+    lint: {
+      type: 'object',
+      properties: {
+        rules: {
+          type: 'object',
+          additionalProperties: {enum: ['off', 'warn', 'error']}
+        }
+      },
+      additionalProperties: false
+    },
+    // Queue names over the SQS limit fail the package or are shortened
+    longNames: {enum: ['error', 'hash']},
+    // Templates of the topic and queue names, e.g. {stage}-orders-{name}
+    naming: {
+      type: 'object',
+      properties: {
+        topic: {type: 'string'},
+        queue: {type: 'string'}
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+module.exports = {
+  pubSubEvent,
+  functionProperties: {
+    properties: {
+      publishes: {
+        type: 'array',
+        items: {type: 'string'}
+      }
+    }
+  },
+  customProperties: {
+    type: 'object',
+    properties: {
+      pubSub: customPubSub
+    }
+  }
+};
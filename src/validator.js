@@ -0,0 +1,252 @@
+/**
+ * Validation of messages against the JSON Schema of their topic
+ *
+ * Supports the commonly used subset of JSON Schema: type, enum, const,
+ * properties, required, additionalProperties, items, the length, size and
+ * range keywords, pattern, allOf, anyOf, oneOf, not, and $ref to local
+ * definitions. Other keywords are ignored.
+ */
+
+/**
+ * Gets the JSON Schema type of a value
+ * @param  {any} value
+ * @return {string}
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+
+/**
+ * Whether a value is of a JSON Schema type
+ * @param  {any}    value
+ * @param  {string} type
+ * @return {boolean}
+ */
+function isType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  return typeOf(value) === type;
+}
+
+
+/**
+ * Whether two JSON values are equal
+ * @param  {any} a
+ * @param  {any} b
+ * @return {boolean}
+ */
+function equals(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+
+/**
+ * Resolves a local reference, e.g. #/definitions/address
+ * @param  {object} root Root schema
+ * @param  {string} ref
+ * @return {object} the referenced schema
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Unsupported $ref ${ref}: only local references (#/...) are supported`);
+  }
+  const schema = ref.slice(1).split('/').filter(Boolean).reduce(
+    (node, segment) => node && node[segment.replace(/~1/g, '/').replace(/~0/g, '~')],
+    root
+  );
+  if (!schema) {
+    throw new Error(`Could not resolve $ref ${ref}`);
+  }
+  return schema;
+}
+
+
+/**
+ * Validates a value against a schema
+ * @param  {object}   schema
+ * @param  {any}      value
+ * @param  {string}   path   Path to the value, for error messages
+ * @param  {object}   root   Root schema, for references
+ * @return {string[]} list of errors
+ */
+function validateNode(schema, value, path, root) {
+  if (schema === true || schema === undefined) {
+    return [];
+  }
+  if (schema === false) {
+    return [`${path}: is not allowed`];
+  }
+  if (schema.$ref) {
+    return validateNode(resolveRef(root, schema.$ref), value, path, root);
+  }
+  const errors = [];
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => isType(value, type))) {
+      return [`${path}: must be of type ${types.join(' or ')}`];
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => equals(option, value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !equals(schema.const, value)) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  const type = typeOf(value);
+  if (type === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key] !== undefined) {
+        errors.push(...validateNode(properties[key], value[key], `${path}.${key}`, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not an allowed property`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateNode(schema.additionalProperties, value[key], `${path}.${key}`, root));
+      }
+    });
+  } else if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => {
+        errors.push(...validateNode(schema.items, item, `${path}[${i}]`, root));
+      });
+    }
+  } else if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path}: must match pattern ${schema.pattern}`);
+    }
+  } else if (type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  (schema.allOf || []).forEach(subschema => {
+    errors.push(...validateNode(subschema, value, path, root));
+  });
+  if (schema.anyOf && !schema.anyOf.some(s => !validateNode(s, value, path, root).length)) {
+    errors.push(`${path}: must match at least one schema in anyOf`);
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(s => !validateNode(s, value, path, root).length).length;
+    if (matches !== 1) {
+      errors.push(`${path}: must match exactly one schema in oneOf, matched ${matches}`);
+    }
+  }
+  if (schema.not !== undefined && !validateNode(schema.not, value, path, root).length) {
+    errors.push(`${path}: must not match the schema in not`);
+  }
+  return errors;
+}
+
+
+/**
+ * Checks the schemas of a schema node and its subschemas for the errors that
+ * would fail validation: references that cannot be resolved and patterns
+ * that are not valid regular expressions
+ * @param  {object}   schema
+ * @param  {string}   path   JSON pointer of the node, for error messages
+ * @param  {object}   root   Root schema, for references
+ * @return {string[]} list of errors
+ */
+function checkNode(schema, path, root) {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+  const errors = [];
+  if (schema.$ref !== undefined) {
+    try {
+      resolveRef(root, String(schema.$ref));
+    } catch (e) {
+      errors.push(`${path}: ${e.message}`);
+    }
+  }
+  if (schema.pattern !== undefined) {
+    try {
+      RegExp(schema.pattern, 'u');
+    } catch (e) {
+      errors.push(`${path}: invalid pattern ${schema.pattern}`);
+    }
+  }
+  const subschemas = [];
+  ['properties', 'definitions', '$defs'].forEach(keyword => {
+    Object.keys(schema[keyword] || {}).forEach(key => {
+      subschemas.push([schema[keyword][key], `${path}/${keyword}/${key}`]);
+    });
+  });
+  ['additionalProperties', 'items', 'not'].forEach(keyword => {
+    subschemas.push([schema[keyword], `${path}/${keyword}`]);
+  });
+  ['allOf', 'anyOf', 'oneOf'].forEach(keyword => {
+    (schema[keyword] || []).forEach((subschema, i) => {
+      subschemas.push([subschema, `${path}/${keyword}/${i}`]);
+    });
+  });
+  subschemas.forEach(([subschema, subpath]) => {
+    errors.push(...checkNode(subschema, subpath, root));
+  });
+  return errors;
+}
+
+
+/**
+ * Checks that a JSON Schema can be used for validation
+ * @param  {object} schema
+ * @return {string[]} list of errors, each starting with the JSON pointer of
+ *                    the invalid schema, e.g. #/properties/id
+ */
+function checkJsonSchema(schema) {
+  return checkNode(schema, '#', schema);
+}
+
+
+/**
+ * Validates a message against a JSON Schema
+ * @param  {object} schema
+ * @param  {any}    message Parsed message
+ * @return {string[]} list of errors, each starting with the path of the
+ *                    invalid value, e.g. $.order.id: must be of type string
+ */
+function validateJsonSchema(schema, message) {
+  return validateNode(schema, message, '$', schema);
+}
+
+
+module.exports = {
+  checkJsonSchema,
+  validateJsonSchema
+};